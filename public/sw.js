@@ -0,0 +1,69 @@
+/**
+ * Service worker: keeps the app shell available offline so counters can keep
+ * taking photos (they wait in the IndexedDB capture queue until the network is back).
+ * API calls are never cached.
+ */
+
+const CACHE = 'phaneroo-shell-v1'
+const SCOPE = self.registration.scope
+const SHELL = [SCOPE, `${SCOPE}index.html`]
+// Tesseract core, worker and language data for offline scan mode
+const CDN_HOSTS = ['cdn.jsdelivr.net', 'unpkg.com', 'tessdata.projectnaptha.com']
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(CACHE).then((cache) => cache.addAll(SHELL)).then(() => self.skipWaiting()))
+})
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) => Promise.all(keys.filter((key) => key !== CACHE).map((key) => caches.delete(key))))
+      .then(() => self.clients.claim())
+  )
+})
+
+const cacheFirst = async (request) => {
+  const cached = await caches.match(request)
+  if (cached) return cached
+  const response = await fetch(request)
+  if (response.ok || response.type === 'opaque') {
+    const cache = await caches.open(CACHE)
+    cache.put(request, response.clone())
+  }
+  return response
+}
+
+// Pages: network first so deploys show up, cached shell when offline
+const networkFirstPage = async (request) => {
+  try {
+    const response = await fetch(request)
+    if (response.ok) {
+      const cache = await caches.open(CACHE)
+      cache.put(`${SCOPE}index.html`, response.clone())
+    }
+    return response
+  } catch {
+    return (await caches.match(`${SCOPE}index.html`)) || (await caches.match(SCOPE)) || Response.error()
+  }
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event
+  if (request.method !== 'GET') return
+  const url = new URL(request.url)
+
+  if (url.origin === self.location.origin) {
+    if (url.pathname.startsWith('/api') || url.pathname === '/health') return
+    if (request.mode === 'navigate') {
+      event.respondWith(networkFirstPage(request))
+      return
+    }
+    event.respondWith(cacheFirst(request))
+    return
+  }
+
+  if (CDN_HOSTS.includes(url.hostname)) {
+    event.respondWith(cacheFirst(request))
+  }
+})
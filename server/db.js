@@ -0,0 +1,478 @@
+/**
+ * SQLite data layer (better-sqlite3). Users, scan counts and sessions are plain columns; entries
+ * and jobs are stored as JSON documents next to the columns they are looked up by. Every write is
+ * a single statement or runs in store.transaction, so a crash never leaves a half-written file
+ * and concurrent requests cannot lose each other's changes.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import Database from 'better-sqlite3';
+import { DEFAULT_TEMPLATE_ID } from './formTemplates.js';
+
+/**
+ * Schema changes, applied in order on startup. The database's user_version is the number of
+ * migrations already applied; append new ones, never edit one that has shipped.
+ */
+const MIGRATIONS = [
+  `
+  CREATE TABLE users (
+    number TEXT PRIMARY KEY,
+    name TEXT NOT NULL DEFAULT '',
+    password_hash TEXT NOT NULL,
+    role TEXT,
+    disabled INTEGER NOT NULL DEFAULT 0,
+    created_at TEXT,
+    last_login_at TEXT
+  );
+  CREATE TABLE scan_counts (
+    number TEXT PRIMARY KEY,
+    count INTEGER NOT NULL DEFAULT 0
+  );
+  CREATE TABLE sessions (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    date TEXT NOT NULL,
+    service TEXT NOT NULL,
+    status TEXT NOT NULL,
+    created_by TEXT,
+    created_at TEXT NOT NULL,
+    closed_at TEXT,
+    closed_by TEXT
+  );
+  CREATE TABLE entries (
+    id TEXT PRIMARY KEY,
+    session_id TEXT,
+    user_number TEXT,
+    created_at TEXT NOT NULL,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX entries_session ON entries (session_id, created_at);
+  CREATE TABLE jobs (
+    id TEXT PRIMARY KEY,
+    user_number TEXT NOT NULL,
+    session_id TEXT,
+    status TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    data TEXT NOT NULL
+  );
+  CREATE TABLE meta (
+    key TEXT PRIMARY KEY,
+    value TEXT
+  );
+  `,
+  `
+  ALTER TABLE users ADD COLUMN token_version INTEGER NOT NULL DEFAULT 0;
+  CREATE TABLE refresh_tokens (
+    id TEXT PRIMARY KEY,
+    user_number TEXT NOT NULL,
+    token_hash TEXT NOT NULL UNIQUE,
+    created_at TEXT NOT NULL,
+    expires_at TEXT NOT NULL,
+    revoked_at TEXT,
+    user_agent TEXT NOT NULL DEFAULT ''
+  );
+  CREATE INDEX refresh_tokens_user ON refresh_tokens (user_number);
+  `,
+  `
+  CREATE TABLE login_failures (
+    kind TEXT NOT NULL,
+    value TEXT NOT NULL,
+    failures INTEGER NOT NULL,
+    last_failure_at TEXT NOT NULL,
+    locked_until TEXT,
+    PRIMARY KEY (kind, value)
+  );
+  `,
+  `
+  ALTER TABLE users ADD COLUMN must_change_password INTEGER NOT NULL DEFAULT 0;
+  `,
+  `
+  CREATE TABLE login_codes (
+    number TEXT PRIMARY KEY,
+    code_hash TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    expires_at TEXT NOT NULL,
+    attempts INTEGER NOT NULL DEFAULT 0
+  );
+  `,
+  `
+  ALTER TABLE sessions ADD COLUMN template_id TEXT NOT NULL DEFAULT 'contribution';
+  `,
+  `
+  CREATE TABLE exchange_rates (
+    currency TEXT PRIMARY KEY,
+    rate REAL NOT NULL,
+    updated_at TEXT NOT NULL,
+    updated_by TEXT
+  );
+  `,
+  `
+  CREATE TABLE members (
+    id TEXT PRIMARY KEY,
+    ref TEXT NOT NULL DEFAULT '',
+    name TEXT NOT NULL,
+    telephone TEXT NOT NULL DEFAULT '',
+    email TEXT NOT NULL DEFAULT '',
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+  CREATE INDEX members_telephone ON members (telephone);
+  CREATE INDEX members_email ON members (email);
+  `,
+];
+
+function migrate(db) {
+  const version = db.pragma('user_version', { simple: true });
+  MIGRATIONS.slice(version).forEach((sql, i) => {
+    db.transaction(() => {
+      db.exec(sql);
+      db.pragma(`user_version = ${version + i + 1}`);
+    })();
+  });
+}
+
+const rowToUser = (row) => row && {
+  number: row.number,
+  name: row.name,
+  passwordHash: row.password_hash,
+  role: row.role,
+  disabled: !!row.disabled,
+  createdAt: row.created_at,
+  lastLoginAt: row.last_login_at,
+  tokenVersion: row.token_version,
+  mustChangePassword: !!row.must_change_password,
+};
+
+const userParams = (user) => ({
+  number: user.number,
+  name: user.name || '',
+  password_hash: user.passwordHash,
+  role: user.role || null,
+  disabled: user.disabled ? 1 : 0,
+  created_at: user.createdAt || null,
+  last_login_at: user.lastLoginAt || null,
+  token_version: user.tokenVersion || 0,
+  must_change_password: user.mustChangePassword ? 1 : 0,
+});
+
+const rowToLoginFailures = (row) => row && {
+  kind: row.kind,
+  value: row.value,
+  failures: row.failures,
+  lastFailureAt: row.last_failure_at,
+  lockedUntil: row.locked_until,
+};
+
+const rowToSession = (row) => row && {
+  id: row.id,
+  name: row.name,
+  date: row.date,
+  service: row.service,
+  templateId: row.template_id,
+  status: row.status,
+  createdBy: row.created_by,
+  createdAt: row.created_at,
+  closedAt: row.closed_at,
+  closedBy: row.closed_by,
+};
+
+const sessionParams = (session) => ({
+  id: session.id,
+  name: session.name,
+  date: session.date,
+  service: session.service,
+  template_id: session.templateId || DEFAULT_TEMPLATE_ID,
+  status: session.status,
+  created_by: session.createdBy || null,
+  created_at: session.createdAt,
+  closed_at: session.closedAt || null,
+  closed_by: session.closedBy || null,
+});
+
+const rowToMember = (row) => row && {
+  id: row.id,
+  ref: row.ref,
+  name: row.name,
+  telephone: row.telephone,
+  email: row.email,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+};
+
+const memberParams = (member) => ({
+  id: member.id,
+  ref: member.ref || '',
+  name: member.name,
+  telephone: member.telephone || '',
+  email: member.email || '',
+  created_at: member.createdAt,
+  updated_at: member.updatedAt,
+});
+
+const entryParams = (entry) => ({
+  id: entry.id,
+  session_id: entry.sessionId || null,
+  user_number: entry.userNumber || null,
+  created_at: entry.createdAt,
+  data: JSON.stringify(entry),
+});
+
+const jobParams = (job) => ({
+  id: job.id,
+  user_number: job.userNumber,
+  session_id: job.sessionId || null,
+  status: job.status,
+  created_at: job.createdAt,
+  data: JSON.stringify(job),
+});
+
+const fromData = (row) => (row ? JSON.parse(row.data) : null);
+
+/**
+ * Open (creating if needed) the database file and bring its schema up to date.
+ * @param {string} file path of the SQLite file
+ */
+export function createStore(file) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.pragma('busy_timeout = 5000');
+  migrate(db);
+
+  const statements = {
+    listUsers: db.prepare('SELECT * FROM users ORDER BY number'),
+    findUser: db.prepare('SELECT * FROM users WHERE number = ?'),
+    countUsers: db.prepare('SELECT COUNT(*) AS count FROM users'),
+    insertUser: db.prepare(`INSERT INTO users (number, name, password_hash, role, disabled, created_at, last_login_at,
+        token_version, must_change_password)
+      VALUES (@number, @name, @password_hash, @role, @disabled, @created_at, @last_login_at,
+        @token_version, @must_change_password)`),
+    updateUser: db.prepare(`UPDATE users SET name = @name, password_hash = @password_hash, role = @role, disabled = @disabled,
+      created_at = @created_at, last_login_at = @last_login_at, token_version = @token_version,
+      must_change_password = @must_change_password WHERE number = @number`),
+    deleteUser: db.prepare('DELETE FROM users WHERE number = ?'),
+
+    scanCounts: db.prepare('SELECT number, count FROM scan_counts'),
+    incrementScans: db.prepare(`INSERT INTO scan_counts (number, count) VALUES (?, 1)
+      ON CONFLICT (number) DO UPDATE SET count = count + 1`),
+    addScans: db.prepare(`INSERT INTO scan_counts (number, count) VALUES (?, ?)
+      ON CONFLICT (number) DO UPDATE SET count = count + excluded.count`),
+
+    listSessions: db.prepare('SELECT * FROM sessions ORDER BY created_at DESC'),
+    findSession: db.prepare('SELECT * FROM sessions WHERE id = ?'),
+    insertSession: db.prepare(`INSERT INTO sessions (id, name, date, service, template_id, status, created_by, created_at,
+      closed_at, closed_by)
+      VALUES (@id, @name, @date, @service, @template_id, @status, @created_by, @created_at, @closed_at, @closed_by)`),
+    updateSession: db.prepare(`UPDATE sessions SET name = @name, date = @date, service = @service,
+      template_id = @template_id, status = @status,
+      created_by = @created_by, created_at = @created_at, closed_at = @closed_at, closed_by = @closed_by WHERE id = @id`),
+
+    listEntries: db.prepare('SELECT data FROM entries ORDER BY created_at'),
+    listSessionEntries: db.prepare('SELECT data FROM entries WHERE session_id = ? ORDER BY created_at'),
+    findEntry: db.prepare('SELECT data FROM entries WHERE id = ?'),
+    insertEntry: db.prepare(`INSERT INTO entries (id, session_id, user_number, created_at, data)
+      VALUES (@id, @session_id, @user_number, @created_at, @data)`),
+    updateEntry: db.prepare(`UPDATE entries SET session_id = @session_id, user_number = @user_number,
+      created_at = @created_at, data = @data WHERE id = @id`),
+    deleteEntry: db.prepare('DELETE FROM entries WHERE id = ?'),
+
+    listJobs: db.prepare('SELECT data FROM jobs ORDER BY created_at DESC'),
+    findJob: db.prepare('SELECT data FROM jobs WHERE id = ?'),
+    insertJob: db.prepare(`INSERT INTO jobs (id, user_number, session_id, status, created_at, data)
+      VALUES (@id, @user_number, @session_id, @status, @created_at, @data)`),
+    updateJob: db.prepare(`UPDATE jobs SET user_number = @user_number, session_id = @session_id, status = @status,
+      created_at = @created_at, data = @data WHERE id = @id`),
+
+    insertRefreshToken: db.prepare(`INSERT INTO refresh_tokens (id, user_number, token_hash, created_at, expires_at, user_agent)
+      VALUES (@id, @userNumber, @tokenHash, @createdAt, @expiresAt, @userAgent)`),
+    findRefreshToken: db.prepare('SELECT * FROM refresh_tokens WHERE token_hash = ?'),
+    revokeRefreshToken: db.prepare('UPDATE refresh_tokens SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL'),
+    revokeUserRefreshTokens: db.prepare('UPDATE refresh_tokens SET revoked_at = ? WHERE user_number = ? AND revoked_at IS NULL'),
+    deleteExpiredRefreshTokens: db.prepare('DELETE FROM refresh_tokens WHERE expires_at < ?'),
+
+    findLoginFailures: db.prepare('SELECT * FROM login_failures WHERE kind = ? AND value = ?'),
+    saveLoginFailures: db.prepare(`INSERT INTO login_failures (kind, value, failures, last_failure_at, locked_until)
+      VALUES (@kind, @value, @failures, @lastFailureAt, @lockedUntil)
+      ON CONFLICT (kind, value) DO UPDATE SET failures = excluded.failures,
+        last_failure_at = excluded.last_failure_at, locked_until = excluded.locked_until`),
+    deleteLoginFailures: db.prepare('DELETE FROM login_failures WHERE kind = ? AND value = ?'),
+    listLoginLocks: db.prepare('SELECT * FROM login_failures WHERE locked_until > ? ORDER BY locked_until DESC'),
+    deleteStaleLoginFailures: db.prepare('DELETE FROM login_failures WHERE last_failure_at < ? AND (locked_until IS NULL OR locked_until < ?)'),
+
+    findLoginCode: db.prepare('SELECT * FROM login_codes WHERE number = ?'),
+    saveLoginCode: db.prepare(`INSERT INTO login_codes (number, code_hash, created_at, expires_at, attempts)
+      VALUES (@number, @codeHash, @createdAt, @expiresAt, 0)
+      ON CONFLICT (number) DO UPDATE SET code_hash = excluded.code_hash, created_at = excluded.created_at,
+        expires_at = excluded.expires_at, attempts = 0`),
+    countLoginCodeAttempt: db.prepare('UPDATE login_codes SET attempts = attempts + 1 WHERE number = ?'),
+    deleteLoginCode: db.prepare('DELETE FROM login_codes WHERE number = ?'),
+    deleteExpiredLoginCodes: db.prepare('DELETE FROM login_codes WHERE expires_at < ?'),
+
+    listExchangeRates: db.prepare('SELECT * FROM exchange_rates ORDER BY currency'),
+    saveExchangeRate: db.prepare(`INSERT INTO exchange_rates (currency, rate, updated_at, updated_by)
+      VALUES (@currency, @rate, @updatedAt, @updatedBy)
+      ON CONFLICT (currency) DO UPDATE SET rate = excluded.rate, updated_at = excluded.updated_at,
+        updated_by = excluded.updated_by`),
+    deleteExchangeRate: db.prepare('DELETE FROM exchange_rates WHERE currency = ?'),
+
+    listMembers: db.prepare('SELECT * FROM members ORDER BY name'),
+    insertMember: db.prepare(`INSERT INTO members (id, ref, name, telephone, email, created_at, updated_at)
+      VALUES (@id, @ref, @name, @telephone, @email, @created_at, @updated_at)`),
+    updateMember: db.prepare(`UPDATE members SET ref = @ref, name = @name, telephone = @telephone, email = @email,
+      created_at = @created_at, updated_at = @updated_at WHERE id = @id`),
+
+    getMeta: db.prepare('SELECT value FROM meta WHERE key = ?'),
+    setMeta: db.prepare(`INSERT INTO meta (key, value) VALUES (?, ?)
+      ON CONFLICT (key) DO UPDATE SET value = excluded.value`),
+  };
+
+  return {
+    /** Run fn in one transaction: all of its writes are kept, or none if it throws. */
+    transaction: (fn) => db.transaction(fn)(),
+
+    listUsers: () => statements.listUsers.all().map(rowToUser),
+    findUser: (number) => rowToUser(statements.findUser.get(number)) || null,
+    countUsers: () => statements.countUsers.get().count,
+    insertUser: (user) => statements.insertUser.run(userParams(user)),
+    updateUser: (user) => statements.updateUser.run(userParams(user)),
+    deleteUser: (number) => statements.deleteUser.run(number),
+
+    /** Scan counts in the shape the dashboard uses: { total, byNumber }. */
+    readStats: () => {
+      const byNumber = Object.fromEntries(statements.scanCounts.all().map((r) => [r.number, r.count]));
+      return { total: Object.values(byNumber).reduce((sum, n) => sum + n, 0), byNumber };
+    },
+    incrementStats: (number) => statements.incrementScans.run(number),
+    addStats: (number, count) => statements.addScans.run(number, count),
+
+    listSessions: () => statements.listSessions.all().map(rowToSession),
+    findSession: (id) => (id ? rowToSession(statements.findSession.get(id)) || null : null),
+    insertSession: (session) => statements.insertSession.run(sessionParams(session)),
+    updateSession: (session) => statements.updateSession.run(sessionParams(session)),
+
+    /** Entries, oldest first; pass a session id to list only that session's rows. */
+    listEntries: (sessionId) =>
+      (sessionId ? statements.listSessionEntries.all(sessionId) : statements.listEntries.all()).map(fromData),
+    findEntry: (id) => fromData(statements.findEntry.get(id)),
+    insertEntry: (entry) => statements.insertEntry.run(entryParams(entry)),
+    updateEntry: (entry) => statements.updateEntry.run(entryParams(entry)),
+    deleteEntry: (id) => statements.deleteEntry.run(id),
+
+    /** Jobs, newest first. */
+    listJobs: () => statements.listJobs.all().map(fromData),
+    findJob: (id) => fromData(statements.findJob.get(id)),
+    insertJob: (job) => statements.insertJob.run(jobParams(job)),
+    updateJob: (job) => statements.updateJob.run(jobParams(job)),
+
+    /** token: { id, userNumber, tokenHash, createdAt, expiresAt, userAgent }. Only the hash of a refresh token is stored. */
+    insertRefreshToken: (token) => statements.insertRefreshToken.run(token),
+    findRefreshToken: (tokenHash) => {
+      const row = statements.findRefreshToken.get(tokenHash);
+      return row && {
+        id: row.id,
+        userNumber: row.user_number,
+        createdAt: row.created_at,
+        expiresAt: row.expires_at,
+        revokedAt: row.revoked_at,
+      };
+    },
+    revokeRefreshToken: (id, at) => statements.revokeRefreshToken.run(at, id),
+    revokeUserRefreshTokens: (number, at) => statements.revokeUserRefreshTokens.run(at, number),
+    deleteExpiredRefreshTokens: (now) => statements.deleteExpiredRefreshTokens.run(now),
+
+    /** Failed-login counters, one per number and per client IP. kind: 'number' | 'ip'. */
+    findLoginFailures: (kind, value) => rowToLoginFailures(statements.findLoginFailures.get(kind, value)) || null,
+    saveLoginFailures: (record) => statements.saveLoginFailures.run({ lockedUntil: null, ...record }),
+    deleteLoginFailures: (kind, value) => statements.deleteLoginFailures.run(kind, value),
+    listLoginLocks: (now) => statements.listLoginLocks.all(now).map(rowToLoginFailures),
+    deleteStaleLoginFailures: (before) => statements.deleteStaleLoginFailures.run(before, before),
+
+    /** One-time login codes, at most one per number. Only the hash of a code is stored. */
+    findLoginCode: (number) => {
+      const row = statements.findLoginCode.get(number);
+      return row ? {
+        number: row.number,
+        codeHash: row.code_hash,
+        createdAt: row.created_at,
+        expiresAt: row.expires_at,
+        attempts: row.attempts,
+      } : null;
+    },
+    /** code: { number, codeHash, createdAt, expiresAt }. Replaces the number's previous code. */
+    saveLoginCode: (code) => statements.saveLoginCode.run(code),
+    countLoginCodeAttempt: (number) => statements.countLoginCodeAttempt.run(number),
+    deleteLoginCode: (number) => statements.deleteLoginCode.run(number),
+    deleteExpiredLoginCodes: (now) => statements.deleteExpiredLoginCodes.run(now),
+
+    /** Exchange rates kept by admins: one unit of currency is worth rate units of the base currency. */
+    listExchangeRates: () => statements.listExchangeRates.all().map((row) => ({
+      currency: row.currency,
+      rate: row.rate,
+      updatedAt: row.updated_at,
+      updatedBy: row.updated_by,
+    })),
+    /** rate: { currency, rate, updatedAt, updatedBy }. Replaces the currency's previous rate. */
+    saveExchangeRate: (rate) => statements.saveExchangeRate.run(rate),
+    deleteExchangeRate: (currency) => statements.deleteExchangeRate.run(currency),
+
+    /** Member registry, by name. Phone numbers are E.164 and emails lower-case ('' when unknown). */
+    listMembers: () => statements.listMembers.all().map(rowToMember),
+    insertMember: (member) => statements.insertMember.run(memberParams(member)),
+    updateMember: (member) => statements.updateMember.run(memberParams(member)),
+
+    getMeta: (key) => statements.getMeta.get(key)?.value ?? null,
+    setMeta: (key, value) => statements.setMeta.run(key, value),
+  };
+}
+
+/**
+ * One-time import of the JSON files the server used before SQLite (users.json, stats.json,
+ * sessions.json, entries.json, jobs.json in dataDir). Runs once per database: afterwards the
+ * files are left alone as a backup and never read again. A file that cannot be parsed stops the
+ * import (and the server) instead of being treated as empty.
+ * @returns {object|null} rows imported per file, or null when the import already ran
+ */
+export function importJsonFiles(store, dataDir) {
+  if (store.getMeta('json_imported_at')) return null;
+  const readJson = (name, fallback) => {
+    const file = path.join(dataDir, name);
+    if (!fs.existsSync(file)) return fallback;
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+      throw new Error(`Cannot import ${file}: ${err.message}`);
+    }
+  };
+  const users = readJson('users.json', []);
+  const stats = readJson('stats.json', { byNumber: {} });
+  const sessions = readJson('sessions.json', []);
+  const entries = readJson('entries.json', []);
+  const jobs = readJson('jobs.json', []);
+
+  const counts = { users: 0, stats: 0, sessions: 0, entries: 0, jobs: 0 };
+  store.transaction(() => {
+    users.filter((u) => u?.number && u.passwordHash && !store.findUser(u.number)).forEach((u) => {
+      store.insertUser(u);
+      counts.users++;
+    });
+    Object.entries(stats.byNumber || {}).forEach(([number, count]) => {
+      store.addStats(number, Number(count) || 0);
+      counts.stats++;
+    });
+    sessions.filter((s) => s?.id && !store.findSession(s.id)).forEach((s) => {
+      store.insertSession(s);
+      counts.sessions++;
+    });
+    entries.filter((e) => e?.id && !store.findEntry(e.id)).forEach((e) => {
+      store.insertEntry({ ...e, createdAt: e.createdAt || new Date(0).toISOString() });
+      counts.entries++;
+    });
+    jobs.filter((j) => j?.id && !store.findJob(j.id)).forEach((j) => {
+      store.insertJob(j);
+      counts.jobs++;
+    });
+    store.setMeta('json_imported_at', new Date().toISOString());
+  });
+  return counts;
+}
@@ -0,0 +1,122 @@
+/**
+ * Duplicate envelope detection.
+ * A row is a suspected duplicate of an earlier row in the same session when its photo looks the
+ * same (perceptual hash of the image) or the fields read off it match closely: same total amount
+ * and the same phone number or a near-identical name, with no conflicting date or contribution
+ * types.
+ */
+
+import sharp from 'sharp';
+import { amountTotals } from './normalize.js';
+
+/** Differing bits (of 64) below which two photos count as the same envelope. */
+const HASH_MAX_DISTANCE = 6;
+const NAME_MIN_SIMILARITY = 0.85;
+
+/**
+ * Difference hash (dHash) of an image: 64 bits as 16 hex characters. Survives resizing,
+ * recompression and small lighting changes, so the same photo picked twice hashes (nearly) alike.
+ * @returns {Promise<string|null>} null when the image cannot be decoded
+ */
+export async function imageHash(buffer) {
+  if (!buffer?.length) return null;
+  try {
+    const pixels = await sharp(buffer).rotate().greyscale().resize(9, 8, { fit: 'fill' }).raw().toBuffer();
+    let hash = 0n;
+    for (let y = 0; y < 8; y++) {
+      for (let x = 0; x < 8; x++) {
+        hash = (hash << 1n) | (pixels[y * 9 + x] > pixels[y * 9 + x + 1] ? 1n : 0n);
+      }
+    }
+    return hash.toString(16).padStart(16, '0');
+  } catch (err) {
+    console.warn('Image hash failed:', err.message);
+    return null;
+  }
+}
+
+export function hashDistance(a, b) {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let count = 0;
+  while (diff) {
+    count += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return count;
+}
+
+function levenshtein(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+/**
+ * Similarity of two names from 0 to 1, ignoring case, punctuation and word order
+ * ("Doe, John" and "john doe" are 1).
+ */
+export function nameSimilarity(a, b) {
+  const key = (name) => String(name ?? '').toLowerCase().replace(/[^a-z0-9\s]/g, ' ').split(/\s+/).filter(Boolean).sort().join(' ');
+  const x = key(a);
+  const y = key(b);
+  if (!x || !y) return 0;
+  return 1 - levenshtein(x, y) / Math.max(x.length, y.length);
+}
+
+const sortedEntries = (object) => Object.entries(object).sort(([a], [b]) => a.localeCompare(b));
+
+/** Contribution types of a row, on its lines or the row itself, as one comparable string. */
+const contributionTypes = (normalized) =>
+  (normalized.lines || [normalized]).map((line) => line.contributionType).filter(Boolean).sort().join(', ');
+
+/**
+ * Why entry looks like a copy of other: 'image' and/or the matching fields
+ * ('name', 'telephone', 'amount', 'date'). null when it does not.
+ */
+export function duplicateReasons(entry, other) {
+  const reasons = [];
+  const sameImage = !!(entry.imageHash && other.imageHash) && hashDistance(entry.imageHash, other.imageHash) <= HASH_MAX_DISTANCE;
+  if (sameImage) reasons.push('image');
+
+  const n = entry.normalized || {};
+  const o = other.normalized || {};
+  const totals = JSON.stringify(sortedEntries(amountTotals(n)));
+  const sameAmount = totals !== '[]' && totals === JSON.stringify(sortedEntries(amountTotals(o)));
+  const samePhone = !!n.telephone && n.telephone === o.telephone;
+  const sameName = nameSimilarity(n.name, o.name) >= NAME_MIN_SIMILARITY;
+  const sameDate = !!n.date && n.date === o.date;
+  // Two envelopes from one person for the same amount are normal when the dates or types differ
+  const types = contributionTypes(n);
+  const otherTypes = contributionTypes(o);
+  const conflict = (!!n.date && !!o.date && !sameDate) || (!!types && !!otherTypes && types !== otherTypes);
+  const sameFields = sameAmount && (samePhone || sameName) && !conflict;
+  if (sameFields) {
+    if (sameName) reasons.push('name');
+    if (samePhone) reasons.push('telephone');
+    reasons.push('amount');
+    if (sameDate) reasons.push('date');
+  }
+  return sameImage || sameFields ? reasons : null;
+}
+
+/**
+ * Earliest candidate the entry duplicates, skipping rows the user already said are different.
+ * @param {object} entry
+ * @param {object[]} candidates earlier rows of the same session
+ * @returns {{ entryId: string, reasons: string[] } | null}
+ */
+export function findDuplicate(entry, candidates) {
+  const dismissed = new Set(entry.duplicateDismissed || []);
+  const match = candidates
+    .filter((c) => c.id !== entry.id && !dismissed.has(c.id))
+    .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)))
+    .map((c) => ({ entryId: c.id, reasons: duplicateReasons(entry, c) }))
+    .find((m) => m.reasons);
+  return match || null;
+}
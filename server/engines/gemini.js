@@ -0,0 +1,140 @@
+/**
+ * Gemini vision engine: image → structured form fields with per-field confidence.
+ */
+
+import { GoogleGenAI } from '@google/genai';
+import { envelopeFields, getTemplate, lineFields } from '../formTemplates.js';
+import { toConfidence, toStructured } from '../structured.js';
+import { createRateLimiter, RateLimitError } from './rateLimiter.js';
+
+const MODELS_TO_TRY = ['gemini-2.5-flash', 'gemini-2.5-flash-lite', 'gemini-2.0-flash'];
+
+/** How each field type should be written back, so normalization can read it. */
+const TYPE_INSTRUCTIONS = {
+  date: 'YYYY-MM-DD or original format',
+  amount: 'digits or with currency',
+  currency: 'ISO code of the currency of the amount (UGX, USD, KES ...), from a code, symbol or word written with it such as USh, Shs, /=, $ or KSh; "" if none is shown',
+  number: 'digits only',
+  phone: 'digits only, include country code if present (e.g. +256)',
+};
+
+/**
+ * The extraction prompt for a form template: its field keys, how to write each type, and the
+ * ticked options. Templates with contribution lines ask for a "lines" array with one object per
+ * ticked option, instead of keeping only the first one.
+ */
+export function visionPrompt(template) {
+  const lineKeys = lineFields(template).map((field) => field.key);
+  const keys = [...envelopeFields(template).map((field) => field.key), ...(lineKeys.length ? ['lines'] : [])];
+  const fieldNotes = template.fields.map((field) => {
+    if (field.type === 'choice' && field.line) {
+      return `For ${field.key} in lines: look at which options are TICKED/CHECKED on the form and use the exact label. Common options: ${field.options.join(', ')}. Every ticked option is its own line, with the amount written next to it ("" if none is); if only one total is written, put it on the first line. If none is ticked, use one line with ${field.key} "".`;
+    }
+    if (field.type === 'choice') {
+      return `For ${field.key}: look at which option is TICKED/CHECKED on the form and use that exact label. Common options: ${field.options.join(', ')}. If multiple are ticked, use the first one; if none, use "".`;
+    }
+    const notes = [
+      field.label.toLowerCase() !== field.key.toLowerCase() && `the "${field.label}" field`,
+      TYPE_INSTRUCTIONS[field.type],
+      field.options?.length && `usually one of ${field.options.join(', ')}`,
+      field.hint,
+    ].filter(Boolean);
+    return notes.length ? `${field.key}${field.line ? ' in lines' : ''}: ${notes.join('; ')}.` : '';
+  }).filter(Boolean);
+  return [
+    `Look at this image of a ${template.description || template.name}.`,
+    `Extract the following fields and return ONLY a JSON object with exactly these keys (use empty string "" if not found): ${keys.join(', ')}, confidence.`,
+    lineKeys.length ? `"lines" is an array of objects with the keys ${lineKeys.join(', ')}, one per contribution line on the form.` : '',
+    'No markdown, no explanation.',
+    ...fieldNotes,
+    `The "confidence" key must be an object with the same field names${lineKeys.length ? ' ("lines" again an array of objects, one per line)' : ''}, each set to "high" (clearly legible), "medium" (readable but unsure) or "low" (smudged, crossed out, ambiguous or guessed).`,
+  ].filter(Boolean).join(' ');
+}
+
+/** Longest we hold an upload waiting for the Gemini quota window before answering 429. */
+const MAX_QUOTA_WAIT_MS = 20000;
+const DEFAULT_QUOTA_DELAY_MS = 30000;
+const MAX_QUOTA_RETRIES = 3;
+
+export function isQuotaError(err) {
+  return !!err?.message && (err.message.includes('429') || err.message.includes('quota'));
+}
+
+/** Delay Gemini asks for in a 429 ("retryDelay": "31s" / "Please retry in 12.5s"), in ms. */
+export function quotaRetryDelay(err) {
+  const match = String(err?.message ?? '').match(/retry(?:Delay"?:\s*"|\s+in\s+)(\d+(?:\.\d+)?)s/i);
+  return match ? Math.ceil(Number(match[1]) * 1000) : DEFAULT_QUOTA_DELAY_MS;
+}
+
+/**
+ * @param {object} config
+ * @param {string} [config.apiKey]
+ * @param {number} [config.concurrency] simultaneous Gemini calls (GEMINI_CONCURRENCY)
+ */
+export function createGeminiEngine({ apiKey, concurrency = 2 }) {
+  const gemini = apiKey ? new GoogleGenAI({ apiKey }) : null;
+  const limiter = createRateLimiter({ concurrency });
+
+  /** One pass over MODELS_TO_TRY. Returns the result, null, or { quotaDelay } when a model was rate limited. */
+  const tryModels = async (base64, mimeType, template) => {
+    let quotaDelay = null;
+    for (const modelId of MODELS_TO_TRY) {
+      try {
+        const response = await gemini.models.generateContent({
+          model: modelId,
+          contents: [
+            {
+              role: 'user',
+              parts: [
+                { text: visionPrompt(template) },
+                { inlineData: { mimeType, data: base64 } },
+              ],
+            },
+          ],
+        });
+        const text = response?.text ?? null;
+        if (!text) continue;
+        let jsonStr = text.trim();
+        const jsonMatch = jsonStr.match(/\{[\s\S]*\}/);
+        if (jsonMatch) jsonStr = jsonMatch[0];
+        const parsed = JSON.parse(jsonStr);
+        const structured = toStructured(parsed, template);
+        return { structured, confidence: toConfidence(parsed, structured, template) };
+      } catch (err) {
+        if (isQuotaError(err)) {
+          console.warn(`Gemini quota exceeded (${modelId}).`);
+          const delay = quotaRetryDelay(err);
+          quotaDelay = quotaDelay === null ? delay : Math.min(quotaDelay, delay);
+        } else {
+          console.warn(`Gemini (${modelId}):`, err.message?.slice(0, 100));
+        }
+      }
+    }
+    return quotaDelay === null ? null : { quotaDelay };
+  };
+
+  return {
+    id: 'gemini',
+    label: 'Google Gemini vision',
+    isAvailable: () => !!gemini,
+
+    /**
+     * Send image to Gemini vision and get the template's structured fields plus per-field confidence. Returns { structured, confidence } or null; throws RateLimitError
+     * when the quota is still exhausted after waiting.
+     */
+    async extract(imageBuffer, mimeType = 'image/jpeg', template = getTemplate()) {
+      if (!gemini || !imageBuffer?.length) return null;
+      const base64 = imageBuffer.toString('base64');
+      // Rate limited: wait our turn behind the shared pause while it is short, otherwise
+      // give up so the caller can fall back to another engine or tell the client when to retry.
+      for (let attempt = 0; ; attempt++) {
+        if (attempt >= MAX_QUOTA_RETRIES || limiter.pausedFor() > MAX_QUOTA_WAIT_MS) {
+          throw new RateLimitError('Gemini rate limit reached', limiter.pausedFor() || DEFAULT_QUOTA_DELAY_MS);
+        }
+        const result = await limiter.schedule(() => tryModels(base64, mimeType, template));
+        if (!result?.quotaDelay) return result;
+        limiter.pause(result.quotaDelay);
+      }
+    },
+  };
+}
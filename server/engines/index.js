@@ -0,0 +1,81 @@
+/**
+ * Extraction engines. Each engine turns an envelope photo into the structured row shape of a
+ * form template (formTemplates.js):
+ *
+ *   {
+ *     id: string,
+ *     label: string,
+ *     isAvailable(): boolean,
+ *     extract(imageBuffer, mimeType, template): Promise<{ structured, confidence, rawText? } | null>,
+ *   }
+ *
+ * extract() resolves to null (or throws) when it cannot read the form; the next engine
+ * in the configured order is then tried. An engine that is only rate limited throws a
+ * RateLimitError; if no other engine reads the form, that error is passed on so the
+ * route can answer 429 with Retry-After.
+ */
+
+import { getTemplate } from '../formTemplates.js';
+import { createGeminiEngine } from './gemini.js';
+import { RateLimitError } from './rateLimiter.js';
+import { createTesseractEngine } from './tesseract.js';
+
+export { RateLimitError };
+
+export const DEFAULT_ENGINE_ORDER = ['gemini', 'tesseract'];
+
+/**
+ * @param {object} config
+ * @param {string[]} [config.order] engine ids, primary first, then fallbacks (EXTRACTION_ENGINES)
+ * @param {string} [config.geminiApiKey]
+ * @param {number} [config.geminiConcurrency]
+ * @param {string} [config.tesseractLangPath]
+ */
+export function createExtractionEngines({ order = DEFAULT_ENGINE_ORDER, geminiApiKey, geminiConcurrency, tesseractLangPath } = {}) {
+  const engines = {
+    gemini: createGeminiEngine({ apiKey: geminiApiKey, concurrency: geminiConcurrency }),
+    tesseract: createTesseractEngine({ langPath: tesseractLangPath }),
+  };
+  const chain = order.filter((id) => {
+    if (engines[id]) return true;
+    console.warn(`Unknown extraction engine "${id}" ignored.`);
+    return false;
+  });
+
+  return {
+    get: (id) => engines[id] || null,
+    /** Engine ids in try order that can run right now. */
+    available: () => chain.filter((id) => engines[id].isAvailable()),
+
+    /**
+     * Run engines in order until one reads the form.
+     * @param {object} [options.template] the session's form template (default: contribution envelope)
+     * @returns {Promise<{ engine: string, structured, confidence, rawText?, attempts: object[] } | null>}
+     * @throws {RateLimitError} when nothing read the form and an engine was rate limited
+     */
+    async extract(imageBuffer, mimeType, { log = () => {}, template = getTemplate() } = {}) {
+      const attempts = [];
+      let rateLimited = null;
+      for (const id of chain) {
+        const engine = engines[id];
+        if (!engine.isAvailable()) continue;
+        try {
+          log(`trying ${id}`);
+          const result = await engine.extract(imageBuffer, mimeType, template);
+          if (result) {
+            attempts.push({ engine: id, ok: true });
+            return { ...result, engine: id, attempts };
+          }
+          attempts.push({ engine: id, ok: false, error: 'no result' });
+        } catch (err) {
+          attempts.push({ engine: id, ok: false, error: err.message });
+          if (err instanceof RateLimitError) rateLimited = err;
+          console.warn(`Extraction engine ${id} failed:`, err.message?.slice(0, 100));
+        }
+        log(`${id} could not read the form`);
+      }
+      if (rateLimited) throw rateLimited;
+      return null;
+    },
+  };
+}
@@ -0,0 +1,125 @@
+/**
+ * Heuristic parser for plain OCR text of a scanned form, driven by the form template.
+ * Reads "Label: value" lines and falls back to pattern matching over the whole text.
+ * Pure JavaScript with no Node or browser dependencies, so the same parser can run anywhere.
+ */
+
+import { envelopeFields, getTemplate, hasLines, lineFields } from '../formTemplates.js';
+import { detectCurrency, parseCurrency } from '../normalize.js';
+import { toStructured } from '../structured.js';
+
+const EMAIL_PATTERN = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/;
+const PHONE_PATTERN = /(?:\+?256|0)\s*7\d(?:[\s-]*\d){7}/;
+const DATE_PATTERN = /\b(?:\d{4}[-/.]\d{1,2}[-/.]\d{1,2}|\d{1,2}[-/.]\d{1,2}[-/.]\d{2,4}|\d{1,2}(?:st|nd|rd|th)?\s+[A-Za-z]{3,9}\.?,?\s+\d{4})\b/;
+const AMOUNT_PATTERN = /(?:UGX|USH|SHS?\.?|KES|KSH|USD|\$)\s*\d[\d,.]*\s*(?:[kKmM](?![a-z]))?|\d[\d,.]*\s*(?:[kKmM](?![a-z]))?\s*(?:\/=|(?:UGX|USD|KES)\b)/i;
+/** An amount beside a ticked option, where no label says it is one: "20,000", "UGX 20k", "20000/=". */
+const LINE_AMOUNT_PATTERN = /(?:UGX|USH|SHS?\.?|KES|KSH|USD|\$)?\s*\d[\d,.]*\s*(?:[kKmM](?![a-z]))?(?:\s*(?:\/=|(?:UGX|USD|KES)\b))?/i;
+const TICK = '(?:\\[\\s*[xX✓✔]\\s*\\]|\\(\\s*[xX✓✔]\\s*\\)|[☑☒✓✔])';
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+/** "first fruits" also matches "firstfruits" and "first  fruits" */
+const loosePattern = (s) => escapeRegExp(String(s).trim()).replace(/\s+/g, '\\s*');
+
+/** Pattern for the printed label of a field at the start of a line, or null when it has none. */
+function labelPattern(field) {
+  const labels = field.labels ?? [escapeRegExp(field.label)];
+  return labels.length ? new RegExp(`^(?:${labels.join('|')})\\b`, 'i') : null;
+}
+
+/** Value after a "Label:" line, or the next line when the label stands alone. */
+function labelledValue(lines, pattern, allPatterns) {
+  if (!pattern) return '';
+  for (let i = 0; i < lines.length; i++) {
+    const match = lines[i].match(pattern);
+    if (!match) continue;
+    const rest = lines[i].slice(match[0].length).replace(/^[\s:.\-–_]+/, '').trim();
+    if (rest) return rest;
+    const next = lines[i + 1];
+    if (next && !allPatterns.some((p) => p.test(next))) return next.trim();
+  }
+  return '';
+}
+
+/** Matches an option's label (or an alias) right next to a tick mark, e.g. "[x] Tithe" or "Tithe ✓". */
+function tickedPattern(field, value) {
+  const names = [value, ...(field.aliases?.[value] || [])].map(loosePattern).join('|');
+  return new RegExp(`${TICK}\\s*(?:${names})\\b|\\b(?:${names})\\s*${TICK}`, 'i');
+}
+
+/** First option whose label sits right next to a tick mark. */
+function tickedOption(text, field) {
+  return (field.options || []).find((value) => tickedPattern(field, value).test(text)) || '';
+}
+
+/** Value for one field: its labelled line, checked against the field type, or a pattern match anywhere. */
+function fieldValue(field, labelled, source) {
+  const find = (pattern) => source.match(pattern)?.[0]?.trim() || '';
+  switch (field.type) {
+    case 'email':
+      return labelled.match(EMAIL_PATTERN)?.[0] || find(EMAIL_PATTERN);
+    case 'phone':
+      return (labelled.match(/[+\d][\d\s-]{7,}/)?.[0] || find(PHONE_PATTERN)).replace(/[\s-]/g, '');
+    case 'date':
+      return labelled.match(DATE_PATTERN)?.[0] || find(DATE_PATTERN);
+    case 'amount':
+      return (/\d/.test(labelled) ? labelled : '') || find(AMOUNT_PATTERN);
+    case 'number':
+      return labelled.match(/\d+/)?.[0] || '';
+    case 'currency':
+      return parseCurrency(labelled) || '';
+    default:
+      // Ticked boxes win over a written value, e.g. "[x] Cash" on a form that also has a "Payment:" line
+      return tickedOption(source, field) || labelled;
+  }
+}
+
+/** A blank currency field takes the currency written with its amount ("USD 20", "20,000/="). */
+function withAmountCurrency(values, fields) {
+  const amount = fields.find((field) => field.type === 'amount');
+  const currency = fields.find((field) => field.type === 'currency');
+  if (amount && currency && !values[currency.key]) values[currency.key] = detectCurrency(values[amount.key]) || '';
+  return values;
+}
+
+/**
+ * Contribution lines: one per ticked option of the line's choice field, in the order they appear,
+ * each with the amount written on the same line of text ("[x] Tithe 20,000"). With one option
+ * ticked (or none) there is one line, and the labelled amount belongs to it.
+ */
+function parseLines(template, source, readField) {
+  const fields = lineFields(template);
+  const choice = fields.find((field) => field.type === 'choice');
+  const textLines = source.split(/\r?\n/);
+  const ticked = (choice?.options || [])
+    .map((value) => {
+      const pattern = tickedPattern(choice, value);
+      const index = textLines.findIndex((line) => pattern.test(line));
+      return { value, index, rest: index === -1 ? '' : textLines[index].replace(pattern, ' ') };
+    })
+    .filter(({ index }) => index !== -1)
+    .sort((a, b) => a.index - b.index);
+  if (ticked.length < 2) {
+    return [withAmountCurrency(Object.fromEntries(fields.map((field) => [field.key, readField(field)])), fields)];
+  }
+  return ticked.map(({ value, rest }) => withAmountCurrency(Object.fromEntries(fields.map((field) => {
+    if (field === choice) return [field.key, value];
+    return [field.key, field.type === 'amount' ? rest.match(LINE_AMOUNT_PATTERN)?.[0]?.trim() || '' : ''];
+  })), fields));
+}
+
+/**
+ * Parse OCR text into the template's structured row shape (one string per field, and one object
+ * per contribution line). Fields that cannot be found are left as "".
+ */
+export function parseFormText(text, template = getTemplate()) {
+  const source = String(text ?? '');
+  const lines = source.split(/\r?\n/).map((l) => l.trim()).filter(Boolean);
+  const patterns = new Map(template.fields.map((field) => [field.key, labelPattern(field)]));
+  const allPatterns = [...patterns.values()].filter(Boolean);
+  const readField = (field) => fieldValue(field, labelledValue(lines, patterns.get(field.key), allPatterns), source);
+
+  const fields = envelopeFields(template);
+  const parsed = withAmountCurrency(Object.fromEntries(fields.map((field) => [field.key, readField(field)])), fields);
+  if (hasLines(template)) parsed.lines = parseLines(template, source, readField);
+  return toStructured(parsed, template);
+}
@@ -0,0 +1,61 @@
+/**
+ * Concurrency limiter with a shared pause, used to apply backpressure to rate-limited APIs.
+ * When one call is told to slow down (HTTP 429), pause() holds every call that has not started
+ * yet until the quota window has passed, instead of letting each request fail on its own.
+ */
+
+/** Thrown when an upstream API is rate limited for longer than we are willing to hold a request. */
+export class RateLimitError extends Error {
+  constructor(message, retryAfterMs) {
+    super(message);
+    this.name = 'RateLimitError';
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+export function createRateLimiter({ concurrency = 2 } = {}) {
+  let active = 0;
+  let pausedUntil = 0;
+  let wakeTimer = null;
+  const waiting = [];
+
+  const next = () => {
+    while (active < concurrency && waiting.length > 0) {
+      const delay = pausedUntil - Date.now();
+      if (delay > 0) {
+        if (!wakeTimer) {
+          wakeTimer = setTimeout(() => {
+            wakeTimer = null;
+            next();
+          }, delay);
+        }
+        return;
+      }
+      active += 1;
+      const { fn, resolve, reject } = waiting.shift();
+      Promise.resolve()
+        .then(fn)
+        .then(resolve, reject)
+        .finally(() => {
+          active -= 1;
+          next();
+        });
+    }
+  };
+
+  return {
+    /** Run fn once a slot is free and no pause is in effect. */
+    schedule(fn) {
+      return new Promise((resolve, reject) => {
+        waiting.push({ fn, resolve, reject });
+        next();
+      });
+    },
+    /** Hold all calls that have not started yet for ms. */
+    pause(ms) {
+      pausedUntil = Math.max(pausedUntil, Date.now() + ms);
+    },
+    /** Milliseconds until the current pause ends (0 when not paused). */
+    pausedFor: () => Math.max(0, pausedUntil - Date.now()),
+  };
+}
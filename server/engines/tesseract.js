@@ -0,0 +1,81 @@
+/**
+ * Offline engine: Tesseract OCR on the server, then the heuristic form parser.
+ * Needs no API key or quota. Set TESSERACT_LANG_PATH to a folder holding eng.traineddata
+ * to run without downloading the language data on first use.
+ */
+
+import Tesseract from 'tesseract.js';
+import { structuredPaths } from '../formTemplates.js';
+import { parseFormText } from './parseFormText.js';
+
+const RETRY_AFTER_FAILURE_MS = 60 * 1000;
+
+export function createTesseractEngine({ lang = 'eng', langPath } = {}) {
+  // Singleton worker, created on first use
+  let workerPromise = null;
+  let failedAt = 0;
+  const getWorker = () => {
+    if (!workerPromise && Date.now() - failedAt < RETRY_AFTER_FAILURE_MS) {
+      // Each failed start leaves a thread behind; don't spawn one per request while offline
+      return Promise.reject(new Error('Tesseract unavailable (language data could not be loaded)'));
+    }
+    if (!workerPromise) {
+      workerPromise = new Promise((resolve, reject) => {
+        const options = {
+          ...(langPath ? { langPath } : {}),
+          // Without a handler tesseract.js rethrows worker errors and takes the server down.
+          // createWorker also never settles when the language data fails to load, so fail here.
+          errorHandler: (err) => {
+            console.warn('Tesseract worker error:', String(err).slice(0, 100));
+            reject(new Error(`Tesseract failed: ${String(err).slice(0, 100)}`));
+          },
+        };
+        Tesseract.createWorker(lang, 1, options).then(resolve, reject);
+      }).catch((err) => {
+        workerPromise = null;
+        failedAt = Date.now();
+        throw err;
+      });
+    }
+    return workerPromise;
+  };
+
+  return {
+    id: 'tesseract',
+    label: 'Tesseract OCR + form parser (offline)',
+    isAvailable: () => true,
+
+    /**
+     * OCR the image and parse the text into structured fields. Parsed values are at best
+     * "medium" confidence, and "low" when Tesseract itself was unsure of the page.
+     */
+    async extract(imageBuffer, mimeType, template) {
+      if (!imageBuffer?.length) return null;
+      const worker = await getWorker();
+      await worker.setParameters({ tessedit_pageseg_mode: '6' }); // Uniform block of text
+      let { data } = await worker.recognize(imageBuffer);
+      if (!data.text?.trim() || data.confidence < 30) {
+        // Sparse text mode copes better with forms laid out in boxes
+        await worker.setParameters({ tessedit_pageseg_mode: '11' });
+        const fallback = (await worker.recognize(imageBuffer)).data;
+        if ((fallback.text || '').trim().length > (data.text || '').trim().length) data = fallback;
+      }
+      const text = data.text || '';
+      if (!text.trim()) return null;
+
+      const structured = parseFormText(text, template);
+      const values = structuredPaths(template, structured);
+      if (!values.some(({ value }) => value)) return null;
+      const level = data.confidence >= 75 ? 'medium' : 'low';
+      const confidence = Object.fromEntries(values.map(({ path, value }) => [path, value ? level : 'low']));
+      return { structured, confidence, rawText: text };
+    },
+
+    async terminate() {
+      if (!workerPromise) return;
+      const worker = await workerPromise.catch(() => null);
+      workerPromise = null;
+      await worker?.terminate();
+    },
+  };
+}
@@ -0,0 +1,282 @@
+/**
+ * Form templates: the kinds of paper form a session can scan. A template lists the fields to read
+ * and everything else follows from it: the Gemini prompt, the OCR parser, normalization, review
+ * flags, the table and viewer columns and the spreadsheet columns. Supporting a new form is a
+ * change to this table only; the app imports it too, like the form parser.
+ *
+ * Template properties besides id, name, description and fields:
+ *   giving    its amounts are gifts received, listed on giving statements (a pledge card only
+ *             promises one)
+ *
+ * Field properties:
+ *   key       property name in entry.structured / entry.normalized; never rename one that has shipped
+ *   label     short column title in the app
+ *   column    spreadsheet column title (defaults to label)
+ *   type      'text' | 'email' | 'phone' | 'date' | 'amount' | 'currency' | 'number' | 'choice'
+ *             (an amount needs a 'currency' field, keyed "currency", next to it)
+ *   required  an empty value flags the row for review
+ *   line      repeated for every contribution line on the form (e.g. a type and its amount),
+ *             stored in structured.lines instead of once per row
+ *   options   values written or ticked on the form; a 'choice' field must be one of them
+ *   aliases   other spellings per option, e.g. { Tithe: ['tithes'] }
+ *   labels    regular expressions for the printed label the OCR parser looks for
+ *             (defaults to the label itself; [] when the value is only ever ticked)
+ *   hint      extra instruction for the vision model
+ */
+
+export const FIELD_TYPES = ['text', 'email', 'phone', 'date', 'amount', 'currency', 'number', 'choice'];
+export const DEFAULT_TEMPLATE_ID = 'contribution';
+
+/** Properties stored next to the fields, so no field may use them. */
+const RESERVED_KEYS = ['confidence', 'lines'];
+
+export const FORM_TEMPLATES = [
+  {
+    id: 'contribution',
+    name: 'Contribution envelope',
+    description: 'contribution/donation form',
+    giving: true,
+    fields: [
+      { key: 'name', label: 'Name', type: 'text', required: true, labels: ['(?:full\\s*)?names?', 'given\\s+by', 'member'] },
+      { key: 'email', label: 'Email', type: 'email', labels: ['e-?mail'] },
+      {
+        key: 'telephone',
+        label: 'Telephone',
+        type: 'phone',
+        labels: ['(?:tel(?:ephone)?|phone|mobile|contact)(?:\\s*no\\.?|\\s*number)?'],
+      },
+      { key: 'date', label: 'Date', type: 'date' },
+      {
+        key: 'contributionType',
+        label: 'Type',
+        column: 'Contribution Type',
+        type: 'choice',
+        required: true,
+        options: ['Tithe', '1st fruits', 'Offertory', 'Prisons ministry', 'Manifest', 'Other'],
+        aliases: {
+          Tithe: ['tithes'],
+          '1st fruits': ['1st fruit', 'first fruits', 'first fruit'],
+          Offertory: ['offering', 'offerings'],
+          'Prisons ministry': ['prison ministry', 'prisons', 'prison'],
+          Other: ['others'],
+        },
+        labels: [],
+        line: true,
+      },
+      {
+        key: 'paymentMethod',
+        label: 'Payment',
+        column: 'Payment Method',
+        type: 'text',
+        options: ['Mobile money', 'Cash', 'Bank', 'Cheque', 'Card'],
+        labels: ['payment\\s*(?:method|mode)?', 'mode\\s+of\\s+payment', 'paid\\s+(?:by|via)'],
+      },
+      { key: 'amount', label: 'Amount', type: 'amount', required: true, labels: ['amount', 'amt', 'sum'], line: true },
+      { key: 'currency', label: 'Currency', type: 'currency', line: true },
+    ],
+  },
+  {
+    id: 'pledge',
+    name: 'Partnership pledge card',
+    description: 'partnership pledge card',
+    fields: [
+      { key: 'name', label: 'Name', type: 'text', required: true, labels: ['(?:full\\s*)?names?', 'partner'] },
+      {
+        key: 'telephone',
+        label: 'Telephone',
+        type: 'phone',
+        labels: ['(?:tel(?:ephone)?|phone|mobile|contact)(?:\\s*no\\.?|\\s*number)?'],
+      },
+      { key: 'email', label: 'Email', type: 'email', labels: ['e-?mail'] },
+      {
+        key: 'frequency',
+        label: 'Every',
+        column: 'Frequency',
+        type: 'choice',
+        required: true,
+        options: ['Weekly', 'Monthly', 'Quarterly', 'Yearly', 'Once'],
+        aliases: {
+          Weekly: ['every week', 'per week'],
+          Monthly: ['every month', 'per month'],
+          Quarterly: ['every quarter', 'per quarter'],
+          Yearly: ['annually', 'annual', 'every year', 'per year'],
+          Once: ['one off', 'one-off', 'one time', 'one-time'],
+        },
+        labels: [],
+      },
+      {
+        key: 'date',
+        label: 'Start',
+        column: 'Start date',
+        type: 'date',
+        labels: ['start(?:ing)?\\s*(?:date|from)?', 'date'],
+        hint: 'the date the pledge starts, or the date on the card',
+      },
+      {
+        key: 'amount',
+        label: 'Pledge',
+        column: 'Pledge amount',
+        type: 'amount',
+        required: true,
+        labels: ['pledge(?:\\s*amount)?', 'amount', 'amt'],
+        hint: 'the amount pledged each time, not a total',
+      },
+      { key: 'currency', label: 'Currency', type: 'currency' },
+    ],
+  },
+  {
+    id: 'registration',
+    name: 'Event registration',
+    description: 'registration form for an event',
+    fields: [
+      { key: 'name', label: 'Name', type: 'text', required: true, labels: ['(?:full\\s*)?names?'] },
+      {
+        key: 'telephone',
+        label: 'Telephone',
+        type: 'phone',
+        required: true,
+        labels: ['(?:tel(?:ephone)?|phone|mobile|contact)(?:\\s*no\\.?|\\s*number)?'],
+      },
+      { key: 'email', label: 'Email', type: 'email', labels: ['e-?mail'] },
+      { key: 'fellowship', label: 'Fellowship', type: 'text', labels: ['fellowship', 'church', 'cell(?:\\s*group)?'] },
+      {
+        key: 'attendees',
+        label: 'People',
+        column: 'Number attending',
+        type: 'number',
+        labels: ['(?:no\\.?|number)\\s*(?:of\\s*)?(?:people|persons|attendees)', 'attendees', 'people'],
+        hint: 'how many people are registered on this form, including the person filling it',
+      },
+      { key: 'date', label: 'Date', type: 'date' },
+    ],
+  },
+];
+
+/** Throws on a template this module cannot generate a prompt, parser and columns for. */
+function checkTemplate(template) {
+  const fail = (message) => {
+    throw new Error(`Form template "${template.id}": ${message}`);
+  };
+  if (!/^[a-z][a-z0-9-]*$/.test(template.id || '')) fail('id must be lower-case letters, digits and dashes');
+  if (!template.name) fail('name is required');
+  if (!template.fields?.length) fail('at least one field is required');
+  const keys = new Set();
+  template.fields.forEach((field) => {
+    if (!/^[a-zA-Z][a-zA-Z0-9]*$/.test(field.key || '')) fail(`field key "${field.key}" must be a plain identifier`);
+    if (keys.has(field.key) || RESERVED_KEYS.includes(field.key)) fail(`field key "${field.key}" is used twice or reserved`);
+    keys.add(field.key);
+    if (!field.label) fail(`field "${field.key}" needs a label`);
+    if (!FIELD_TYPES.includes(field.type)) fail(`field "${field.key}" has unknown type "${field.type}"`);
+    if (field.type === 'choice' && !field.options?.length) fail(`choice field "${field.key}" needs options`);
+    if (field.line && !['text', 'choice', 'amount', 'currency', 'number'].includes(field.type)) {
+      fail(`field "${field.key}" cannot repeat per line (type ${field.type})`);
+    }
+    if ((field.key === 'currency') !== (field.type === 'currency')) fail('the currency field must be keyed "currency"');
+  });
+  // Totals and conversions read normalized.currency (or lines[i].currency) beside the amount
+  const amounts = template.fields.filter((field) => field.type === 'amount');
+  const currency = template.fields.find((field) => field.type === 'currency');
+  if (amounts.length > 1) fail('only one amount field is allowed');
+  if (template.giving && !amounts.length) fail('a giving form needs an amount field');
+  if (!amounts.length !== !currency || (currency && !amounts[0].line !== !currency.line)) {
+    fail('an amount field needs a currency field, both on the lines or both once per form');
+  }
+}
+
+const seen = new Set();
+FORM_TEMPLATES.forEach((template) => {
+  checkTemplate(template);
+  if (seen.has(template.id)) throw new Error(`Form template "${template.id}" is defined twice`);
+  seen.add(template.id);
+});
+
+export function isTemplateId(id) {
+  return FORM_TEMPLATES.some((template) => template.id === id);
+}
+
+/** The template with this id; rows and sessions from before templates existed get the default. */
+export function getTemplate(id) {
+  return FORM_TEMPLATES.find((template) => template.id === id)
+    || FORM_TEMPLATES.find((template) => template.id === DEFAULT_TEMPLATE_ID);
+}
+
+/** Fields written once per form (name, date ...). */
+export function envelopeFields(template) {
+  return template.fields.filter((field) => !field.line);
+}
+
+/** Fields repeated on every contribution line (type and amount on the envelope). */
+export function lineFields(template) {
+  return template.fields.filter((field) => field.line);
+}
+
+export function hasLines(template) {
+  return template.fields.some((field) => field.line);
+}
+
+/** Path of a line field, e.g. "lines[1].amount" for the amount on the second line. */
+export const linePath = (index, key) => `lines[${index}].${key}`;
+
+/** Copy of a structured row with the value at a path ("name", "lines[1].amount") replaced. */
+export function withStructuredValue(structured = {}, path, value) {
+  const match = String(path).match(/^lines\[(\d+)\]\.(\w+)$/);
+  if (!match) return { ...structured, [path]: value };
+  const lines = [...(structured.lines?.length ? structured.lines : [{}])];
+  const index = Number(match[1]);
+  lines[index] = { ...lines[index], [match[2]]: value };
+  return { ...structured, lines };
+}
+
+/**
+ * Every value of a structured row with its path: "name" for a field written once, "lines[1].amount"
+ * for a field of the second line. Confidence, review flags and audit changes are keyed by path.
+ * A row of a template with lines always has at least one line.
+ * @returns {Array<{ path: string, field: object, line: number|null, value: string }>}
+ */
+export function structuredPaths(template, structured = {}) {
+  const lines = structured.lines?.length ? structured.lines : [{}];
+  return template.fields.flatMap((field) => (field.line
+    ? lines.map((line, index) => ({ path: linePath(index, field.key), field, line: index, value: line[field.key] ?? '' }))
+    : [{ path: field.key, field, line: null, value: structured[field.key] ?? '' }]));
+}
+
+/** Spreadsheet column title for a field. */
+export function fieldColumn(field) {
+  return field.column || field.label;
+}
+
+/**
+ * Cells for one field as [column title, value] pairs. Typed fields show the normalized value and
+ * fall back to what was written; an amount also gets the amount as written.
+ */
+function fieldCells(field, written, value) {
+  const column = fieldColumn(field);
+  if (field.type === 'text' || field.type === 'email') return [[column, written]];
+  if (field.type !== 'amount') return [[column, value ?? written]];
+  return [[column, value ?? written], [`${column} (as written)`, written]];
+}
+
+/**
+ * Spreadsheet rows for one scanned form, each a list of [column title, value] pairs in template
+ * order. A form with contribution lines gives one row per line, numbered in a "Line" column, with
+ * the fields written once repeated on each.
+ */
+export function exportRows(template, structured = {}, normalized = {}) {
+  const envelopeCells = (field) => fieldCells(field, structured[field.key] || '', normalized[field.key]);
+  if (!hasLines(template)) return [template.fields.flatMap(envelopeCells)];
+  const lines = structured.lines?.length ? structured.lines : [{}];
+  return lines.map((line, index) => {
+    const typed = normalized.lines?.[index] || {};
+    return [
+      ['Line', index + 1],
+      ...template.fields.flatMap((field) => (field.line
+        ? fieldCells(field, line[field.key] || '', typed[field.key])
+        : envelopeCells(field))),
+    ];
+  });
+}
+
+/** Field column titles of several templates in order, each title once (rows of mixed forms share "Name"). */
+export function exportColumns(templates) {
+  return [...new Set(templates.flatMap((template) => exportRows(template)[0].map(([column]) => column)))];
+}
@@ -1,20 +1,39 @@
 /**
  * Node.js Express server
  * React frontend + Google Gemini: image → vision API → structured form data.
- * Login required: users stored in server/data/users.json; add users via POST /api/admin/users.
+ * Login required: users stored in the SQLite database (server/db.js, server/data/phaneroo.db);
+ * add users via POST /api/admin/users.
  */
 
 import 'dotenv/config';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import fs from 'fs';
+import crypto from 'crypto';
 import express from 'express';
 import multer from 'multer';
 import XLSX from 'xlsx';
 import cors from 'cors';
 import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
-import { GoogleGenAI } from '@google/genai';
+import archiver from 'archiver';
+import { amountTotals, convertAmount, currencyTotals, normalizePhone, normalizeStructured, parseCurrency } from './normalize.js';
+import { createStore, importJsonFiles } from './db.js';
+import { findDuplicate, imageHash } from './duplicates.js';
+import { createLoginThrottle } from './loginThrottle.js';
+import { MEMBER_FIELDS, matchMember, memberCandidates, readMemberRows, searchMembers } from './members.js';
+import { generatePassword, passwordProblem } from './passwordPolicy.js';
+import { createSmsProvider } from './sms/index.js';
+import {
+  entryGifts, givingEntries, givingHistory, givingStatements, statementFilename, statementPdf, statementWorkbook,
+} from './statements.js';
+import { DEFAULT_ROLE, hasPermission, isRole, permissionsFor, ROLES } from './roles.js';
+import {
+  DEFAULT_TEMPLATE_ID, envelopeFields, exportColumns, exportRows, getTemplate, hasLines, isTemplateId, lineFields,
+  linePath, structuredPaths,
+} from './formTemplates.js';
+import { toConfidence, toStructured } from './structured.js';
+import { createExtractionEngines, DEFAULT_ENGINE_ORDER, RateLimitError } from './engines/index.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const app = express();
@@ -22,19 +41,37 @@ const PORT = process.env.PORT || 3001;
 const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
 const JWT_SECRET = process.env.JWT_SECRET || process.env.GEMINI_API_KEY || 'change-me-in-production';
 const ADMIN_SECRET = process.env.ADMIN_SECRET || '';
-let SUPER_ADMIN_NUMBERS = (process.env.SUPER_ADMIN_NUMBERS || '0705161161')
+/** Access tokens are short-lived; the client swaps its refresh token for a new pair when one expires. */
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_DAYS = Math.max(1, Number(process.env.REFRESH_TOKEN_DAYS) || 30);
+/** Failed logins before a number / a client IP is locked out (see loginThrottle.js). */
+const LOGIN_MAX_FAILURES = Math.max(1, Number(process.env.LOGIN_MAX_FAILURES) || 5);
+const LOGIN_IP_MAX_FAILURES = Math.max(1, Number(process.env.LOGIN_IP_MAX_FAILURES) || 20);
+/** Set behind a reverse proxy (e.g. TRUST_PROXY=1) so req.ip is the client, not the proxy. */
+const TRUST_PROXY = process.env.TRUST_PROXY || '';
+/** One-time login codes: lifetime, wrong guesses allowed per code, and wait before another code is sent. */
+const OTP_TTL_MINUTES = Math.max(1, Number(process.env.OTP_TTL_MINUTES) || 5);
+const OTP_MAX_ATTEMPTS = Math.max(1, Number(process.env.OTP_MAX_ATTEMPTS) || 5);
+const OTP_RESEND_SECONDS = Math.max(0, Number(process.env.OTP_RESEND_SECONDS ?? 60));
+// Numbers given the admin role when they have no role yet (first start, upgrade from the old super admin list)
+const SUPER_ADMIN_NUMBERS = (process.env.SUPER_ADMIN_NUMBERS || '')
   .split(',')
   .map((n) => n.trim().replace(/\s/g, ''))
   .filter(Boolean);
-if (SUPER_ADMIN_NUMBERS.length === 0) {
-  SUPER_ADMIN_NUMBERS = ['0705161161'];
-}
-if (!SUPER_ADMIN_NUMBERS.includes('0705161161')) {
-  SUPER_ADMIN_NUMBERS = ['0705161161', ...SUPER_ADMIN_NUMBERS];
-}
 const isProduction = process.env.NODE_ENV === 'production';
+const DEFAULT_CURRENCY = (process.env.DEFAULT_CURRENCY || 'UGX').trim().toUpperCase();
+// Converted totals (export, dashboard) are in this currency, at the exchange rates admins keep
+const BASE_CURRENCY = (process.env.BASE_CURRENCY || DEFAULT_CURRENCY).trim().toUpperCase();
 
-const gemini = GEMINI_API_KEY ? new GoogleGenAI({ apiKey: GEMINI_API_KEY }) : null;
+const extraction = createExtractionEngines({
+  order: (process.env.EXTRACTION_ENGINES || DEFAULT_ENGINE_ORDER.join(','))
+    .split(',')
+    .map((id) => id.trim().toLowerCase())
+    .filter(Boolean),
+  geminiApiKey: GEMINI_API_KEY,
+  geminiConcurrency: Math.max(1, Number(process.env.GEMINI_CONCURRENCY) || 2),
+  tesseractLangPath: process.env.TESSERACT_LANG_PATH,
+});
 
 // In-memory log buffer so logs can be viewed via /api/logs (e.g. locally)
 const LOG_BUFFER_MAX = 200;
@@ -48,47 +85,290 @@ function log(line) {
 }
 
 const DATA_DIR = path.join(__dirname, 'data');
-const USERS_FILE = path.join(DATA_DIR, 'users.json');
-const STATS_FILE = path.join(DATA_DIR, 'stats.json');
+const DATABASE_FILE = process.env.DATABASE_FILE || path.join(DATA_DIR, 'phaneroo.db');
+const IMAGES_DIR = path.join(DATA_DIR, 'images');
+const IMAGE_EXTENSIONS = { 'image/jpeg': 'jpg', 'image/png': 'png', 'image/webp': 'webp', 'image/heic': 'heic' };
+const SERVICES = ['1st service', '2nd service', 'Midweek'];
+const JOB_UPLOADS_DIR = path.join(DATA_DIR, 'job-uploads');
+const MAX_BATCH_IMAGES = 50;
+const BATCH_CONCURRENCY = Math.max(1, Number(process.env.BATCH_CONCURRENCY) || 2);
+const AUDIT_FILE = path.join(DATA_DIR, 'audit.log');
+const AUDIT_MAX_RESULTS = 1000;
+const SMS_FILE = process.env.SMS_FILE || path.join(DATA_DIR, 'sms-outbox.log');
+
+const store = createStore(DATABASE_FILE);
+const loginThrottle = createLoginThrottle(store, {
+  numberMaxFailures: LOGIN_MAX_FAILURES,
+  ipMaxFailures: LOGIN_IP_MAX_FAILURES,
+});
+/** Sends login codes; null (SMS_PROVIDER unset) turns code login off. */
+const sms = createSmsProvider((process.env.SMS_PROVIDER || '').trim().toLowerCase(), { file: SMS_FILE });
+/** Compared against when the number is unknown, so a wrong number takes as long as a wrong password. */
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync(crypto.randomUUID(), 10);
 
 function ensureDataDir() {
   if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
 }
 
-function readUsers() {
-  ensureDataDir();
-  if (!fs.existsSync(USERS_FILE)) return [];
+/** Day an entry belongs to: its session's date, else the day it was scanned. */
+function entryDay(entry, sessionsById) {
+  const session = entry.sessionId ? sessionsById.get(entry.sessionId) : null;
+  return session?.date || String(entry.createdAt || '').slice(0, 10);
+}
+
+/** Store the uploaded envelope photo under data/images; returns the entry's image metadata. */
+function saveEntryImage(entryId, buffer, mimeType) {
+  if (!buffer?.length) return null;
+  if (!fs.existsSync(IMAGES_DIR)) fs.mkdirSync(IMAGES_DIR, { recursive: true });
+  const file = `${entryId}.${IMAGE_EXTENSIONS[mimeType] || 'jpg'}`;
+  fs.writeFileSync(path.join(IMAGES_DIR, file), buffer);
+  return { file, mimeType: mimeType || 'image/jpeg', size: buffer.length };
+}
+
+/**
+ * Path of a stored photo under data/images, or null when the name is not a plain file name
+ * inside that folder (e.g. "../phaneroo.db").
+ */
+function imagePath(file) {
+  if (typeof file !== 'string' || !file || path.basename(file) !== file) return null;
+  const filePath = path.resolve(IMAGES_DIR, file);
+  return path.dirname(filePath) === path.resolve(IMAGES_DIR) ? filePath : null;
+}
+
+function deleteEntryImage(entry) {
+  if (!entry?.image?.file) return;
   try {
-    return JSON.parse(fs.readFileSync(USERS_FILE, 'utf8'));
-  } catch {
-    return [];
+    fs.unlinkSync(path.join(IMAGES_DIR, entry.image.file));
+  } catch (e) {
+    if (e.code !== 'ENOENT') console.warn('Image delete failed:', e.message);
   }
 }
 
-function writeUsers(users) {
-  ensureDataDir();
-  fs.writeFileSync(USERS_FILE, JSON.stringify(users, null, 2), 'utf8');
+/** Form template of a row: its session's template when it was saved. */
+const entryTemplate = (entry) => getTemplate(entry.templateId);
+
+/** Typed values of a row; rows sent by the client for export may not have them yet. */
+const entryNormalized = (entry) => entry.normalized
+  || normalizeStructured(entry.structured || {}, { defaultCurrency: DEFAULT_CURRENCY, template: entryTemplate(entry) }).normalized;
+
+/** The base currency and the exchange rates into it, as convertAmount takes them. */
+function currencyConversion() {
+  return {
+    base: BASE_CURRENCY,
+    rates: Object.fromEntries(store.listExchangeRates().map(({ currency, rate }) => [currency, rate])),
+  };
+}
+
+/**
+ * Subtotals of some rows per currency, each also converted to the base currency when it has a
+ * rate. total sums the converted subtotals; currencies without a rate are listed in missingRates
+ * and left out of it.
+ */
+function totalsByCurrency(entries, conversion) {
+  const currencies = Object.entries(currencyTotals(entries.map(entryNormalized))).map(([currency, { total, amounts }]) => ({
+    currency,
+    total,
+    amounts,
+    rate: currency === conversion.base ? 1 : conversion.rates[currency] ?? null,
+    converted: convertAmount(total, currency, conversion),
+  }));
+  return {
+    base: conversion.base,
+    currencies,
+    total: Math.round(currencies.reduce((sum, { converted }) => sum + (converted ?? 0), 0) * 100) / 100,
+    missingRates: currencies.filter(({ converted }) => converted === null).map(({ currency }) => currency),
+  };
+}
+
+/**
+ * Statement period from a query or body: from / to (YYYY-MM-DD, inclusive), by default the
+ * current calendar year. Null when a bound is not a date or they are the wrong way round.
+ */
+function statementPeriod({ from, to } = {}) {
+  const year = new Date().getFullYear();
+  const period = { from: from || `${year}-01-01`, to: to || `${year}-12-31` };
+  const isDay = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value);
+  return isDay(period.from) && isDay(period.to) && period.from <= period.to ? period : null;
+}
+
+/**
+ * Gifts on the stored rows of giving forms in a period (statements.js), each on the day of its
+ * session. Only verified rows count unless verifiedOnly is false; suspected duplicates never do.
+ */
+function storedGifts({ from, to }, { verifiedOnly = true } = {}) {
+  const sessionsById = new Map(store.listSessions().map((s) => [s.id, s]));
+  const members = new Map(store.listMembers().map((m) => [m.id, m]));
+  return givingEntries(store.listEntries(), { verifiedOnly }).flatMap((entry) => {
+    const day = entryDay(entry, sessionsById);
+    if (day < from || day > to) return [];
+    return entryGifts(entry, {
+      template: entryTemplate(entry),
+      day,
+      normalized: entryNormalized(entry),
+      member: entry.member?.id ? members.get(entry.member.id) || null : null,
+    });
+  });
+}
+
+/**
+ * Append a scanned row to the store, tagged with the scanning user's number. The row takes the
+ * form template of its session. image: { buffer, mimeType, hash? }
+ */
+function saveEntry(userNumber, { sessionId, text, rawText, structured, confidence, engine, image }) {
+  const now = new Date().toISOString();
+  const id = crypto.randomUUID();
+  const template = getTemplate(store.findSession(sessionId)?.templateId);
+  const values = toStructured(structured || {}, template);
+  const entry = {
+    id,
+    userNumber,
+    sessionId: sessionId || null,
+    templateId: template.id,
+    createdAt: now,
+    updatedAt: now,
+    text: text || '',
+    rawText: rawText || text || '',
+    structured: values,
+    engine: engine || 'manual',
+    // Rows typed in by hand have no model confidence; treat them as checked
+    confidence: confidence || Object.fromEntries(structuredPaths(template, values).map(({ path }) => [path, 'manual'])),
+    reviewedAt: null,
+    reviewedBy: null,
+    image: image ? saveEntryImage(id, image.buffer, image.mimeType) : null,
+    imageHash: image?.hash || null,
+    duplicateOf: null,
+    duplicateDismissed: [],
+    status: 'extracted',
+    editors: [],
+    verifiedBy: null,
+    verifiedAt: null,
+    lockedAt: null,
+  };
+  applyNormalization(entry);
+  applyMemberState(entry);
+  store.transaction(() => {
+    applyDuplicateState(entry, entry.sessionId ? store.listEntries(entry.sessionId) : []);
+    applyReviewState(entry);
+    store.insertEntry(entry);
+  });
+  return entry;
+}
+
+/** Apply changes to one stored job and write it back; returns the updated job or null. */
+function updateJob(jobId, change) {
+  return store.transaction(() => {
+    const job = store.findJob(jobId);
+    if (!job) return null;
+    change(job);
+    job.updatedAt = new Date().toISOString();
+    if (job.status !== 'cancelled' && job.items.every((item) => item.status === 'done' || item.status === 'failed')) {
+      job.status = 'done';
+      job.finishedAt = job.finishedAt || job.updatedAt;
+    }
+    store.updateJob(job);
+    return job;
+  });
 }
 
-function readStats() {
-  ensureDataDir();
-  if (!fs.existsSync(STATS_FILE)) return { total: 0, byNumber: {} };
+function deleteJobUpload(item) {
+  if (!item?.file) return;
   try {
-    return JSON.parse(fs.readFileSync(STATS_FILE, 'utf8'));
-  } catch {
-    return { total: 0, byNumber: {} };
+    fs.unlinkSync(path.join(JOB_UPLOADS_DIR, item.file));
+  } catch (e) {
+    if (e.code !== 'ENOENT') console.warn('Job upload delete failed:', e.message);
+  }
+}
+
+/**
+ * Record one event in the audit log (data/audit.log, one JSON object per line). The file is only
+ * ever appended to: nothing in the app rewrites or trims it. Never put passwords in an event.
+ * @param {string|null} actor number of the user who acted
+ * @param {string} action e.g. 'entry.update', 'user.password-reset'
+ * @param {object} details what was acted on ({ entryId, sessionId, number, ... }) and
+ *   changes: [{ field, from, to }] for edits
+ */
+function audit(actor, action, details = {}) {
+  const event = { id: crypto.randomUUID(), at: new Date().toISOString(), actor: actor || null, action, ...details };
+  try {
+    ensureDataDir();
+    fs.appendFileSync(AUDIT_FILE, JSON.stringify(event) + '\n', 'utf8');
+  } catch (e) {
+    console.warn('Audit write failed:', e.message);
   }
 }
 
-function incrementStats(userNumber) {
-  const stats = readStats();
-  stats.total = (stats.total || 0) + 1;
-  stats.byNumber = stats.byNumber || {};
-  stats.byNumber[userNumber] = (stats.byNumber[userNumber] || 0) + 1;
-  fs.writeFileSync(STATS_FILE, JSON.stringify(stats, null, 2), 'utf8');
+/** All audit events, oldest first. A line that cannot be parsed is skipped, not fatal. */
+function readAudit() {
+  if (!fs.existsSync(AUDIT_FILE)) return [];
+  return fs.readFileSync(AUDIT_FILE, 'utf8')
+    .split('\n')
+    .filter(Boolean)
+    .map((line) => {
+      try {
+        return JSON.parse(line);
+      } catch {
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+/** [{ field, from, to }] for each of the fields whose value differs between before and after. */
+function fieldChanges(before, after, fields) {
+  return fields
+    .filter((field) => (before?.[field] ?? '') !== (after?.[field] ?? ''))
+    .map((field) => ({ field, from: before?.[field] ?? '', to: after?.[field] ?? '' }));
+}
+
+/** fieldChanges for two structured rows, by path ("name", "lines[1].amount"), counting added and removed lines. */
+function structuredChanges(template, before, after) {
+  const from = new Map(structuredPaths(template, before).map(({ path, value }) => [path, value]));
+  const to = new Map(structuredPaths(template, after).map(({ path, value }) => [path, value]));
+  return fieldChanges(Object.fromEntries(from), Object.fromEntries(to), [...new Set([...from.keys(), ...to.keys()])]);
+}
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * A new access token and refresh token for the user. The access token carries the user's token
+ * version (tv); the refresh token is random and only its hash is stored.
+ */
+function issueTokens(user, req) {
+  const now = new Date();
+  const refreshToken = crypto.randomBytes(32).toString('base64url');
+  store.insertRefreshToken({
+    id: crypto.randomUUID(),
+    userNumber: user.number,
+    tokenHash: hashToken(refreshToken),
+    createdAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000).toISOString(),
+    userAgent: String(req.headers['user-agent'] || '').slice(0, 200),
+  });
+  const token = jwt.sign({ number: user.number, tv: user.tokenVersion || 0 }, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+  return { token, refreshToken };
+}
+
+/**
+ * Log the user out everywhere: bumping the token version makes every access token already issued
+ * fail requireAuth, and all their refresh tokens are revoked. Used by "log out all devices" and on
+ * password reset, disable and delete.
+ */
+function revokeSessions(user) {
+  store.transaction(() => {
+    user.tokenVersion = (user.tokenVersion || 0) + 1;
+    store.updateUser(user);
+    store.revokeUserRefreshTokens(user.number, new Date().toISOString());
+  });
 }
 
-/** Auth middleware: require valid JWT in Authorization: Bearer <token> */
+/** The only routes open to a user who has to replace a temporary password first. */
+const PASSWORD_CHANGE_ROUTES = ['/api/me', '/api/me/password', '/api/logout-all'];
+
+/**
+ * Auth middleware: require valid JWT in Authorization: Bearer <token>.
+ * The user is read from the database on every request so role changes apply at once, and a
+ * token issued before the user's last "log out everywhere" (older token version) is refused.
+ */
 function requireAuth(req, res, next) {
   const auth = req.headers.authorization;
   const token = auth && auth.startsWith('Bearer ') ? auth.slice(7) : null;
@@ -97,32 +377,42 @@ function requireAuth(req, res, next) {
   }
   try {
     const payload = jwt.verify(token, JWT_SECRET);
-    req.user = { number: payload.number };
+    const user = store.findUser(payload.number);
+    if (!user || user.disabled || (payload.tv ?? 0) !== (user.tokenVersion || 0)) {
+      return res.status(401).json({ error: 'Login required' });
+    }
+    if (user.mustChangePassword && !PASSWORD_CHANGE_ROUTES.includes(req.path)) {
+      return res.status(403).json({ error: 'Change your password first', code: 'password_change_required' });
+    }
+    req.user = {
+      number: user.number,
+      role: user.role || DEFAULT_ROLE,
+      name: user.name || '',
+      mustChangePassword: user.mustChangePassword,
+    };
     next();
   } catch {
     return res.status(401).json({ error: 'Login required' });
   }
 }
 
-/** Super admin middleware: require auth + number in SUPER_ADMIN_NUMBERS */
-function requireSuperAdmin(req, res, next) {
-  const auth = req.headers.authorization;
-  const token = auth && auth.startsWith('Bearer ') ? auth.slice(7) : null;
-  if (!token) return res.status(401).json({ error: 'Login required' });
-  try {
-    const payload = jwt.verify(token, JWT_SECRET);
-    if (!SUPER_ADMIN_NUMBERS.includes(payload.number)) {
-      return res.status(403).json({ error: 'Super admin access required' });
+/** Permission middleware (after requireAuth): the user's role must grant one of the permissions. */
+function requirePermission(...permissions) {
+  return (req, res, next) => {
+    if (!permissions.some((permission) => hasPermission(req.user?.role, permission))) {
+      return res.status(403).json({ error: 'You do not have permission to do this' });
     }
-    req.user = { number: payload.number };
     next();
-  } catch {
-    return res.status(401).json({ error: 'Login required' });
-  }
+  };
 }
 
+const can = (user, permission) => hasPermission(user?.role, permission);
+
 // Middleware
-app.use(cors());
+if (TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY === 'true' || TRUST_PROXY);
+}
+app.use(cors({ exposedHeaders: ['Content-Disposition', 'Retry-After'] }));
 app.use(express.json());
 
 // Configure multer for file uploads
@@ -131,71 +421,165 @@ const upload = multer({
   limits: { fileSize: 10 * 1024 * 1024 } // 10MB limit
 });
 
-/** Normalize parsed object to our structured shape */
-function toStructured(parsed) {
-  return {
-    name: String(parsed.name ?? '').trim(),
-    email: String(parsed.email ?? '').trim(),
-    telephone: String(parsed.telephone ?? '').trim(),
-    date: String(parsed.date ?? '').trim(),
-    paymentMethod: String(parsed.paymentMethod ?? '').trim(),
-    amount: String(parsed.amount ?? '').trim(),
-    contributionType: String(parsed.contributionType ?? '').trim(),
-  };
+/**
+ * Why a row needs a human to check it: a required field is empty, a value could not be
+ * normalized, or a field was read with low confidence and nobody has reviewed the row yet.
+ */
+function reviewFlags(entry) {
+  const structured = entry.structured || {};
+  const confidence = entry.confidence || {};
+  const values = structuredPaths(entryTemplate(entry), structured);
+  const flags = values
+    .filter(({ field, value }) => field.required && !value)
+    .map(({ path }) => ({ field: path, reason: 'missing' }));
+  (entry.validation || []).forEach(({ field, message }) => flags.push({ field, reason: 'invalid', message }));
+  if (!entry.reviewedAt) {
+    values
+      .filter(({ path, value }) => value && confidence[path] === 'low')
+      .forEach(({ path }) => flags.push({ field: path, reason: 'low-confidence' }));
+  }
+  return flags;
+}
+
+/** Recompute typed values (entry.normalized) and their issues from the raw entry.structured. */
+function applyNormalization(entry) {
+  const { normalized, issues } = normalizeStructured(entry.structured || {}, {
+    defaultCurrency: DEFAULT_CURRENCY,
+    template: entryTemplate(entry),
+  });
+  entry.normalized = normalized;
+  entry.validation = issues;
+  return entry;
 }
 
-const VISION_PROMPT = `Look at this image of a contribution/donation form. Extract the following fields and return ONLY a JSON object with exactly these keys (use empty string "" if not found): name, email, telephone, date, paymentMethod, amount, contributionType. No markdown, no explanation. Dates: YYYY-MM-DD or original format. Amount: digits or with currency. Telephone: digits only, include country code if present (e.g. +256). For contributionType: look at which option is TICKED/CHECKED on the form and use that exact label. Common options: Tithe, 1st fruits, Offertory, Prisons ministry, Manifest, Other. If multiple are ticked, use the first one; if none, use "".`;
+function applyReviewState(entry) {
+  entry.reviewFlags = reviewFlags(entry);
+  entry.needsReview = entry.reviewFlags.length > 0 || !!entry.duplicateOf;
+  return entry;
+}
 
 /**
- * Send image to Gemini vision and get structured fields (name, email, telephone, date, paymentMethod, amount).
+ * Flag the entry if it repeats an earlier row of the same session, whoever scanned it (same
+ * photo, or same amount and person). Sets entry.duplicateOf = { entryId, reasons } or null.
  */
-async function extractWithGeminiVision(imageBuffer, mimeType = 'image/jpeg') {
-  if (!gemini || !imageBuffer?.length) return null;
-  const base64 = imageBuffer.toString('base64');
-  const modelsToTry = ['gemini-2.5-flash', 'gemini-2.5-flash-lite', 'gemini-2.0-flash'];
-  for (const modelId of modelsToTry) {
-    try {
-      const response = await gemini.models.generateContent({
-        model: modelId,
-        contents: [
-          {
-            role: 'user',
-            parts: [
-              { text: VISION_PROMPT },
-              { inlineData: { mimeType, data: base64 } },
-            ],
-          },
-        ],
+function applyDuplicateState(entry, entries) {
+  const earlier = entries.filter((e) =>
+    e.id !== entry.id &&
+    e.sessionId === entry.sessionId &&
+    String(e.createdAt) < String(entry.createdAt)
+  );
+  entry.duplicateOf = entry.sessionId ? findDuplicate(entry, earlier) : null;
+  return entry;
+}
+
+/**
+ * Link the row to its member in the registry (members.js) and fill its blank name, telephone and
+ * email from them. A member picked by a person (member.by 'manual', id null for "nobody") is
+ * kept; otherwise the row is matched again from its values. Values filled from a member are
+ * listed in member.filled and cleared again when the row moves to another member, unless they
+ * were corrected since. Call after applyNormalization; it normalizes again when it changes values.
+ * Sets entry.member = { id, by, name, ref, score?, filled } or null.
+ * @param {object} [options]
+ * @param {object[]} [options.members] the registry, when already loaded
+ * @param {string|null} [options.memberId] a person's pick (null: nobody)
+ * @param {boolean} [options.auto] drop a person's pick and match from the values again
+ */
+function applyMemberState(entry, { members = store.listMembers(), memberId, auto = false } = {}) {
+  const previous = entry.member || null;
+  const structured = { ...(entry.structured || {}) };
+  const confidence = { ...(entry.confidence || {}) };
+  const formerMember = previous?.id ? members.find((m) => m.id === previous.id) : null;
+  // Values still as filled from the member are not evidence of who gave
+  const stillFilled = (previous?.filled || []).filter((key) => !formerMember || structured[key] === formerMember[key]);
+  const written = { ...(entry.normalized || {}) };
+  stillFilled.forEach((key) => delete written[key]);
+  const link = memberId !== undefined
+    ? { id: memberId, by: 'manual' }
+    : previous?.by === 'manual' && !auto ? previous : matchMember(written, members);
+  const member = link?.id ? members.find((m) => m.id === link.id) : null;
+  const sameMember = !!member && previous?.id === member.id;
+  let filled = sameMember ? previous.filled || [] : [];
+  let changed = false;
+  if (!sameMember) {
+    stillFilled.forEach((key) => {
+      structured[key] = '';
+      changed = true;
+    });
+  }
+  if (member) {
+    const keys = envelopeFields(entryTemplate(entry)).map((field) => field.key);
+    filled = filled.filter((key) => structured[key] === member[key]);
+    MEMBER_FIELDS
+      .filter((key) => keys.includes(key) && !structured[key] && member[key])
+      .forEach((key) => {
+        structured[key] = member[key];
+        confidence[key] = 'registry';
+        filled.push(key);
+        changed = true;
       });
-      const text = response?.text ?? null;
-      if (!text) continue;
-      let jsonStr = text.trim();
-      const jsonMatch = jsonStr.match(/\{[\s\S]*\}/);
-      if (jsonMatch) jsonStr = jsonMatch[0];
-      const parsed = JSON.parse(jsonStr);
-      return toStructured(parsed);
-    } catch (err) {
-      const isQuota = err.message && (err.message.includes('429') || err.message.includes('quota'));
-      if (isQuota) {
-        console.warn('Gemini quota exceeded.');
-      } else {
-        console.warn(`Gemini (${modelId}):`, err.message?.slice(0, 100));
-      }
-    }
   }
-  return null;
+  entry.member = link && (member || link.id === null)
+    ? { ...link, name: member?.name || '', ref: member?.ref || '', filled }
+    : null;
+  if (changed) {
+    entry.structured = structured;
+    entry.confidence = confidence;
+    applyNormalization(entry);
+  }
+  return entry;
+}
+
+/**
+ * Maker-checker state of a row: 'extracted' (as scanned, and while being corrected), 'verified'
+ * (checked by a second user; no more edits) or 'locked' (verified and its session closed; final).
+ * Rows stored before verification existed count as extracted.
+ */
+const entryStatus = (entry) => entry.status || 'extracted';
+
+/**
+ * Everyone who changed a row's values after it was scanned; none of them may verify it. Rows
+ * saved when only the last editor was kept have editedBy instead.
+ */
+const entryEditors = (entry) => [...new Set([...(entry.editors || []), ...(entry.editedBy ? [entry.editedBy] : [])])];
+
+/** Add the user to the row's editors (see entryEditors). */
+function addEditor(entry, userNumber) {
+  entry.editors = [...new Set([...entryEditors(entry), userNumber])];
+  delete entry.editedBy;
+}
+
+/** Whether the user may see a row and its photo: scanners their own rows, reviewers and finance every row. */
+const canSeeEntry = (user, entry) => entry.userNumber === user.number || can(user, 'review') || can(user, 'export');
+
+/** Whether the user may change a row: scanners their own rows, reviewers every row. */
+const canChangeEntry = (user, entry) => entry.userNumber === user.number || can(user, 'review');
+
+/** Send 409 and return true when the row is verified or locked and so may not be changed. */
+function rejectIfVerified(entry, res) {
+  const status = entryStatus(entry);
+  if (status === 'extracted') return false;
+  res.status(409).json({
+    error: status === 'locked' ? 'Row is locked' : 'Row is verified. Send it back for changes first.',
+  });
+  return true;
+}
+
+/** Re-check and store the rows of a session that pointed at a row that was just deleted or merged away. */
+function refreshDuplicatesOf(sessionId, removedId) {
+  const entries = store.listEntries(sessionId);
+  entries
+    .filter((e) => e.duplicateOf?.entryId === removedId)
+    .forEach((e) => {
+      applyReviewState(applyDuplicateState(e, entries));
+      store.updateEntry(e);
+    });
 }
 
-function logStructured(structured) {
+function logStructured(structured, confidence = {}, engine = 'gemini', template = getTemplate()) {
+  const c = (field) => (confidence[field] ? ` [${confidence[field]}]` : '');
   const lines = [
-    '--- Gemini extracted ---',
-    `  name: ${structured.name || '(empty)'}`,
-    `  email: ${structured.email || '(empty)'}`,
-    `  telephone: ${structured.telephone || '(empty)'}`,
-    `  date: ${structured.date || '(empty)'}`,
-    `  paymentMethod: ${structured.paymentMethod || '(empty)'}`,
-    `  amount: ${structured.amount || '(empty)'}`,
-    `  contributionType: ${structured.contributionType || '(empty)'}`,
+    `--- ${engine} extracted (${template.id}) ---`,
+    ...structuredPaths(template, structured).map(({ path, value }) => `  ${path}: ${value || '(empty)'}${c(path)}`),
     '-----------------------',
   ];
   lines.forEach((l) => log(l));
@@ -214,11 +598,61 @@ app.get('/health', (req, res) => {
   res.json({
     status: 'ok',
     geminiUsed: !!GEMINI_API_KEY,
+    engines: extraction.available(),
+    otpLogin: !!sms,
   });
 });
 
+/** Count a failed password for the number and IP; each lock it starts goes to the audit log. */
+function recordLoginFailure(actor, number, ip) {
+  const locks = loginThrottle.recordFailure(number, ip);
+  locks.forEach((lock) => audit(actor, 'user.lockout', {
+    number,
+    ip,
+    lockedBy: lock.kind,
+    failures: lock.failures,
+    lockedUntil: lock.lockedUntil,
+  }));
+  return locks;
+}
+
+/**
+ * Finish a login whose password or code checked out: 403 for a disabled account, otherwise
+ * { token, refreshToken, role, permissions, isSuperAdmin, mustChangePassword }.
+ */
+function sendLogin(req, res, user, method) {
+  loginThrottle.recordSuccess(user.number);
+  if (user.disabled) {
+    return res.status(403).json({ error: 'This account has been disabled. Contact an admin.' });
+  }
+  user.lastLoginAt = new Date().toISOString();
+  store.updateUser(user);
+  audit(user.number, 'user.login', { method });
+  const role = user.role || DEFAULT_ROLE;
+  const { token, refreshToken } = issueTokens(user, req);
+  res.json({
+    token,
+    refreshToken,
+    role,
+    permissions: permissionsFor(role),
+    isSuperAdmin: role === 'admin',
+    mustChangePassword: user.mustChangePassword,
+  });
+}
+
+/** Send the lockout response: 429 with Retry-After, worded the same for every number. */
+function sendLockedOut(res, seconds) {
+  const minutes = Math.ceil(seconds / 60);
+  res.set('Retry-After', String(seconds));
+  res.status(429).json({
+    error: `Too many failed attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`,
+  });
+}
+
 /**
- * Login: body { number, password } → { token } or 401
+ * Login: body { number, password } → { token, refreshToken, role, permissions, mustChangePassword } or 401.
+ * A wrong number and a wrong password get the same answer. Repeated failures lock the number and
+ * the client IP out for a while (429 with Retry-After); each lock is written to the audit log.
  */
 app.post('/api/login', async (req, res) => {
   try {
@@ -227,21 +661,20 @@ app.post('/api/login', async (req, res) => {
     if (!normalized || !password) {
       return res.status(400).json({ error: 'Number and password required' });
     }
-    const users = readUsers();
-    const user = users.find((u) => u.number === normalized || u.number === number);
-    if (!user) {
-      return res.status(401).json({ error: 'Number is not registered with us' });
+    const retryAfter = loginThrottle.retryAfter(normalized, req.ip);
+    if (retryAfter > 0) {
+      return sendLockedOut(res, retryAfter);
     }
-    if (!(await bcrypt.compare(password, user.passwordHash))) {
-      return res.status(401).json({ error: 'Invalid password' });
+    const user = store.findUser(normalized) || store.findUser(String(number));
+    const valid = await bcrypt.compare(String(password), user?.passwordHash || DUMMY_PASSWORD_HASH);
+    if (!user || !valid) {
+      const locks = recordLoginFailure(null, normalized, req.ip);
+      if (locks.length) {
+        return sendLockedOut(res, loginThrottle.retryAfter(normalized, req.ip));
+      }
+      return res.status(401).json({ error: 'Invalid number or password' });
     }
-    const isSuperAdmin = SUPER_ADMIN_NUMBERS.includes(user.number);
-    const token = jwt.sign(
-      { number: user.number },
-      JWT_SECRET,
-      { expiresIn: '7d' }
-    );
-    res.json({ token, isSuperAdmin: !!isSuperAdmin });
+    sendLogin(req, res, user, 'password');
   } catch (err) {
     console.error('Login error:', err.message);
     res.status(500).json({
@@ -250,28 +683,193 @@ app.post('/api/login', async (req, res) => {
   }
 });
 
+const loginCodeHash = (number, code) => hashToken(`${number}:${code}`);
+
+/**
+ * Code login, step 1: text a one-time code to the number. Body: { number } → { ok, expiresIn, resendIn }
+ * (seconds). The answer is the same whether or not the number is registered; the code is only sent
+ * to active users. A new code replaces the previous one. 429 with Retry-After when the last code
+ * was sent less than OTP_RESEND_SECONDS ago or the number is locked out.
+ */
+app.post('/api/login/otp/request', (req, res) => {
+  try {
+    if (!sms) {
+      return res.status(404).json({ error: 'Login with a code is not available' });
+    }
+    const normalized = String(req.body?.number ?? '').trim().replace(/\s/g, '');
+    if (!normalized) {
+      return res.status(400).json({ error: 'Number required' });
+    }
+    const retryAfter = loginThrottle.retryAfter(normalized, req.ip);
+    if (retryAfter > 0) {
+      return sendLockedOut(res, retryAfter);
+    }
+    const now = new Date();
+    store.deleteExpiredLoginCodes(now.toISOString());
+    const previous = store.findLoginCode(normalized);
+    const wait = previous ? Math.ceil((Date.parse(previous.createdAt) + OTP_RESEND_SECONDS * 1000 - now.getTime()) / 1000) : 0;
+    if (wait > 0) {
+      res.set('Retry-After', String(wait));
+      return res.status(429).json({ error: `Wait ${wait} seconds before asking for another code` });
+    }
+    // Unknown numbers get a code too (never sent), so the answers and the resend wait look the same
+    const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+    store.saveLoginCode({
+      number: normalized,
+      codeHash: loginCodeHash(normalized, code),
+      createdAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + OTP_TTL_MINUTES * 60 * 1000).toISOString(),
+    });
+    const user = store.findUser(normalized);
+    if (user && !user.disabled) {
+      sms.send(normalized, `Your Phaneroo login code is ${code}. It expires in ${OTP_TTL_MINUTES} minutes.`)
+        .catch((err) => console.error('SMS send error:', err.message));
+    }
+    res.json({ ok: true, expiresIn: OTP_TTL_MINUTES * 60, resendIn: OTP_RESEND_SECONDS });
+  } catch (err) {
+    console.error('Login code request error:', err.message);
+    res.status(500).json({ error: 'Failed to send a code' });
+  }
+});
+
+/**
+ * Code login, step 2: Body { number, code } → the same answer as /api/login. A code works once and
+ * for OTP_TTL_MINUTES; after OTP_MAX_ATTEMPTS wrong guesses it is dropped. Wrong codes also count
+ * towards the login lockout.
+ */
+app.post('/api/login/otp/verify', (req, res) => {
+  try {
+    if (!sms) {
+      return res.status(404).json({ error: 'Login with a code is not available' });
+    }
+    const normalized = String(req.body?.number ?? '').trim().replace(/\s/g, '');
+    const code = String(req.body?.code ?? '').replace(/\s/g, '');
+    if (!normalized || !code) {
+      return res.status(400).json({ error: 'Number and code required' });
+    }
+    const retryAfter = loginThrottle.retryAfter(normalized, req.ip);
+    if (retryAfter > 0) {
+      return sendLockedOut(res, retryAfter);
+    }
+    const stored = store.findLoginCode(normalized);
+    const valid = !!stored &&
+      stored.expiresAt > new Date().toISOString() &&
+      stored.attempts < OTP_MAX_ATTEMPTS &&
+      stored.codeHash === loginCodeHash(normalized, code);
+    const user = valid ? store.findUser(normalized) : null;
+    if (!user) {
+      if (stored && stored.attempts + 1 >= OTP_MAX_ATTEMPTS) store.deleteLoginCode(normalized);
+      else if (stored) store.countLoginCodeAttempt(normalized);
+      if (recordLoginFailure(null, normalized, req.ip).length) {
+        return sendLockedOut(res, loginThrottle.retryAfter(normalized, req.ip));
+      }
+      return res.status(401).json({ error: 'Invalid or expired code' });
+    }
+    store.deleteLoginCode(normalized);
+    sendLogin(req, res, user, 'otp');
+  } catch (err) {
+    console.error('Login code error:', err.message);
+    res.status(500).json({ error: 'Login failed' });
+  }
+});
+
+/**
+ * Swap a refresh token for a new access token and refresh token. Body: { refreshToken }.
+ * The old refresh token is revoked (rotation). 401 when it is unknown, expired or revoked, or the
+ * user has since been disabled or deleted.
+ */
+app.post('/api/token/refresh', (req, res) => {
+  try {
+    const refreshToken = String(req.body?.refreshToken || '');
+    const tokens = refreshToken && store.transaction(() => {
+      const stored = store.findRefreshToken(hashToken(refreshToken));
+      const now = new Date().toISOString();
+      if (!stored || stored.revokedAt || stored.expiresAt < now) return null;
+      const user = store.findUser(stored.userNumber);
+      if (!user || user.disabled) return null;
+      store.revokeRefreshToken(stored.id, now);
+      return issueTokens(user, req);
+    });
+    if (!tokens) {
+      return res.status(401).json({ error: 'Login required' });
+    }
+    res.json(tokens);
+  } catch (err) {
+    console.error('Token refresh error:', err.message);
+    res.status(500).json({ error: 'Failed to refresh login' });
+  }
+});
+
+/**
+ * Log out this device: revoke the refresh token in the body. Body: { refreshToken }.
+ * Always answers ok, so a stale token does not keep the client from logging out.
+ */
+app.post('/api/logout', (req, res) => {
+  try {
+    const refreshToken = String(req.body?.refreshToken || '');
+    const stored = refreshToken && store.findRefreshToken(hashToken(refreshToken));
+    if (stored && !stored.revokedAt) {
+      store.revokeRefreshToken(stored.id, new Date().toISOString());
+      audit(stored.userNumber, 'user.logout');
+    }
+    res.json({ ok: true });
+  } catch (err) {
+    console.error('Logout error:', err.message);
+    res.status(500).json({ error: 'Failed to log out' });
+  }
+});
+
+/**
+ * Log out all devices: every access and refresh token the user holds stops working,
+ * including the one making this request.
+ */
+app.post('/api/logout-all', requireAuth, (req, res) => {
+  try {
+    const user = store.findUser(req.user.number);
+    revokeSessions(user);
+    audit(user.number, 'user.logout-all');
+    res.json({ ok: true });
+  } catch (err) {
+    console.error('Logout all error:', err.message);
+    res.status(500).json({ error: 'Failed to log out all devices' });
+  }
+});
+
 /**
- * Add user (admin only). Body: { adminSecret, number, password }
- * Set ADMIN_SECRET in env; use this to add numbers and set their passwords.
+ * Add user (admin only). Body: { adminSecret, number, password, role? }
+ * Set ADMIN_SECRET in env; use this to add numbers and set their passwords. The password must pass
+ * the password policy, and the user still has to choose their own at first login.
  */
 app.post('/api/admin/users', async (req, res) => {
   try {
-    const { adminSecret, number, password } = req.body || {};
+    const { adminSecret, number, password, role = DEFAULT_ROLE } = req.body || {};
     if (!ADMIN_SECRET || adminSecret !== ADMIN_SECRET) {
       return res.status(403).json({ error: 'Forbidden' });
     }
+    if (!isRole(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+    }
     const normalized = String(number ?? '').trim().replace(/\s/g, '');
-    if (!normalized || !password || password.length < 4) {
-      return res.status(400).json({ error: 'Number and password (min 4 chars) required' });
+    if (!normalized || !password) {
+      return res.status(400).json({ error: 'Number and password required' });
+    }
+    const problem = passwordProblem(password, { number: normalized });
+    if (problem) {
+      return res.status(400).json({ error: problem });
     }
-    const users = readUsers();
-    if (users.some((u) => u.number === normalized)) {
+    if (store.findUser(normalized)) {
       return res.status(400).json({ error: 'Number already registered' });
     }
     const passwordHash = await bcrypt.hash(password, 10);
-    users.push({ number: normalized, passwordHash });
-    writeUsers(users);
-    res.json({ ok: true, number: normalized });
+    store.insertUser({
+      number: normalized,
+      passwordHash,
+      role,
+      createdAt: new Date().toISOString(),
+      mustChangePassword: true,
+    });
+    audit(null, 'user.add', { number: normalized, role, via: 'admin-secret' });
+    res.json({ ok: true, number: normalized, role });
   } catch (err) {
     console.error('Admin add user error:', err.message);
     res.status(500).json({ error: 'Failed to add user' });
@@ -279,17 +877,69 @@ app.post('/api/admin/users', async (req, res) => {
 });
 
 /**
- * Get recent server logs (for local/dev). Requires auth.
+ * The logged-in user's number, role and permissions (the client shows or hides controls by these).
+ */
+app.get('/api/me', requireAuth, (req, res) => {
+  res.json({
+    number: req.user.number,
+    name: req.user.name,
+    role: req.user.role,
+    permissions: permissionsFor(req.user.role),
+    mustChangePassword: req.user.mustChangePassword,
+  });
+});
+
+/**
+ * Change one's own password. Body: { currentPassword, newPassword }. The new password must pass the
+ * password policy and differ from the current one. Other devices are logged out; this one gets a
+ * fresh { token, refreshToken }. Wrong current passwords count towards the login lockout.
+ */
+app.post('/api/me/password', requireAuth, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body || {};
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ error: 'Current and new password required' });
+    }
+    const user = store.findUser(req.user.number);
+    const retryAfter = loginThrottle.retryAfter(user.number, req.ip);
+    if (retryAfter > 0) {
+      return sendLockedOut(res, retryAfter);
+    }
+    if (!(await bcrypt.compare(String(currentPassword), user.passwordHash))) {
+      recordLoginFailure(user.number, user.number, req.ip);
+      return res.status(400).json({ error: 'Current password is wrong' });
+    }
+    const problem = passwordProblem(newPassword, { number: user.number });
+    if (problem) {
+      return res.status(400).json({ error: problem });
+    }
+    if (newPassword === currentPassword) {
+      return res.status(400).json({ error: 'Choose a password different from the current one' });
+    }
+    user.passwordHash = await bcrypt.hash(String(newPassword), 10);
+    user.mustChangePassword = false;
+    revokeSessions(user);
+    loginThrottle.recordSuccess(user.number);
+    audit(user.number, 'user.password-change');
+    res.json({ ok: true, ...issueTokens(user, req) });
+  } catch (err) {
+    console.error('Change password error:', err.message);
+    res.status(500).json({ error: 'Failed to change password' });
+  }
+});
+
+/**
+ * Get recent server logs (for local/dev). Admin only.
  */
-app.get('/api/logs', requireAuth, (req, res) => {
+app.get('/api/logs', requireAuth, requirePermission('admin'), (req, res) => {
   res.json({ logs: [...logBuffer] });
 });
 
 /**
- * Dashboard stats: total pictures processed, by user number. Super admin only.
+ * Dashboard stats: total pictures processed, by user number. Admin only.
  */
-app.get('/api/admin/dashboard', requireSuperAdmin, (req, res) => {
-  const stats = readStats();
+app.get('/api/admin/dashboard', requireAuth, requirePermission('admin'), (req, res) => {
+  const stats = store.readStats();
   res.json({
     total: stats.total || 0,
     byNumber: stats.byNumber || {},
@@ -297,146 +947,1501 @@ app.get('/api/admin/dashboard', requireSuperAdmin, (req, res) => {
 });
 
 /**
- * Add user from super admin dashboard. Body: { number }.
- * System generates a 5-digit password. Returns { number, password }.
+ * Add user from admin dashboard. Body: { number, name?, role? } (role defaults to scanner).
+ * System generates a temporary password (passwordPolicy.js), which the user must change at first login.
+ * Returns { number, password, role }.
  */
-app.post('/api/admin/users/add', requireSuperAdmin, async (req, res) => {
+app.post('/api/admin/users/add', requireAuth, requirePermission('admin'), async (req, res) => {
   try {
-    const { number } = req.body || {};
+    const { number, name = '', role = DEFAULT_ROLE } = req.body || {};
     const normalized = String(number ?? '').trim().replace(/\s/g, '');
     if (!normalized || normalized.length < 9) {
       return res.status(400).json({ error: 'Valid phone number required' });
     }
-    const users = readUsers();
-    if (users.some((u) => u.number === normalized)) {
+    if (!isRole(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+    }
+    if (store.findUser(normalized)) {
       return res.status(400).json({ error: 'Number already registered' });
     }
-    const password = String(Math.floor(10000 + Math.random() * 90000));
+    const password = generatePassword({ number: normalized });
     const passwordHash = await bcrypt.hash(password, 10);
-    users.push({ number: normalized, passwordHash });
-    writeUsers(users);
-    res.json({ ok: true, number: normalized, password });
+    store.insertUser({
+      number: normalized,
+      name: String(name).trim(),
+      passwordHash,
+      role,
+      createdAt: new Date().toISOString(),
+      mustChangePassword: true,
+    });
+    audit(req.user.number, 'user.add', { number: normalized, name: String(name).trim(), role });
+    res.json({ ok: true, number: normalized, password, role });
   } catch (err) {
-    console.error('Super admin add user error:', err.message);
+    console.error('Dashboard add user error:', err.message);
     res.status(500).json({ error: 'Failed to add user' });
   }
 });
 
 /**
- * Reset user password from super admin dashboard. Body: { number }.
- * Generates new 5-digit password. Returns { number, password }.
+ * Reset user password from admin dashboard. Body: { number }.
+ * Generates a new temporary password (to be changed at next login), logs the user out
+ * everywhere and lifts any login lockout on the number. Returns { number, password }.
  */
-app.post('/api/admin/users/reset', requireSuperAdmin, async (req, res) => {
+app.post('/api/admin/users/reset', requireAuth, requirePermission('admin'), async (req, res) => {
   try {
     const { number } = req.body || {};
     const normalized = String(number ?? '').trim().replace(/\s/g, '');
     if (!normalized || normalized.length < 9) {
       return res.status(400).json({ error: 'Valid phone number required' });
     }
-    const users = readUsers();
-    const user = users.find((u) => u.number === normalized);
+    const user = store.findUser(normalized);
     if (!user) {
       return res.status(404).json({ error: 'Number not registered' });
     }
-    const password = String(Math.floor(10000 + Math.random() * 90000));
+    const password = generatePassword({ number: user.number });
     const passwordHash = await bcrypt.hash(password, 10);
     user.passwordHash = passwordHash;
-    writeUsers(users);
+    user.mustChangePassword = true;
+    revokeSessions(user);
+    loginThrottle.unlock('number', user.number);
+    audit(req.user.number, 'user.password-reset', { number: user.number });
     res.json({ ok: true, number: normalized, password });
   } catch (err) {
-    console.error('Super admin reset password error:', err.message);
+    console.error('Dashboard reset password error:', err.message);
     res.status(500).json({ error: 'Failed to reset password' });
   }
 });
 
 /**
- * Process image with Gemini vision: extract form fields (no Python OCR).
- * Requires auth.
+ * Change a user's role from the admin dashboard. Body: { number, role }.
+ * The last admin cannot be demoted, so the dashboard always stays reachable.
  */
-app.post('/api/ocr', requireAuth, upload.single('image'), async (req, res) => {
-  const reqId = Date.now();
-  log(`[OCR] Request ${reqId} received`);
+app.post('/api/admin/users/role', requireAuth, requirePermission('admin'), (req, res) => {
   try {
-    if (!req.file) {
-      return res.status(400).json({ error: 'No image file provided' });
+    const { number, role } = req.body || {};
+    const normalized = String(number ?? '').trim().replace(/\s/g, '');
+    if (!isRole(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
     }
-
-    if (!gemini) {
-      return res.status(503).json({
-        error: 'Gemini not configured. Set GEMINI_API_KEY in server .env (get free key at aistudio.google.com).',
-      });
+    const user = store.findUser(normalized);
+    if (!user) {
+      return res.status(404).json({ error: 'Number not registered' });
     }
-
-    const mimeType = req.file.mimetype || 'image/jpeg';
-    log(`[OCR] Request ${reqId} calling Gemini...`);
-    const structured = await extractWithGeminiVision(req.file.buffer, mimeType);
-
-    if (!structured) {
-      log(`[OCR] Request ${reqId} no result from Gemini`);
-      return res.status(422).json({
-        error: 'Could not read form from image. Try a clearer photo or check Gemini quota.',
-      });
+    const admins = store.listUsers().filter((u) => (u.role || DEFAULT_ROLE) === 'admin' && !u.disabled);
+    if (role !== 'admin' && admins.length === 1 && admins[0].number === user.number) {
+      return res.status(400).json({ error: 'At least one admin is required' });
     }
+    const changes = fieldChanges({ role: user.role || DEFAULT_ROLE }, { role }, ['role']);
+    user.role = role;
+    store.updateUser(user);
+    audit(req.user.number, 'user.role', { number: user.number, changes });
+    res.json({ ok: true, number: user.number, role });
+  } catch (err) {
+    console.error('Set role error:', err.message);
+    res.status(500).json({ error: 'Failed to change role' });
+  }
+});
 
-    const summary = [structured.name, structured.email, structured.telephone, structured.amount].filter(Boolean).join(' · ');
-    logStructured(structured);
-    log(`[OCR] Request ${reqId} done, responding`);
+/** A user as listed in the admin dashboard (never includes the password hash). */
+function userView(user, stats) {
+  return {
+    number: user.number,
+    name: user.name || '',
+    role: user.role || DEFAULT_ROLE,
+    status: user.disabled ? 'disabled' : 'active',
+    createdAt: user.createdAt || null,
+    lastLoginAt: user.lastLoginAt || null,
+    scans: stats.byNumber?.[user.number] || 0,
+  };
+}
 
-    try {
-      incrementStats(req.user.number);
-    } catch (e) {
-      console.warn('Stats write failed:', e.message);
+/**
+ * Find the user named in :number for an admin action. Sends the error response and returns null
+ * when the user does not exist or the action would lock admins out (acting on oneself, or
+ * removing the last active admin).
+ */
+function findManagedUser(req, res, { guardAdmins = false } = {}) {
+  const user = store.findUser(req.params.number);
+  if (!user) {
+    res.status(404).json({ error: 'Number not registered' });
+    return null;
+  }
+  if (guardAdmins) {
+    if (user.number === req.user.number) {
+      res.status(400).json({ error: 'You cannot do this to your own account' });
+      return null;
+    }
+    const activeAdmins = store.listUsers().filter((u) => (u.role || DEFAULT_ROLE) === 'admin' && !u.disabled);
+    if (activeAdmins.length === 1 && activeAdmins[0].number === user.number) {
+      res.status(400).json({ error: 'At least one admin is required' });
+      return null;
     }
-
-    res.json({
-      text: summary,
-      rawText: summary,
-      structured,
-    });
-  } catch (error) {
-    log(`[OCR] Error: ${error.message}`);
-    console.error('OCR Error:', error.message);
-    res.status(500).json({ error: error.message || 'Processing failed' });
   }
+  return user;
+}
+
+/**
+ * All users with status, role, created and last login dates and scan counts (the scan_counts table, db.js).
+ */
+app.get('/api/admin/users', requireAuth, requirePermission('admin'), (req, res) => {
+  const stats = store.readStats();
+  const users = store.listUsers()
+    .map((u) => userView(u, stats))
+    .sort((a, b) => a.number.localeCompare(b.number));
+  res.json({ users });
 });
 
 /**
- * Export to Excel endpoint. Requires auth.
+ * Rename a user. Body: { name } (display name; empty clears it).
  */
-app.post('/api/export', requireAuth, (req, res) => {
+app.patch('/api/admin/users/:number', requireAuth, requirePermission('admin'), (req, res) => {
   try {
-    const { entries } = req.body;
-    
-    if (!entries || !Array.isArray(entries) || entries.length === 0) {
-      return res.status(400).json({ error: 'No entries provided' });
-    }
-
-    // Format data for Excel (without department and title columns)
-    const worksheetData = entries.map((entry, index) => {
+    const user = findManagedUser(req, res);
+    if (!user) return;
+    const name = String(req.body?.name ?? '').trim().slice(0, 80);
+    const changes = fieldChanges({ name: user.name }, { name }, ['name']);
+    user.name = name;
+    store.updateUser(user);
+    audit(req.user.number, 'user.rename', { number: user.number, changes });
+    res.json({ user: userView(user, store.readStats()) });
+  } catch (err) {
+    console.error('Rename user error:', err.message);
+    res.status(500).json({ error: 'Failed to rename user' });
+  }
+});
+
+/**
+ * Disable a user: they can no longer log in, and tokens they hold stop working.
+ */
+app.post('/api/admin/users/:number/disable', requireAuth, requirePermission('admin'), (req, res) => {
+  try {
+    const user = findManagedUser(req, res, { guardAdmins: true });
+    if (!user) return;
+    user.disabled = true;
+    revokeSessions(user);
+    audit(req.user.number, 'user.disable', { number: user.number });
+    res.json({ user: userView(user, store.readStats()) });
+  } catch (err) {
+    console.error('Disable user error:', err.message);
+    res.status(500).json({ error: 'Failed to disable user' });
+  }
+});
+
+app.post('/api/admin/users/:number/enable', requireAuth, requirePermission('admin'), (req, res) => {
+  try {
+    const user = findManagedUser(req, res);
+    if (!user) return;
+    user.disabled = false;
+    store.updateUser(user);
+    audit(req.user.number, 'user.enable', { number: user.number });
+    res.json({ user: userView(user, store.readStats()) });
+  } catch (err) {
+    console.error('Enable user error:', err.message);
+    res.status(500).json({ error: 'Failed to enable user' });
+  }
+});
+
+/**
+ * Sign a user out of every device (e.g. a lost phone). They can log in again with their password.
+ */
+app.post('/api/admin/users/:number/logout', requireAuth, requirePermission('admin'), (req, res) => {
+  try {
+    const user = findManagedUser(req, res);
+    if (!user) return;
+    revokeSessions(user);
+    audit(req.user.number, 'user.sign-out', { number: user.number });
+    res.json({ ok: true, number: user.number });
+  } catch (err) {
+    console.error('Sign out user error:', err.message);
+    res.status(500).json({ error: 'Failed to sign user out' });
+  }
+});
+
+/**
+ * Delete a user. Their scanned rows and scan counts are kept.
+ */
+app.delete('/api/admin/users/:number', requireAuth, requirePermission('admin'), (req, res) => {
+  try {
+    const user = findManagedUser(req, res, { guardAdmins: true });
+    if (!user) return;
+    store.transaction(() => {
+      store.deleteUser(user.number);
+      store.revokeUserRefreshTokens(user.number, new Date().toISOString());
+    });
+    audit(req.user.number, 'user.delete', { number: user.number, name: user.name || '', role: user.role || DEFAULT_ROLE });
+    res.json({ ok: true, number: user.number });
+  } catch (err) {
+    console.error('Delete user error:', err.message);
+    res.status(500).json({ error: 'Failed to delete user' });
+  }
+});
+
+/**
+ * Login lockouts for the dashboard: numbers and IPs locked right now, and the latest lockout
+ * events from the audit log (newest first).
+ */
+app.get('/api/admin/lockouts', requireAuth, requirePermission('admin'), (req, res) => {
+  try {
+    const events = readAudit().filter((event) => event.action === 'user.lockout').slice(-50).reverse();
+    res.json({ locks: loginThrottle.activeLocks(), events });
+  } catch (err) {
+    console.error('Lockouts error:', err.message);
+    res.status(500).json({ error: 'Failed to load lockouts' });
+  }
+});
+
+/**
+ * Lift a lockout early and reset its failure count. Body: { kind: 'number' | 'ip', value }.
+ */
+app.post('/api/admin/lockouts/unlock', requireAuth, requirePermission('admin'), (req, res) => {
+  try {
+    const { kind, value } = req.body || {};
+    if (!['number', 'ip'].includes(kind) || !value) {
+      return res.status(400).json({ error: 'kind (number or ip) and value required' });
+    }
+    if (!loginThrottle.unlock(kind, String(value))) {
+      return res.status(404).json({ error: 'Not locked' });
+    }
+    audit(req.user.number, 'user.unlock', kind === 'number' ? { number: String(value) } : { ip: String(value) });
+    res.json({ ok: true });
+  } catch (err) {
+    console.error('Unlock error:', err.message);
+    res.status(500).json({ error: 'Failed to unlock' });
+  }
+});
+
+/**
+ * Currency settings for the app: the default currency of amounts written without one, the base
+ * currency conversions go into, and the exchange rates admins keep.
+ */
+app.get('/api/exchange-rates', requireAuth, (req, res) => {
+  try {
+    res.json({ defaultCurrency: DEFAULT_CURRENCY, base: BASE_CURRENCY, rates: store.listExchangeRates() });
+  } catch (err) {
+    console.error('Exchange rates error:', err.message);
+    res.status(500).json({ error: 'Failed to load exchange rates' });
+  }
+});
+
+/**
+ * Set the exchange rate of a currency: how many units of the base currency one unit is worth.
+ * Body: { rate }. Admin only.
+ */
+app.put('/api/admin/exchange-rates/:currency', requireAuth, requirePermission('admin'), (req, res) => {
+  try {
+    const currency = parseCurrency(req.params.currency);
+    if (!currency) {
+      return res.status(400).json({ error: 'Currency code (e.g. USD) required' });
+    }
+    if (currency === BASE_CURRENCY) {
+      return res.status(400).json({ error: `${BASE_CURRENCY} is the base currency` });
+    }
+    const rate = Number(req.body?.rate);
+    if (!Number.isFinite(rate) || rate <= 0) {
+      return res.status(400).json({ error: 'Rate must be a positive number' });
+    }
+    const previous = store.listExchangeRates().find((r) => r.currency === currency);
+    const saved = { currency, rate, updatedAt: new Date().toISOString(), updatedBy: req.user.number };
+    store.saveExchangeRate(saved);
+    audit(req.user.number, 'exchangeRate.set', { currency, base: BASE_CURRENCY, rate, previous: previous?.rate ?? null });
+    res.json({ rate: saved });
+  } catch (err) {
+    console.error('Exchange rate error:', err.message);
+    res.status(500).json({ error: 'Failed to save exchange rate' });
+  }
+});
+
+/**
+ * Remove the exchange rate of a currency; its amounts are then left out of converted totals.
+ */
+app.delete('/api/admin/exchange-rates/:currency', requireAuth, requirePermission('admin'), (req, res) => {
+  try {
+    const currency = parseCurrency(req.params.currency);
+    const previous = store.listExchangeRates().find((r) => r.currency === currency);
+    if (!previous) {
+      return res.status(404).json({ error: 'No rate for this currency' });
+    }
+    store.deleteExchangeRate(currency);
+    audit(req.user.number, 'exchangeRate.delete', { currency, base: BASE_CURRENCY, previous: previous.rate });
+    res.json({ ok: true });
+  } catch (err) {
+    console.error('Exchange rate error:', err.message);
+    res.status(500).json({ error: 'Failed to remove exchange rate' });
+  }
+});
+
+/**
+ * Amount totals per currency for the dashboard, converted to the base currency where a rate is
+ * set. Query: from / to (YYYY-MM-DD, inclusive, by session date), both optional. Admin only.
+ * Returns totalsByCurrency plus rows, the number of rows counted.
+ */
+app.get('/api/admin/totals', requireAuth, requirePermission('admin'), (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const sessionsById = new Map(store.listSessions().map((s) => [s.id, s]));
+    const entries = store.listEntries().filter((e) => {
+      const day = entryDay(e, sessionsById);
+      return (!from || day >= from) && (!to || day <= to);
+    });
+    res.json({ ...totalsByCurrency(entries, currencyConversion()), rows: entries.length });
+  } catch (err) {
+    console.error('Totals error:', err.message);
+    res.status(500).json({ error: 'Failed to load totals' });
+  }
+});
+
+/**
+ * Search the member registry, for picking a row's member. Query: q (name, phone, email or registry
+ * ID) or entryId (members that fit that row, best first). Returns { members, total } where total
+ * is the size of the registry.
+ */
+app.get('/api/members', requireAuth, requirePermission('scan', 'review'), (req, res) => {
+  try {
+    const members = store.listMembers();
+    const { q, entryId } = req.query;
+    if (entryId) {
+      const entry = store.findEntry(String(entryId));
+      if (!entry || (entry.userNumber !== req.user.number && !can(req.user, 'review'))) {
+        return res.status(404).json({ error: 'Entry not found' });
+      }
+      return res.json({ members: memberCandidates(entry.normalized, members), total: members.length });
+    }
+    res.json({ members: q ? searchMembers(q, members) : members.slice(0, 20), total: members.length });
+  } catch (err) {
+    console.error('Members error:', err.message);
+    res.status(500).json({ error: 'Failed to load members' });
+  }
+});
+
+/**
+ * Import the member registry from a CSV or Excel file (multipart field "file") with a name column
+ * and optionally member ID, phone and email columns. A member already registered under the same ID,
+ * phone number or email is updated; the others are added. Rows not yet verified are matched again;
+ * the importer becomes the editor of rows whose values change, so they cannot verify them. Admin only.
+ */
+app.post('/api/members/import', requireAuth, requirePermission('admin'), upload.single('file'), (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'CSV or Excel file required' });
+    }
+    let rows;
+    try {
+      const workbook = XLSX.read(req.file.buffer, { type: 'buffer' });
+      rows = XLSX.utils.sheet_to_json(workbook.Sheets[workbook.SheetNames[0]], { defval: '' });
+    } catch {
+      return res.status(400).json({ error: 'Could not read the file as CSV or Excel' });
+    }
+    const { members: imported, skipped, columns } = readMemberRows(rows);
+    if (!columns.name) {
+      return res.status(400).json({ error: 'The first sheet needs a Name column' });
+    }
+    if (!imported.length) {
+      return res.status(400).json({ error: 'No members with a name in the file' });
+    }
+    let added = 0;
+    let updated = 0;
+    let rematched = 0;
+    store.transaction(() => {
+      const members = store.listMembers();
+      const now = new Date().toISOString();
+      imported.forEach((row) => {
+        const existing = (row.ref && members.find((m) => m.ref === row.ref))
+          || (row.telephone && members.find((m) => m.telephone === row.telephone))
+          || (row.email && members.find((m) => m.email === row.email));
+        if (existing) {
+          // Columns missing from the file keep what the registry had
+          Object.assign(existing, {
+            ref: row.ref || existing.ref,
+            name: row.name,
+            telephone: row.telephone || existing.telephone,
+            email: row.email || existing.email,
+            updatedAt: now,
+          });
+          store.updateMember(existing);
+          updated++;
+        } else {
+          const member = { ...row, id: crypto.randomUUID(), createdAt: now, updatedAt: now };
+          store.insertMember(member);
+          members.push(member);
+          added++;
+        }
+      });
+      store.listEntries()
+        .filter((entry) => entryStatus(entry) === 'extracted')
+        .forEach((entry) => {
+          const before = JSON.stringify([entry.member, entry.structured]);
+          const values = JSON.stringify(entry.structured);
+          applyMemberState(entry, { members });
+          if (JSON.stringify([entry.member, entry.structured]) === before) return;
+          if (JSON.stringify(entry.structured) !== values) addEditor(entry, req.user.number);
+          applyReviewState(entry);
+          store.updateEntry(entry);
+          rematched++;
+        });
+    });
+    const result = { added, updated, skipped, rematched };
+    audit(req.user.number, 'members.import', { ...result, filename: req.file.originalname || '' });
+    res.json({ ...result, total: store.listMembers().length });
+  } catch (err) {
+    console.error('Member import error:', err.message);
+    res.status(500).json({ error: 'Failed to import members' });
+  }
+});
+
+/**
+ * Search the audit log, newest first. Query (all optional): q (text anywhere in the event, e.g. a
+ * name, number or entry id), action, actor (user number), from / to (YYYY-MM-DD, inclusive), limit.
+ * Returns { events, total, actions } where total counts all matches and actions lists every
+ * action name in the log (for the dashboard filter).
+ */
+app.get('/api/admin/audit', requireAuth, requirePermission('admin'), (req, res) => {
+  try {
+    const { q, action, actor, from, to } = req.query;
+    const limit = Math.min(AUDIT_MAX_RESULTS, Math.max(1, Number(req.query.limit) || 200));
+    const needle = String(q ?? '').trim().toLowerCase();
+    const all = readAudit();
+    const matches = all.filter((event) => {
+      const day = String(event.at).slice(0, 10);
+      return (!action || event.action === action) &&
+        (!actor || event.actor === String(actor).replace(/\s/g, '')) &&
+        (!from || day >= from) &&
+        (!to || day <= to) &&
+        (!needle || JSON.stringify(event).toLowerCase().includes(needle));
+    });
+    res.json({
+      events: matches.reverse().slice(0, limit),
+      total: matches.length,
+      actions: [...new Set(all.map((event) => event.action))].sort(),
+    });
+  } catch (err) {
+    console.error('Audit log error:', err.message);
+    res.status(500).json({ error: 'Failed to read audit log' });
+  }
+});
+
+/**
+ * Run the extraction engines on one envelope photo and store the row in the session.
+ * Shared by /api/ocr and the batch job workers.
+ * @returns {Promise<{ extracted, summary, entry } | null>} null when no engine could read the form
+ * @throws {RateLimitError} when Gemini is out of quota and no other engine read the form
+ */
+async function extractEntry(userNumber, sessionId, buffer, mimeType, logPrefix) {
+  const template = getTemplate(store.findSession(sessionId)?.templateId);
+  const extracted = await extraction.extract(buffer, mimeType, {
+    log: (msg) => log(`${logPrefix} ${msg}`),
+    template,
+  });
+  if (!extracted) {
+    log(`${logPrefix} no result from any engine`);
+    return null;
+  }
+
+  const { structured, confidence, engine } = extracted;
+  // Amounts per currency, from the contribution lines on templates that have them
+  const { normalized } = normalizeStructured(structured, { defaultCurrency: DEFAULT_CURRENCY, template });
+  const amounts = Object.entries(amountTotals(normalized)).map(([currency, total]) => `${total.toLocaleString('en-US')} ${currency}`);
+  const summary = [structured.name, structured.email, structured.telephone, ...amounts].filter(Boolean).join(' · ');
+  logStructured(structured, confidence, engine, template);
+
+  try {
+    store.incrementStats(userNumber);
+  } catch (e) {
+    console.warn('Stats write failed:', e.message);
+  }
+
+  let entry = null;
+  try {
+    entry = saveEntry(userNumber, {
+      sessionId,
+      text: summary,
+      rawText: extracted.rawText || summary,
+      structured,
+      confidence,
+      engine,
+      image: { buffer, mimeType, hash: await imageHash(buffer) },
+    });
+    audit(userNumber, 'entry.extract', { entryId: entry.id, sessionId, engine, values: entry.structured });
+  } catch (e) {
+    console.warn('Entry write failed:', e.message);
+  }
+  return { extracted, summary, entry };
+}
+
+/**
+ * Process image with Gemini vision: extract form fields (no Python OCR).
+ * Requires auth.
+ */
+app.post('/api/ocr', requireAuth, requirePermission('scan'), upload.single('image'), async (req, res) => {
+  const reqId = Date.now();
+  log(`[OCR] Request ${reqId} received`);
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No image file provided' });
+    }
+
+    const sessionId = req.body?.sessionId;
+    const session = store.findSession(sessionId);
+    if (!session) {
+      return res.status(400).json({ error: 'Open a scan session before scanning' });
+    }
+    if (session.status !== 'open') {
+      return res.status(409).json({ error: 'Session is closed' });
+    }
+
+    if (extraction.available().length === 0) {
+      return res.status(503).json({
+        error: 'No extraction engine configured. Set GEMINI_API_KEY in server .env (get free key at aistudio.google.com) or enable tesseract in EXTRACTION_ENGINES.',
+      });
+    }
+
+    const mimeType = req.file.mimetype || 'image/jpeg';
+    const result = await extractEntry(req.user.number, session.id, req.file.buffer, mimeType, `[OCR] Request ${reqId}`);
+
+    if (!result) {
+      return res.status(422).json({
+        error: 'Could not read form from image. Try a clearer photo or check Gemini quota.',
+      });
+    }
+    log(`[OCR] Request ${reqId} done, responding`);
+
+    const { extracted, summary, entry } = result;
+    res.json({
+      text: summary,
+      rawText: extracted.rawText || summary,
+      structured: extracted.structured,
+      confidence: extracted.confidence,
+      engine: extracted.engine,
+      entry,
+    });
+  } catch (error) {
+    if (error instanceof RateLimitError) {
+      // Backpressure: the client keeps the image queued and retries after this delay
+      const retryAfter = Math.ceil(error.retryAfterMs / 1000);
+      log(`[OCR] Request ${reqId} rate limited, retry after ${retryAfter}s`);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ error: 'Extraction is busy. Retrying shortly.', retryAfter });
+    }
+    log(`[OCR] Error: ${error.message}`);
+    console.error('OCR Error:', error.message);
+    res.status(500).json({ error: error.message || 'Processing failed' });
+  }
+});
+
+// Background workers for batch jobs. Items are claimed by writing 'processing' to the jobs table (db.js),
+// so a restart can put interrupted items back in line (see resumeJobs).
+let activeJobItems = 0;
+let jobsPausedUntil = 0;
+let jobsWakeTimer = null;
+
+/** Start items of queued jobs, oldest job first, up to BATCH_CONCURRENCY at a time. */
+function pumpJobs() {
+  while (activeJobItems < BATCH_CONCURRENCY) {
+    const wait = jobsPausedUntil - Date.now();
+    if (wait > 0) {
+      if (!jobsWakeTimer) {
+        jobsWakeTimer = setTimeout(() => {
+          jobsWakeTimer = null;
+          pumpJobs();
+        }, wait);
+      }
+      return;
+    }
+    const job = store.listJobs()
+      .filter((j) => j.status === 'queued' || j.status === 'running')
+      .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)))
+      .find((j) => j.items.some((item) => item.status === 'pending'));
+    if (!job) return;
+    const item = job.items.find((i) => i.status === 'pending');
+    item.status = 'processing';
+    job.status = 'running';
+    job.updatedAt = new Date().toISOString();
+    store.updateJob(job);
+
+    activeJobItems += 1;
+    runJobItem(job, item)
+      .catch((err) => console.error('Batch job error:', err.message))
+      .finally(() => {
+        activeJobItems -= 1;
+        pumpJobs();
+      });
+  }
+}
+
+async function runJobItem(job, item) {
+  const logPrefix = `[OCR] Job ${job.id} image ${item.index + 1}/${job.items.length}`;
+  const finish = (changes) => {
+    updateJob(job.id, (j) => Object.assign(j.items[item.index], changes));
+    deleteJobUpload(item);
+  };
+
+  if (store.findSession(job.sessionId)?.status !== 'open') {
+    return finish({ status: 'failed', error: 'Session is closed' });
+  }
+  let buffer;
+  try {
+    buffer = fs.readFileSync(path.join(JOB_UPLOADS_DIR, item.file));
+  } catch {
+    return finish({ status: 'failed', error: 'Uploaded image is missing' });
+  }
+
+  try {
+    const result = await extractEntry(job.userNumber, job.sessionId, buffer, item.mimeType, logPrefix);
+    if (!result) {
+      return finish({ status: 'failed', error: 'Could not read form from image' });
+    }
+    finish({ status: 'done', entryId: result.entry?.id || null, engine: result.extracted.engine });
+  } catch (err) {
+    if (err instanceof RateLimitError) {
+      // Back in line; every worker waits for the quota window before starting another item
+      log(`${logPrefix} rate limited, retry after ${Math.ceil(err.retryAfterMs / 1000)}s`);
+      jobsPausedUntil = Math.max(jobsPausedUntil, Date.now() + err.retryAfterMs);
+      const updated = updateJob(job.id, (j) => {
+        j.items[item.index].status = j.status === 'cancelled' ? 'cancelled' : 'pending';
+      });
+      if (updated?.status === 'cancelled') deleteJobUpload(item);
+      return;
+    }
+    log(`${logPrefix} error: ${err.message}`);
+    finish({ status: 'failed', error: err.message || 'Processing failed' });
+  }
+}
+
+/** After a restart, items that were being processed go back to pending and the workers start. */
+function resumeJobs() {
+  let interrupted = 0;
+  store.transaction(() => {
+    for (const job of store.listJobs()) {
+      const stuck = job.items.filter((item) => item.status === 'processing');
+      if (!stuck.length) continue;
+      stuck.forEach((item) => {
+        item.status = 'pending';
+      });
+      store.updateJob(job);
+      interrupted += stuck.length;
+    }
+  });
+  if (interrupted) {
+    console.log(`Resuming ${interrupted} interrupted batch image(s).`);
+  }
+  pumpJobs();
+}
+
+/** Rows saved by a job's finished images, by entry id (for jobView). */
+function jobEntries(job) {
+  return new Map(job.items.filter((item) => item.entryId).map((item) => [item.entryId, store.findEntry(item.entryId)]));
+}
+
+/** Job as returned to the client: progress counts and per-image results with their saved rows. */
+function jobView(job, entriesById) {
+  const count = (status) => job.items.filter((item) => item.status === status).length;
+  return {
+    id: job.id,
+    sessionId: job.sessionId,
+    status: job.status,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    finishedAt: job.finishedAt || null,
+    progress: {
+      total: job.items.length,
+      pending: count('pending'),
+      processing: count('processing'),
+      done: count('done'),
+      failed: count('failed'),
+      cancelled: count('cancelled'),
+    },
+    items: entriesById
+      ? job.items.map((item) => ({
+        index: item.index,
+        name: item.name,
+        status: item.status,
+        error: item.error || null,
+        engine: item.engine || null,
+        entry: item.entryId ? entriesById.get(item.entryId) || null : null,
+      }))
+      : undefined,
+  };
+}
+
+/**
+ * Queue many envelope photos for extraction and return at once with a job id.
+ * Multipart: images (up to MAX_BATCH_IMAGES files), sessionId. Poll GET /api/jobs/:id for results.
+ */
+app.post('/api/ocr/batch', requireAuth, requirePermission('scan'), (req, res, next) => {
+  upload.array('images', MAX_BATCH_IMAGES)(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({
+        error: err.code === 'LIMIT_UNEXPECTED_FILE' ? `At most ${MAX_BATCH_IMAGES} images per batch` : err.message,
+      });
+    }
+    next();
+  });
+}, (req, res) => {
+  try {
+    if (!req.files?.length) {
+      return res.status(400).json({ error: 'No image files provided' });
+    }
+    const session = store.findSession(req.body?.sessionId);
+    if (!session) {
+      return res.status(400).json({ error: 'Open a scan session before scanning' });
+    }
+    if (session.status !== 'open') {
+      return res.status(409).json({ error: 'Session is closed' });
+    }
+    if (extraction.available().length === 0) {
+      return res.status(503).json({
+        error: 'No extraction engine configured. Set GEMINI_API_KEY in server .env (get free key at aistudio.google.com) or enable tesseract in EXTRACTION_ENGINES.',
+      });
+    }
+
+    const now = new Date().toISOString();
+    const id = crypto.randomUUID();
+    if (!fs.existsSync(JOB_UPLOADS_DIR)) fs.mkdirSync(JOB_UPLOADS_DIR, { recursive: true });
+    const items = req.files.map((file, index) => {
+      const mimeType = file.mimetype || 'image/jpeg';
+      const name = `${id}-${index}.${IMAGE_EXTENSIONS[mimeType] || 'jpg'}`;
+      fs.writeFileSync(path.join(JOB_UPLOADS_DIR, name), file.buffer);
+      return { index, name: file.originalname || '', file: name, mimeType, status: 'pending', entryId: null, error: null };
+    });
+    const job = {
+      id,
+      userNumber: req.user.number,
+      sessionId: session.id,
+      status: 'queued',
+      createdAt: now,
+      updatedAt: now,
+      finishedAt: null,
+      items,
+    };
+    store.insertJob(job);
+    log(`[OCR] Job ${id} queued with ${items.length} image(s)`);
+    audit(req.user.number, 'job.create', { jobId: id, sessionId: session.id, images: items.length });
+    pumpJobs();
+
+    res.status(202).json({ job: jobView(job) });
+  } catch (err) {
+    console.error('Batch upload error:', err.message);
+    res.status(500).json({ error: 'Failed to queue images' });
+  }
+});
+
+/**
+ * The logged-in user's batch jobs, newest first, with progress only. Query: ?sessionId=
+ */
+app.get('/api/jobs', requireAuth, requirePermission('scan'), (req, res) => {
+  const { sessionId } = req.query;
+  const jobs = store.listJobs()
+    .filter((j) => j.userNumber === req.user.number)
+    .filter((j) => !sessionId || j.sessionId === sessionId)
+    .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)))
+    .map((j) => jobView(j));
+  res.json({ jobs });
+});
+
+/**
+ * Progress and per-image results of one of the user's batch jobs.
+ */
+app.get('/api/jobs/:id', requireAuth, requirePermission('scan'), (req, res) => {
+  const job = store.findJob(req.params.id);
+  if (job?.userNumber !== req.user.number) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  res.json({ job: jobView(job, jobEntries(job)) });
+});
+
+/**
+ * Cancel the images of a job that have not started; images being read now still finish.
+ */
+app.post('/api/jobs/:id/cancel', requireAuth, requirePermission('scan'), (req, res) => {
+  try {
+    const stored = store.findJob(req.params.id);
+    if (stored?.userNumber !== req.user.number) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    const job = updateJob(stored.id, (j) => {
+      for (const item of j.items) {
+        if (item.status !== 'pending') continue;
+        item.status = 'cancelled';
+        deleteJobUpload(item);
+      }
+      if (j.status !== 'done') {
+        j.status = 'cancelled';
+        j.finishedAt = new Date().toISOString();
+      }
+    });
+    audit(req.user.number, 'job.cancel', { jobId: job.id, sessionId: job.sessionId });
+    res.json({ job: jobView(job, jobEntries(job)) });
+  } catch (err) {
+    console.error('Cancel job error:', err.message);
+    res.status(500).json({ error: 'Failed to cancel job' });
+  }
+});
+
+/**
+ * List scan sessions, newest first. Query: ?status=open|closed
+ */
+app.get('/api/sessions', requireAuth, (req, res) => {
+  const { status } = req.query;
+  const sessions = store.listSessions()
+    .filter((s) => !status || s.status === status)
+    .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+  res.json({ sessions, services: SERVICES });
+});
+
+/**
+ * Open a new scan session. Body: { date: 'YYYY-MM-DD', service, templateId?, name? }.
+ * Every row scanned into it is read with the form template (default: contribution envelope).
+ * Name defaults to e.g. "Sunday 2026-10-18, 1st service", with the template's name after any
+ * other template ("..., 1st service · Partnership pledge card").
+ */
+app.post('/api/sessions', requireAuth, requirePermission('scan', 'review'), (req, res) => {
+  try {
+    const { date, service, name, templateId = DEFAULT_TEMPLATE_ID } = req.body || {};
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(String(date ?? '')) || Number.isNaN(Date.parse(date))) {
+      return res.status(400).json({ error: 'Valid date (YYYY-MM-DD) required' });
+    }
+    const serviceName = String(service ?? '').trim();
+    if (!serviceName) {
+      return res.status(400).json({ error: 'Service required' });
+    }
+    if (!isTemplateId(templateId)) {
+      return res.status(400).json({ error: 'Unknown form template' });
+    }
+    const template = getTemplate(templateId);
+    const weekday = new Date(`${date}T00:00:00Z`).toLocaleDateString('en-US', { weekday: 'long', timeZone: 'UTC' });
+    const formSuffix = template.id === DEFAULT_TEMPLATE_ID ? '' : ` · ${template.name}`;
+    const session = {
+      id: crypto.randomUUID(),
+      name: String(name ?? '').trim() || `${weekday} ${date}, ${serviceName}${formSuffix}`,
+      date,
+      service: serviceName,
+      templateId: template.id,
+      status: 'open',
+      createdBy: req.user.number,
+      createdAt: new Date().toISOString(),
+      closedAt: null,
+      closedBy: null,
+    };
+    store.insertSession(session);
+    audit(req.user.number, 'session.open', { sessionId: session.id, name: session.name, templateId: session.templateId });
+    res.status(201).json({ session });
+  } catch (err) {
+    console.error('Create session error:', err.message);
+    res.status(500).json({ error: 'Failed to open session' });
+  }
+});
+
+/**
+ * Close a session. Its rows can no longer be added, edited or deleted.
+ */
+app.post('/api/sessions/:id/close', requireAuth, requirePermission('scan', 'review'), (req, res) => {
+  try {
+    const session = store.findSession(req.params.id);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    if (session.status === 'closed') {
+      return res.status(409).json({ error: 'Session is already closed' });
+    }
+    session.status = 'closed';
+    session.closedAt = new Date().toISOString();
+    session.closedBy = req.user.number;
+    const locked = store.listEntries(session.id).filter((e) => entryStatus(e) === 'verified');
+    store.transaction(() => {
+      store.updateSession(session);
+      locked.forEach((e) => {
+        e.status = 'locked';
+        e.lockedAt = session.closedAt;
+        store.updateEntry(e);
+      });
+    });
+    audit(req.user.number, 'session.close', { sessionId: session.id, name: session.name, lockedEntries: locked.length });
+    res.json({ session });
+  } catch (err) {
+    console.error('Close session error:', err.message);
+    res.status(500).json({ error: 'Failed to close session' });
+  }
+});
+
+/**
+ * Reopen a closed session (admin only), e.g. to correct a mistake. Rows locked when it closed stay locked.
+ */
+app.post('/api/sessions/:id/reopen', requireAuth, requirePermission('admin'), (req, res) => {
+  try {
+    const session = store.findSession(req.params.id);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    session.status = 'open';
+    session.closedAt = null;
+    session.closedBy = null;
+    store.updateSession(session);
+    audit(req.user.number, 'session.reopen', { sessionId: session.id, name: session.name });
+    res.json({ session });
+  } catch (err) {
+    console.error('Reopen session error:', err.message);
+    res.status(500).json({ error: 'Failed to reopen session' });
+  }
+});
+
+/**
+ * List stored entries scanned by the logged-in user, newest first. Reviewers and finance see
+ * every user's rows. Query: ?sessionId= to limit to one session.
+ */
+app.get('/api/entries', requireAuth, (req, res) => {
+  const { sessionId } = req.query;
+  const entries = store.listEntries(sessionId)
+    .filter((e) => canSeeEntry(req.user, e))
+    .map((e) => applyReviewState(e.normalized ? e : applyNormalization(e)))
+    .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+  res.json({ entries });
+});
+
+/**
+ * Add an entry by hand. Body: { sessionId, structured }.
+ * Rows read offline in the browser are uploaded as multipart form data instead:
+ * image, sessionId, structured and confidence (JSON strings), engine: 'tesseract-browser'.
+ */
+app.post('/api/entries', requireAuth, requirePermission('scan'), upload.single('image'), async (req, res) => {
+  try {
+    const { sessionId } = req.body || {};
+    const parseField = (value) => {
+      if (typeof value !== 'string') return value;
+      try {
+        return JSON.parse(value);
+      } catch {
+        return null;
+      }
+    };
+    const structured = parseField(req.body?.structured);
+    const isOfflineScan = req.body?.engine === 'tesseract-browser';
+    if (!structured || typeof structured !== 'object') {
+      return res.status(400).json({ error: 'structured object required' });
+    }
+    const session = store.findSession(sessionId);
+    if (!session) {
+      return res.status(400).json({ error: 'Open a scan session first' });
+    }
+    if (session.status !== 'open') {
+      return res.status(409).json({ error: 'Session is closed' });
+    }
+    const confidence = isOfflineScan ? parseField(req.body?.confidence) : null;
+    const template = getTemplate(session.templateId);
+    const entry = saveEntry(req.user.number, {
+      sessionId: session.id,
+      structured,
+      engine: isOfflineScan ? 'tesseract-browser' : 'manual',
+      confidence: confidence && typeof confidence === 'object'
+        ? toConfidence({ confidence }, toStructured(structured, template), template)
+        : undefined,
+      image: req.file
+        ? { buffer: req.file.buffer, mimeType: req.file.mimetype || 'image/jpeg', hash: await imageHash(req.file.buffer) }
+        : null,
+    });
+    audit(req.user.number, 'entry.create', { entryId: entry.id, sessionId: session.id, engine: entry.engine, values: entry.structured });
+    res.status(201).json({ entry });
+  } catch (err) {
+    console.error('Create entry error:', err.message);
+    res.status(500).json({ error: 'Failed to save entry' });
+  }
+});
+
+/**
+ * Update fields of one of the user's entries (reviewers: any entry). Body: { structured } (partial)
+ * and/or { reviewed: true } to mark that a human has checked the row.
+ */
+app.patch('/api/entries/:id', requireAuth, requirePermission('scan', 'review'), (req, res) => {
+  try {
+    const { structured, reviewed } = req.body || {};
+    if ((!structured || typeof structured !== 'object') && reviewed !== true) {
+      return res.status(400).json({ error: 'structured object or reviewed flag required' });
+    }
+    const entry = store.findEntry(req.params.id);
+    if (!entry || (entry.userNumber !== req.user.number && !can(req.user, 'review'))) {
+      return res.status(404).json({ error: 'Entry not found' });
+    }
+    if (store.findSession(entry.sessionId)?.status === 'closed') {
+      return res.status(409).json({ error: 'Session is closed' });
+    }
+    if (rejectIfVerified(entry, res)) return;
+    let changes = [];
+    if (structured && typeof structured === 'object') {
+      const previous = entry.structured || {};
+      const template = entryTemplate(entry);
+      // lines, when sent, replace every line of the row
+      entry.structured = toStructured({ ...previous, ...structured }, template);
+      changes = structuredChanges(template, previous, entry.structured);
+      // Whoever corrects the values is a maker too, and may not verify them
+      if (changes.length) addEditor(entry, req.user.number);
+      // A field a person has typed over no longer carries the model's doubt
+      entry.confidence = { ...(entry.confidence || {}) };
+      changes.forEach(({ field }) => {
+        entry.confidence[field] = 'manual';
+      });
+    }
+    if (reviewed === true) {
+      entry.reviewedAt = new Date().toISOString();
+      entry.reviewedBy = req.user.number;
+    }
+    applyNormalization(entry);
+    if (structured && typeof structured === 'object') {
+      applyMemberState(entry);
+      applyDuplicateState(entry, store.listEntries(entry.sessionId));
+    }
+    applyReviewState(entry);
+    entry.updatedAt = new Date().toISOString();
+    store.updateEntry(entry);
+    if (changes.length) audit(req.user.number, 'entry.update', { entryId: entry.id, sessionId: entry.sessionId, changes });
+    if (reviewed === true) audit(req.user.number, 'entry.review', { entryId: entry.id, sessionId: entry.sessionId });
+    res.json({ entry });
+  } catch (err) {
+    console.error('Update entry error:', err.message);
+    res.status(500).json({ error: 'Failed to update entry' });
+  }
+});
+
+/**
+ * Merge a suspected duplicate into the row it repeats: blank fields of the earlier row are
+ * filled from the duplicate, then the duplicate and its photo are deleted. Scanners may merge
+ * when they scanned both rows; reviewers any two rows.
+ * Responds with the kept row and the id of the removed one.
+ */
+app.post('/api/entries/:id/duplicate/merge', requireAuth, requirePermission('scan', 'review'), (req, res) => {
+  try {
+    const duplicate = store.findEntry(req.params.id);
+    if (!duplicate || !canChangeEntry(req.user, duplicate)) {
+      return res.status(404).json({ error: 'Entry not found' });
+    }
+    const original = duplicate.duplicateOf && store.findEntry(duplicate.duplicateOf.entryId);
+    if (!original) {
+      return res.status(400).json({ error: 'Entry is not marked as a duplicate' });
+    }
+    if (!canChangeEntry(req.user, original)) {
+      return res.status(403).json({ error: 'The earlier row was scanned by someone else. Ask a reviewer to merge.' });
+    }
+    if (store.findSession(duplicate.sessionId)?.status === 'closed') {
+      return res.status(409).json({ error: 'Session is closed' });
+    }
+    if (rejectIfVerified(duplicate, res) || rejectIfVerified(original, res)) return;
+    const template = entryTemplate(original);
+    const structured = { ...original.structured };
+    const confidence = { ...(original.confidence || {}) };
+    const copyConfidence = ({ path }) => {
+      confidence[path] = duplicate.confidence?.[path] || 'manual';
+    };
+    const copied = structuredPaths(template, duplicate.structured);
+    copied
+      .filter(({ path, line, value }) => line === null && value && !structured[path])
+      .forEach((item) => {
+        structured[item.path] = item.value;
+        copyConfidence(item);
+      });
+    // Lines are taken over as a whole, and only when the kept row has none written
+    const keptLines = structuredPaths(template, original.structured).some(({ line, value }) => line !== null && value);
+    if (hasLines(template) && !keptLines) {
+      structured.lines = duplicate.structured?.lines;
+      copied.filter(({ line }) => line !== null).forEach(copyConfidence);
+    }
+    const changes = structuredChanges(template, original.structured, toStructured(structured, template));
+    original.structured = toStructured(structured, template);
+    original.confidence = confidence;
+    // Filling the kept row is a correction: whoever merged may not verify it
+    if (changes.length) addEditor(original, req.user.number);
+    const duplicateImage = duplicate.image?.file ? path.join(IMAGES_DIR, duplicate.image.file) : null;
+    if (!original.image && duplicateImage && fs.existsSync(duplicateImage)) {
+      // Keep the only photo of the envelope
+      original.image = saveEntryImage(original.id, fs.readFileSync(duplicateImage), duplicate.image.mimeType);
+      original.imageHash = duplicate.imageHash;
+    }
+    original.updatedAt = new Date().toISOString();
+    applyNormalization(original);
+    applyMemberState(original);
+    applyReviewState(original);
+
+    store.transaction(() => {
+      store.updateEntry(original);
+      store.deleteEntry(duplicate.id);
+      refreshDuplicatesOf(duplicate.sessionId, duplicate.id);
+    });
+    deleteEntryImage(duplicate);
+    audit(req.user.number, 'entry.merge', {
+      entryId: original.id,
+      sessionId: original.sessionId,
+      removedId: duplicate.id,
+      removedValues: duplicate.structured,
+      changes,
+    });
+    res.json({ entry: original, removedId: duplicate.id });
+  } catch (err) {
+    console.error('Merge duplicate error:', err.message);
+    res.status(500).json({ error: 'Failed to merge entries' });
+  }
+});
+
+/**
+ * Mark a suspected duplicate as a separate envelope. The row is not matched against
+ * that earlier row again (it may still match another one). Scanners: their own rows; reviewers: any.
+ */
+app.post('/api/entries/:id/duplicate/dismiss', requireAuth, requirePermission('scan', 'review'), (req, res) => {
+  try {
+    const entry = store.findEntry(req.params.id);
+    if (!entry || !canChangeEntry(req.user, entry)) {
+      return res.status(404).json({ error: 'Entry not found' });
+    }
+    if (store.findSession(entry.sessionId)?.status === 'closed') {
+      return res.status(409).json({ error: 'Session is closed' });
+    }
+    if (rejectIfVerified(entry, res)) return;
+    const dismissed = entry.duplicateOf?.entryId || null;
+    if (dismissed) {
+      entry.duplicateDismissed = [...(entry.duplicateDismissed || []), dismissed];
+    }
+    applyDuplicateState(entry, store.listEntries(entry.sessionId));
+    applyReviewState(entry);
+    entry.updatedAt = new Date().toISOString();
+    store.updateEntry(entry);
+    audit(req.user.number, 'entry.duplicate-dismiss', { entryId: entry.id, sessionId: entry.sessionId, duplicateOf: dismissed });
+    res.json({ entry });
+  } catch (err) {
+    console.error('Dismiss duplicate error:', err.message);
+    res.status(500).json({ error: 'Failed to update entry' });
+  }
+});
+
+/**
+ * Link a row to another member of the registry. Body: { memberId } (null: the giver is not a
+ * member) or { auto: true } to drop a person's pick and match the row from its values again.
+ * Blank name, telephone and email are filled from the member. Whoever changes the member or the
+ * values becomes one of the row's editors (entry.editors) and so may not verify it.
+ */
+app.post('/api/entries/:id/member', requireAuth, requirePermission('scan', 'review'), (req, res) => {
+  try {
+    const { memberId, auto } = req.body || {};
+    if (memberId === undefined && auto !== true) {
+      return res.status(400).json({ error: 'memberId or auto required' });
+    }
+    const entry = store.findEntry(req.params.id);
+    if (!entry || (entry.userNumber !== req.user.number && !can(req.user, 'review'))) {
+      return res.status(404).json({ error: 'Entry not found' });
+    }
+    if (store.findSession(entry.sessionId)?.status === 'closed') {
+      return res.status(409).json({ error: 'Session is closed' });
+    }
+    if (rejectIfVerified(entry, res)) return;
+    const members = store.listMembers();
+    if (auto !== true && memberId !== null && !members.some((m) => m.id === memberId)) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+    const previous = entry.member?.id ?? null;
+    const before = entry.structured;
+    applyMemberState(entry, auto === true ? { members, auto: true } : { members, memberId });
+    const changes = structuredChanges(entryTemplate(entry), before, entry.structured);
+    if (changes.length || (entry.member?.id ?? null) !== previous) addEditor(entry, req.user.number);
+    applyDuplicateState(entry, store.listEntries(entry.sessionId));
+    applyReviewState(entry);
+    entry.updatedAt = new Date().toISOString();
+    store.updateEntry(entry);
+    audit(req.user.number, 'entry.member', {
+      entryId: entry.id,
+      sessionId: entry.sessionId,
+      memberId: entry.member?.id ?? null,
+      member: entry.member?.name || null,
+      by: entry.member?.by || null,
+      previous,
+      changes,
+    });
+    res.json({ entry });
+  } catch (err) {
+    console.error('Member link error:', err.message);
+    res.status(500).json({ error: 'Failed to update entry' });
+  }
+});
+
+/**
+ * Verify a row (maker-checker): a second user confirms the values against the photo. The user
+ * who scanned the row or ever corrected its values cannot verify it, and rows still flagged for
+ * review cannot be verified. Verified rows cannot be edited and are locked when the session closes.
+ */
+app.post('/api/entries/:id/verify', requireAuth, requirePermission('review'), (req, res) => {
+  try {
+    const entry = store.findEntry(req.params.id);
+    if (!entry) {
+      return res.status(404).json({ error: 'Entry not found' });
+    }
+    if (store.findSession(entry.sessionId)?.status === 'closed') {
+      return res.status(409).json({ error: 'Session is closed' });
+    }
+    if (entryStatus(entry) !== 'extracted') {
+      return res.status(409).json({ error: 'Row is already verified' });
+    }
+    if (entry.userNumber === req.user.number || entryEditors(entry).includes(req.user.number)) {
+      return res.status(403).json({ error: 'You scanned or corrected this row. Another user must verify it.' });
+    }
+    const now = new Date().toISOString();
+    if (!entry.reviewedAt) {
+      entry.reviewedAt = now;
+      entry.reviewedBy = req.user.number;
+    }
+    applyReviewState(entry.normalized ? entry : applyNormalization(entry));
+    if (entry.needsReview) {
+      return res.status(409).json({ error: 'Fix the flagged fields before verifying' });
+    }
+    entry.status = 'verified';
+    entry.verifiedBy = req.user.number;
+    entry.verifiedAt = now;
+    entry.updatedAt = now;
+    store.updateEntry(entry);
+    audit(req.user.number, 'entry.verify', { entryId: entry.id, sessionId: entry.sessionId, values: entry.structured });
+    res.json({ entry });
+  } catch (err) {
+    console.error('Verify entry error:', err.message);
+    res.status(500).json({ error: 'Failed to verify entry' });
+  }
+});
+
+/**
+ * Send a verified row back for changes (status extracted). Locked rows cannot be reopened.
+ */
+app.post('/api/entries/:id/unverify', requireAuth, requirePermission('review'), (req, res) => {
+  try {
+    const entry = store.findEntry(req.params.id);
+    if (!entry) {
+      return res.status(404).json({ error: 'Entry not found' });
+    }
+    const status = entryStatus(entry);
+    if (status === 'locked' || store.findSession(entry.sessionId)?.status === 'closed') {
+      return res.status(409).json({ error: 'Row is locked' });
+    }
+    if (status !== 'verified') {
+      return res.status(409).json({ error: 'Row is not verified' });
+    }
+    const verifiedBy = entry.verifiedBy;
+    entry.status = 'extracted';
+    entry.verifiedBy = null;
+    entry.verifiedAt = null;
+    entry.updatedAt = new Date().toISOString();
+    store.updateEntry(entry);
+    audit(req.user.number, 'entry.unverify', { entryId: entry.id, sessionId: entry.sessionId, verifiedBy });
+    res.json({ entry });
+  } catch (err) {
+    console.error('Unverify entry error:', err.message);
+    res.status(500).json({ error: 'Failed to update entry' });
+  }
+});
+
+/**
+ * Original envelope photo for an entry, for disputes and audits. Shown to whoever may see the
+ * row in GET /api/entries.
+ */
+app.get('/api/entries/:id/image', requireAuth, (req, res) => {
+  const entry = store.findEntry(req.params.id);
+  if (!entry?.image?.file || !canSeeEntry(req.user, entry)) {
+    return res.status(404).json({ error: 'Image not found' });
+  }
+  const filePath = imagePath(entry.image.file);
+  if (!filePath || !fs.existsSync(filePath)) {
+    return res.status(404).json({ error: 'Image not found' });
+  }
+  res.setHeader('Content-Type', entry.image.mimeType || 'image/jpeg');
+  res.setHeader('Cache-Control', 'private, max-age=86400');
+  res.sendFile(filePath);
+});
+
+/**
+ * Delete one of the user's entries.
+ */
+app.delete('/api/entries/:id', requireAuth, requirePermission('scan'), (req, res) => {
+  try {
+    const entry = store.findEntry(req.params.id);
+    if (entry?.userNumber !== req.user.number) {
+      return res.status(404).json({ error: 'Entry not found' });
+    }
+    if (store.findSession(entry.sessionId)?.status === 'closed') {
+      return res.status(409).json({ error: 'Session is closed' });
+    }
+    if (rejectIfVerified(entry, res)) return;
+    store.transaction(() => {
+      store.deleteEntry(entry.id);
+      refreshDuplicatesOf(entry.sessionId, entry.id);
+    });
+    deleteEntryImage(entry);
+    audit(req.user.number, 'entry.delete', { entryId: entry.id, sessionId: entry.sessionId, values: entry.structured });
+    res.json({ ok: true });
+  } catch (err) {
+    console.error('Delete entry error:', err.message);
+    res.status(500).json({ error: 'Failed to delete entry' });
+  }
+});
+
+/**
+ * Delete all of the user's entries in an open session (the table's "Clear" button).
+ * Verified rows are kept. Query: ?sessionId=
+ */
+app.delete('/api/entries', requireAuth, requirePermission('scan'), (req, res) => {
+  try {
+    const session = store.findSession(req.query.sessionId);
+    if (!session) {
+      return res.status(400).json({ error: 'sessionId required' });
+    }
+    if (session.status !== 'open') {
+      return res.status(409).json({ error: 'Session is closed' });
+    }
+    const cleared = store.listEntries(session.id)
+      .filter((e) => e.userNumber === req.user.number && entryStatus(e) === 'extracted');
+    store.transaction(() => cleared.forEach((e) => store.deleteEntry(e.id)));
+    cleared.forEach(deleteEntryImage);
+    audit(req.user.number, 'entry.clear', { sessionId: session.id, entryIds: cleared.map((e) => e.id) });
+    res.json({ ok: true, deleted: cleared.length });
+  } catch (err) {
+    console.error('Clear entries error:', err.message);
+    res.status(500).json({ error: 'Failed to clear entries' });
+  }
+});
+
+/**
+ * Export to Excel endpoint. Requires auth.
+ * Body: { sessionId } for one session (all users' rows), { from, to } (YYYY-MM-DD, inclusive)
+ * for a date range of stored rows, or { ids } for chosen rows. Rows always come from the store.
+ * With includeImages: true, responds with a zip holding the spreadsheet plus an images/ folder.
+ * With verifiedOnly: true, rows not yet verified by a second user are left out.
+ * A "Totals" sheet sums the amounts per currency. With convert: true, amounts and totals are also
+ * given in the base currency at the admins' exchange rates (blank where a currency has no rate).
+ */
+app.post('/api/export', requireAuth, requirePermission('export'), (req, res) => {
+  try {
+    const { sessionId, from, to, ids, includeImages, verifiedOnly, convert } = req.body || {};
+    let entries = [];
+    let filename = 'phaneroo-extracted-data.xlsx';
+
+    const sessionsById = new Map(store.listSessions().map((s) => [s.id, s]));
+
+    if (sessionId) {
+      const session = sessionsById.get(sessionId);
+      if (!session) {
+        return res.status(404).json({ error: 'Session not found' });
+      }
+      entries = store.listEntries(session.id);
+      filename = `phaneroo-${session.date}-${session.service.replace(/[^a-z0-9]+/gi, '-').toLowerCase()}.xlsx`;
+    } else if (from || to) {
+      entries = store.listEntries()
+        .filter((e) => {
+          const day = entryDay(e, sessionsById);
+          return (!from || day >= from) && (!to || day <= to);
+        });
+      filename = `phaneroo-${from || 'start'}-to-${to || 'today'}.xlsx`;
+    } else if (Array.isArray(ids)) {
+      // Only ids are taken from the client, so the sheet always matches the stored, audited rows
+      entries = ids.map((id) => (typeof id === 'string' ? store.findEntry(id) : null)).filter(Boolean);
+    }
+
+    if (entries.length === 0) {
+      return res.status(400).json({ error: 'No entries provided' });
+    }
+    if (verifiedOnly) {
+      entries = entries.filter((entry) => entryStatus(entry) !== 'extracted');
+      if (entries.length === 0) {
+        return res.status(400).json({ error: 'No verified rows to export' });
+      }
+    }
+
+    audit(req.user.number, 'export', {
+      sessionId: sessionId || null,
+      from: from || null,
+      to: to || null,
+      ids: sessionId || from || to ? null : entries.map((entry) => entry.id),
+      rows: entries.length,
+      includeImages: !!includeImages,
+      verifiedOnly: !!verifiedOnly,
+      convert: !!convert,
+      filename,
+    });
+
+    // Photos to bundle, named by row number so auditors can match them to the sheet
+    const imageFiles = new Map();
+    if (includeImages) {
+      entries.forEach((entry, index) => {
+        const file = entry.image?.file;
+        const filePath = imagePath(file);
+        if (filePath && fs.existsSync(filePath)) {
+          imageFiles.set(entry.id, { filePath, name: `images/${index + 1}-${file}` });
+        }
+      });
+    }
+
+    const rowNumbers = new Map(entries.map((entry, index) => [entry.id, index + 1]));
+
+    // Columns come from the rows' form templates; a "Form" column tells them apart when they differ.
+    // An envelope with several contribution lines gives one sheet row per line, under the same # and Envelope ID
+    const templates = [...new Set(entries.map((entry) => entryTemplate(entry)))];
+    const formColumn = templates.length > 1;
+    const conversion = currencyConversion();
+    const convertedColumn = `Amount in ${conversion.base}`;
+    const worksheetData = entries.flatMap((entry, index) => {
       const structured = entry.structured || {};
-      return {
+      const template = entryTemplate(entry);
+      const normalized = entryNormalized(entry);
+      // The amount of each sheet row: its contribution line's, or the form's
+      const amounts = normalized.lines || [normalized];
+      const imageColumn = includeImages ? { Image: imageFiles.get(entry.id)?.name || '' } : {};
+      return exportRows(template, structured, normalized).map((cells, line) => ({
         '#': index + 1,
-        Name: structured.name || '',
-        Email: structured.email || '',
-        Telephone: structured.telephone || '',
-        Date: structured.date || '',
-        'Contribution Type': structured.contributionType || '',
-        'Payment Method': structured.paymentMethod || '',
-        Amount: structured.amount || '',
-      };
+        'Envelope ID': entry.id,
+        Session: sessionsById.get(entry.sessionId)?.name || '',
+        ...(formColumn ? { Form: template.name } : {}),
+        ...Object.fromEntries(cells),
+        ...(convert ? { [convertedColumn]: convertAmount(amounts[line]?.amount, amounts[line]?.currency, conversion) ?? '' } : {}),
+        Member: entry.member?.name || '',
+        'Member ID': entry.member?.id ? entry.member.ref || entry.member.id : '',
+        'Possible duplicate of #': entry.duplicateOf ? rowNumbers.get(entry.duplicateOf.entryId) || '' : '',
+        Status: entryStatus(entry),
+        'Scanned by': entry.userNumber || '',
+        'Verified by': entry.verifiedBy || '',
+        'Verified at': entry.verifiedAt || '',
+        ...imageColumn,
+      }));
     });
 
     // Create workbook
-    const worksheet = XLSX.utils.json_to_sheet(worksheetData);
+    const header = ['#', 'Envelope ID', 'Session', ...(formColumn ? ['Form'] : []), ...exportColumns(templates)];
+    const worksheet = XLSX.utils.json_to_sheet(worksheetData, { header });
     const workbook = XLSX.utils.book_new();
     XLSX.utils.book_append_sheet(workbook, worksheet, 'Extracted Data');
 
+    const totals = totalsByCurrency(entries, conversion);
+    if (totals.currencies.length) {
+      const totalsData = totals.currencies.map(({ currency, amounts, total, rate, converted }) => ({
+        Currency: currency,
+        Amounts: amounts,
+        Total: total,
+        ...(convert ? { [`Rate to ${totals.base}`]: rate ?? 'no rate', [`Total in ${totals.base}`]: converted ?? '' } : {}),
+      }));
+      if (convert) {
+        const missing = totals.missingRates.length ? ` (without ${totals.missingRates.join(', ')})` : '';
+        totalsData.push({ Currency: `All${missing}`, [`Total in ${totals.base}`]: totals.total });
+      }
+      XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(totalsData), 'Totals');
+    }
+
     // Generate Excel file buffer
     const excelBuffer = XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
 
+    if (includeImages) {
+      const archive = archiver('zip');
+      archive.on('error', (err) => {
+        console.error('Export zip error:', err.message);
+        res.destroy(err);
+      });
+      res.setHeader('Content-Type', 'application/zip');
+      res.setHeader('Content-Disposition', `attachment; filename=${filename.replace(/\.xlsx$/, '.zip')}`);
+      archive.pipe(res);
+      archive.append(excelBuffer, { name: filename });
+      imageFiles.forEach(({ filePath, name }) => archive.file(filePath, { name }));
+      archive.finalize();
+      return;
+    }
+
     // Send file
     res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
-    res.setHeader('Content-Disposition', 'attachment; filename=phaneroo-extracted-data.xlsx');
+    res.setHeader('Content-Disposition', `attachment; filename=${filename}`);
     res.send(excelBuffer);
   } catch (error) {
     console.error('Export Error:', error);
@@ -444,6 +2449,121 @@ app.post('/api/export', requireAuth, (req, res) => {
   }
 });
 
+/**
+ * Everyone who gave in a period, by name, with their number of gifts and totals per currency.
+ * Query: from / to (YYYY-MM-DD, default this calendar year), q (name, phone, email or member ID),
+ * verifiedOnly (default true). Returns { from, to, contributors, unassigned } where unassigned
+ * counts gifts on rows with neither a member nor a phone number.
+ */
+app.get('/api/giving', requireAuth, requirePermission('export'), (req, res) => {
+  try {
+    const period = statementPeriod(req.query);
+    if (!period) {
+      return res.status(400).json({ error: 'from and to must be dates (YYYY-MM-DD), from first' });
+    }
+    const { statements, unassigned } = givingStatements(storedGifts(period, { verifiedOnly: req.query.verifiedOnly !== 'false' }));
+    const contributors = statements.map(({ contributor }) => contributor);
+    const needle = String(req.query.q ?? '').trim().toLowerCase();
+    const found = needle
+      ? contributors.filter((c) => [c.name, c.telephone, c.email, c.ref].some((value) => value.toLowerCase().includes(needle)))
+      : contributors;
+    res.json({ ...period, contributors: found, unassigned });
+  } catch (err) {
+    console.error('Giving error:', err.message);
+    res.status(500).json({ error: 'Failed to load giving' });
+  }
+});
+
+/**
+ * Giving history of one contributor in a period, oldest first. Query: memberId (a registry
+ * member) or phone (every gift given with that number), from / to, verifiedOnly (default true).
+ * Returns { from, to, contributor, gifts }.
+ */
+app.get('/api/giving/history', requireAuth, requirePermission('export'), (req, res) => {
+  try {
+    const period = statementPeriod(req.query);
+    if (!period) {
+      return res.status(400).json({ error: 'from and to must be dates (YYYY-MM-DD), from first' });
+    }
+    const memberId = req.query.memberId ? String(req.query.memberId) : null;
+    const telephone = memberId ? null : normalizePhone(req.query.phone);
+    if (!memberId && !telephone) {
+      return res.status(400).json({ error: 'memberId or phone required' });
+    }
+    const history = givingHistory(storedGifts(period, { verifiedOnly: req.query.verifiedOnly !== 'false' }), { memberId, telephone });
+    if (!history) {
+      return res.status(404).json({ error: 'No gifts in this period' });
+    }
+    res.json({ ...period, ...history });
+  } catch (err) {
+    console.error('Giving history error:', err.message);
+    res.status(500).json({ error: 'Failed to load giving history' });
+  }
+});
+
+/**
+ * Giving statements for a period. Body: { from, to, format: 'pdf' | 'xlsx', memberId | phone,
+ * verifiedOnly (default true) }. With a memberId or phone: that contributor's statement (see /api/giving/history).
+ * Without: a zip with a statement for every contributor in the period, each gift on one of them.
+ */
+app.post('/api/giving/statements', requireAuth, requirePermission('export'), (req, res) => {
+  try {
+    const { format = 'pdf', memberId, phone, verifiedOnly = true } = req.body || {};
+    const period = statementPeriod(req.body);
+    if (!period) {
+      return res.status(400).json({ error: 'from and to must be dates (YYYY-MM-DD), from first' });
+    }
+    if (!['pdf', 'xlsx'].includes(format)) {
+      return res.status(400).json({ error: 'format must be pdf or xlsx' });
+    }
+    const telephone = !memberId && phone ? normalizePhone(phone) : null;
+    if (phone && !memberId && !telephone) {
+      return res.status(400).json({ error: 'Phone number not recognised' });
+    }
+    const gifts = storedGifts(period, { verifiedOnly: !!verifiedOnly });
+    const single = memberId || telephone;
+    const statements = single
+      ? [givingHistory(gifts, { memberId, telephone })].filter(Boolean)
+      : givingStatements(gifts).statements;
+    if (!statements.length) {
+      return res.status(404).json({ error: 'No gifts in this period' });
+    }
+    const render = (statement) => (format === 'pdf'
+      ? statementPdf(statement, period)
+      : XLSX.write(statementWorkbook(statement, period), { type: 'buffer', bookType: 'xlsx' }));
+
+    audit(req.user.number, 'giving.statement', {
+      ...period,
+      format,
+      memberId: memberId || null,
+      phone: telephone,
+      statements: statements.length,
+      verifiedOnly: !!verifiedOnly,
+    });
+
+    if (single) {
+      res.setHeader('Content-Type', format === 'pdf'
+        ? 'application/pdf'
+        : 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.setHeader('Content-Disposition', `attachment; filename=${statementFilename(statements[0], period, format)}`);
+      return res.send(render(statements[0]));
+    }
+    const archive = archiver('zip');
+    archive.on('error', (err) => {
+      console.error('Statements zip error:', err.message);
+      res.destroy(err);
+    });
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename=giving-statements-${period.from}-to-${period.to}.zip`);
+    archive.pipe(res);
+    statements.forEach((statement) => archive.append(render(statement), { name: statementFilename(statement, period, format) }));
+    archive.finalize();
+  } catch (err) {
+    console.error('Statements error:', err.message);
+    res.status(500).json({ error: 'Failed to create statements' });
+  }
+});
+
 // SPA fallback: serve index.html for non-API routes (production only)
 if (isProduction) {
   const distPath = path.join(__dirname, '..', 'dist');
@@ -453,20 +2573,73 @@ if (isProduction) {
   });
 }
 
-// Optional: seed first user from env. Default number 0705161161; set SEED_USER_PASSWORD (and optionally SEED_USER_NUMBER).
+// One-time move of the JSON files used before SQLite (users.json, entries.json, ...) into the database
+function importLegacyJson() {
+  const imported = importJsonFiles(store, DATA_DIR);
+  if (imported && Object.values(imported).some(Boolean)) {
+    const summary = Object.entries(imported).map(([name, count]) => `${count} ${name}`).join(', ');
+    console.log(`Imported JSON data into ${DATABASE_FILE}: ${summary}. The JSON files are no longer used.`);
+  }
+}
+
+// Rows saved before contribution lines existed: their type and amount become the row's only line
+function upgradeEntryLines() {
+  const legacy = store.listEntries().filter((entry) => hasLines(entryTemplate(entry)) && !Array.isArray(entry.structured?.lines));
+  if (!legacy.length) return;
+  store.transaction(() => {
+    legacy.forEach((entry) => {
+      const template = entryTemplate(entry);
+      const confidence = { ...(entry.confidence || {}) };
+      lineFields(template).forEach(({ key }) => {
+        if (confidence[key]) confidence[linePath(0, key)] = confidence[key];
+        delete confidence[key];
+      });
+      entry.structured = toStructured(entry.structured || {}, template);
+      entry.confidence = confidence;
+      applyNormalization(entry);
+      applyReviewState(entry);
+      store.updateEntry(entry);
+    });
+  });
+  console.log(`Moved the contribution type and amount of ${legacy.length} rows into contribution lines.`);
+}
+
+// Optional: seed the first user, as admin, from env. Set SEED_USER_NUMBER and SEED_USER_PASSWORD.
 async function seedUserIfNeeded() {
-  const users = readUsers();
-  if (users.length > 0) return;
-  const num = (process.env.SEED_USER_NUMBER || '0705161161').trim().replace(/\s/g, '');
+  if (store.countUsers() > 0) return;
+  const num = (process.env.SEED_USER_NUMBER || '').trim().replace(/\s/g, '');
   const pwd = process.env.SEED_USER_PASSWORD;
-  if (!pwd) return;
+  if (!num || !pwd) return;
   const passwordHash = await bcrypt.hash(pwd, 10);
-  writeUsers([{ number: num, passwordHash }]);
+  store.insertUser({ number: num, passwordHash, role: 'admin', createdAt: new Date().toISOString() });
   console.log('Seeded first user:', num);
 }
 
+// Users stored before roles existed get one: admin if listed in SUPER_ADMIN_NUMBERS, else scanner
+function assignMissingRoles() {
+  const users = store.listUsers();
+  const missing = users.filter((u) => !isRole(u.role));
+  if (missing.length) {
+    store.transaction(() => missing.forEach((u) => {
+      u.role = SUPER_ADMIN_NUMBERS.includes(u.number) ? 'admin' : DEFAULT_ROLE;
+      store.updateUser(u);
+    }));
+    console.log(`Assigned roles to ${missing.length} user(s).`);
+  }
+  if (users.length && !users.some((u) => u.role === 'admin')) {
+    console.warn('No admin user. Add a number to SUPER_ADMIN_NUMBERS or use /api/admin/users with role "admin".');
+  }
+}
+
 (async () => {
+  importLegacyJson();
+  upgradeEntryLines();
   await seedUserIfNeeded();
+  assignMissingRoles();
+  store.deleteExpiredRefreshTokens(new Date().toISOString());
+  loginThrottle.prune();
+  store.deleteExpiredLoginCodes(new Date().toISOString());
+  resumeJobs();
   app.listen(PORT, () => {
     console.log(`Node.js server running on http://localhost:${PORT}`);
     if (GEMINI_API_KEY) {
@@ -474,6 +2647,11 @@ async function seedUserIfNeeded() {
     } else {
       console.log('Set GEMINI_API_KEY in .env. Get a free key at aistudio.google.com');
     }
+    console.log(`Extraction engines (in order): ${extraction.available().join(', ') || 'none'}`);
+    console.log(sms ? `Login with a code: ${sms.label}` : 'Login with a code is off (set SMS_PROVIDER to turn it on).');
+    if (sms && isProduction && ['console', 'file'].includes(sms.id)) {
+      console.warn(`SMS_PROVIDER=${sms.id} does not send real messages. Use it for testing only.`);
+    }
     if (!JWT_SECRET || JWT_SECRET === 'change-me-in-production') {
       console.warn('Set JWT_SECRET in production.');
     }
@@ -0,0 +1,69 @@
+/**
+ * Login brute-force protection.
+ * Failed logins are counted per phone number and per client IP. Once a counter reaches its limit
+ * the number (or IP) is locked for a minute, and every further failure doubles the lock, up to an
+ * hour. A successful login clears the number's counter; counters are forgotten a day after their
+ * last failure. Unknown numbers are counted like registered ones, so a lockout says nothing about
+ * which numbers exist.
+ */
+
+const BASE_LOCK_SECONDS = 60;
+const MAX_LOCK_SECONDS = 60 * 60;
+const FAILURE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+/** Lock length after the given number of failures: 0 below the limit, then 1, 2, 4 ... 60 minutes. */
+export function lockSeconds(failures, maxFailures) {
+  if (failures < maxFailures) return 0;
+  return Math.min(MAX_LOCK_SECONDS, BASE_LOCK_SECONDS * 2 ** Math.min(failures - maxFailures, 12));
+}
+
+/**
+ * @param store the database store (login_failures table)
+ * @param {{ numberMaxFailures: number, ipMaxFailures: number }} limits failures before a lock
+ */
+export function createLoginThrottle(store, { numberMaxFailures, ipMaxFailures }) {
+  const limits = { number: numberMaxFailures, ip: ipMaxFailures };
+  const keys = (number, ip) => [['number', number], ['ip', ip]].filter(([, value]) => value);
+
+  return {
+    /** Seconds until the number and IP may try again (0 when neither is locked). */
+    retryAfter(number, ip, now = new Date()) {
+      return Math.max(0, ...keys(number, ip).map(([kind, value]) => {
+        const record = store.findLoginFailures(kind, value);
+        return record?.lockedUntil ? Math.ceil((Date.parse(record.lockedUntil) - now.getTime()) / 1000) : 0;
+      }));
+    },
+
+    /** Count a failed login. Returns the locks it started: [{ kind, value, failures, lockedUntil }]. */
+    recordFailure(number, ip, now = new Date()) {
+      return store.transaction(() => keys(number, ip).flatMap(([kind, value]) => {
+        const record = store.findLoginFailures(kind, value);
+        const recent = record && now.getTime() - Date.parse(record.lastFailureAt) < FAILURE_WINDOW_MS;
+        const failures = (recent ? record.failures : 0) + 1;
+        const seconds = lockSeconds(failures, limits[kind]);
+        const lockedUntil = seconds ? new Date(now.getTime() + seconds * 1000).toISOString() : null;
+        store.saveLoginFailures({ kind, value, failures, lastFailureAt: now.toISOString(), lockedUntil });
+        return lockedUntil ? [{ kind, value, failures, lockedUntil }] : [];
+      }));
+    },
+
+    /** A correct password clears the number's counter. The IP's is kept, so one valid account cannot reset it. */
+    recordSuccess(number) {
+      store.deleteLoginFailures('number', number);
+    },
+
+    /** Numbers and IPs locked right now, longest lock first. */
+    activeLocks(now = new Date()) {
+      return store.listLoginLocks(now.toISOString());
+    },
+
+    unlock(kind, value) {
+      return store.deleteLoginFailures(kind, value).changes > 0;
+    },
+
+    /** Drop counters whose last failure is older than the window and that hold no lock. */
+    prune(now = new Date()) {
+      store.deleteStaleLoginFailures(new Date(now.getTime() - FAILURE_WINDOW_MS).toISOString());
+    },
+  };
+}
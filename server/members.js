@@ -0,0 +1,142 @@
+/**
+ * Member registry matching. A scanned row is linked to a registered member by its phone number,
+ * then its email address, then a close enough name ("J. Okello" is "John Okello"). Members and
+ * rows compare on normalized values: E.164 phone numbers and lower-case email addresses.
+ */
+
+import { nameSimilarity } from './duplicates.js';
+import { isValidEmail, normalizePhone } from './normalize.js';
+
+/** Name score from which a row is linked to a member on its name alone. */
+const NAME_MIN_SCORE = 0.8;
+/** How far the best name must be ahead of the next one; closer than that is left to a person. */
+const NAME_MIN_LEAD = 0.05;
+/** What a word only one of the names has (a middle name) costs, against 1 for a wrong word. */
+const EXTRA_WORD_COST = 0.3;
+
+/** Registry fields copied into a row's blank fields of the same key. */
+export const MEMBER_FIELDS = ['name', 'telephone', 'email'];
+
+/** Spreadsheet headers accepted for each member field, compared lower-case without punctuation. */
+const MEMBER_COLUMNS = {
+  ref: ['member id', 'member no', 'member number', 'membership no', 'membership number', 'id', 'ref', 'no'],
+  name: ['name', 'names', 'full name', 'member name', 'member'],
+  telephone: ['telephone', 'phone', 'phone number', 'mobile', 'mobile number', 'tel', 'contact'],
+  email: ['email', 'e mail', 'email address'],
+};
+
+const nameWords = (name) => String(name ?? '').toLowerCase().replace(/[^a-z\s]/g, ' ').split(/\s+/).filter(Boolean);
+
+/** 1 for the same word, 0.9 for an initial of it ("j" for "john"), else how alike they are spelt. */
+function wordScore(a, b) {
+  if (a === b) return 1;
+  if ((a.length === 1 && b.startsWith(a)) || (b.length === 1 && a.startsWith(b))) return 0.9;
+  return nameSimilarity(a, b);
+}
+
+/**
+ * How well a written name fits a registered one, from 0 to 1, in any word order. Each word of
+ * the shorter name is paired with its best match in the longer one.
+ */
+export function memberNameScore(written, registered) {
+  const a = nameWords(written);
+  const b = nameWords(registered);
+  if (!a.length || !b.length) return 0;
+  const [shorter, longer] = a.length <= b.length ? [a, b] : [b, a];
+  const unused = [...longer];
+  let sum = 0;
+  shorter.forEach((word) => {
+    let best = -1;
+    let bestScore = 0;
+    unused.forEach((other, i) => {
+      const score = wordScore(word, other);
+      if (score > bestScore) {
+        best = i;
+        bestScore = score;
+      }
+    });
+    if (best !== -1) {
+      sum += bestScore;
+      unused.splice(best, 1);
+    }
+  });
+  return Math.round((sum / (shorter.length + unused.length * EXTRA_WORD_COST)) * 100) / 100;
+}
+
+/** Members ranked by how well their names fit, best first. */
+const rankByName = (name, members) =>
+  members.map((member) => ({ member, score: memberNameScore(name, member.name) })).sort((a, b) => b.score - a.score);
+
+/**
+ * The member a row belongs to, from its normalized values. Several members sharing a phone
+ * number or email (a family) are told apart by name.
+ * @returns {{ id: string, by: 'telephone'|'email'|'name', score?: number } | null}
+ */
+export function matchMember(normalized = {}, members) {
+  for (const key of ['telephone', 'email']) {
+    const same = normalized[key] ? members.filter((member) => member[key] === normalized[key]) : [];
+    if (same.length) return { id: rankByName(normalized.name, same)[0].member.id, by: key };
+  }
+  const [best, next] = rankByName(normalized.name, members);
+  if (!best || best.score < NAME_MIN_SCORE || (next && best.score - next.score < NAME_MIN_LEAD)) return null;
+  return { id: best.member.id, by: 'name', score: best.score };
+}
+
+/**
+ * Members a person might pick for a row: those with its phone number or email first, then the
+ * closest names.
+ */
+export function memberCandidates(normalized = {}, members, limit = 8) {
+  return members
+    .map((member) => {
+      const same = ['telephone', 'email'].some((key) => normalized[key] && member[key] === normalized[key]);
+      return { member, score: same ? 1 : memberNameScore(normalized.name, member.name) };
+    })
+    .filter(({ score }) => score >= 0.5)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ member, score }) => ({ ...member, score }));
+}
+
+/** Members whose name, phone, email or registry ID contains the search text. */
+export function searchMembers(query, members, limit = 20) {
+  const text = String(query ?? '').trim().toLowerCase();
+  const digits = text.replace(/\D/g, '');
+  return members
+    .filter((member) =>
+      [member.name, member.email, member.ref].some((value) => String(value ?? '').toLowerCase().includes(text))
+      || (digits.length >= 3 && String(member.telephone ?? '').includes(digits.replace(/^0/, ''))))
+    .slice(0, limit);
+}
+
+const headerKey = (header) => String(header ?? '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+/**
+ * Read registry rows from a spreadsheet's rows (objects keyed by header). Phone numbers and
+ * emails are normalized; rows without a name are skipped.
+ * @returns {{ members: Array<{ ref, name, telephone, email }>, skipped: number, columns: object }}
+ *   columns names the header used for each member field
+ */
+export function readMemberRows(rows) {
+  const headers = Object.keys(rows[0] || {});
+  const columns = Object.fromEntries(Object.entries(MEMBER_COLUMNS).map(([field, names]) =>
+    [field, headers.find((header) => names.includes(headerKey(header))) || null]));
+  const cell = (row, field) => (columns[field] ? String(row[columns[field]] ?? '').trim() : '');
+  const members = [];
+  let skipped = 0;
+  rows.forEach((row) => {
+    const name = cell(row, 'name').replace(/\s+/g, ' ');
+    if (!name) {
+      skipped++;
+      return;
+    }
+    const email = cell(row, 'email').toLowerCase();
+    members.push({
+      ref: cell(row, 'ref'),
+      name,
+      telephone: normalizePhone(cell(row, 'telephone')) || '',
+      email: isValidEmail(email) ? email : '',
+    });
+  });
+  return { members, skipped, columns };
+}
@@ -0,0 +1,258 @@
+/**
+ * Normalization of extracted form fields, by the field types of the row's form template.
+ * Turns the free-text values read off an envelope (amounts like "UGX 50,000", "50k" or "50000/=",
+ * local phone numbers, hand-written dates) into typed values. Raw values are never modified here;
+ * callers keep them next to the normalized result.
+ */
+
+import { envelopeFields, getTemplate, hasLines, lineFields, linePath } from './formTemplates.js';
+
+// Codes and words are bounded by letters only, not \b, so "USD20" and "20USD" are read too
+const CURRENCY_PATTERNS = [
+  ['USD', /(?<![A-Z])USD(?![A-Z])|US\s?\$|\$|(?<![A-Z])dollars?(?![A-Z])/i],
+  ['KES', /(?<![A-Z])KES(?![A-Z])|(?<![A-Z])KSH/i],
+  ['EUR', /(?<![A-Z])EUR(?![A-Z])|€|(?<![A-Z])euros?(?![A-Z])/i],
+  ['GBP', /(?<![A-Z])GBP(?![A-Z])|£|(?<![A-Z])pounds?(?![A-Z])/i],
+  ['UGX', /(?<![A-Z])UGX(?![A-Z])|(?<![A-Z])USH|(?<![A-Z])SHS?(?![A-Z])|\/=|(?<![A-Z])shillings?(?![A-Z])/i],
+];
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const pad = (n) => String(n).padStart(2, '0');
+
+/** Currency named or symbolised in the text, or null if none. */
+export function detectCurrency(raw) {
+  const text = String(raw ?? '');
+  const match = CURRENCY_PATTERNS.find(([, pattern]) => pattern.test(text));
+  return match ? match[0] : null;
+}
+
+/**
+ * Read a currency field: a code ("usd" → "USD") or a symbol or word ("USh", "$", "dollars").
+ * @returns {string|null} null when nothing recognisable is written
+ */
+export function parseCurrency(raw) {
+  const text = String(raw ?? '').trim();
+  if (!text) return null;
+  return detectCurrency(text) || (/^[a-z]{3}$/i.test(text) ? text.toUpperCase() : null);
+}
+
+/**
+ * Parse an amount such as "UGX 50,000", "50k", "1.5m", "50000/=", "$20.50", "20USD" or "1,5m".
+ * @returns {{ value: number|null, currency: string|null }} currency falls back to defaultCurrency
+ *   when a value was read but no currency was written.
+ */
+export function parseAmount(raw, defaultCurrency = 'UGX') {
+  const text = String(raw ?? '').trim();
+  if (!text) return { value: null, currency: null };
+  const currency = detectCurrency(text);
+  const match = text.replace(/\s+/g, '').match(/(\d[\d,.]*)((?:[km](?![a-z]))?)/i);
+  if (!match) return { value: null, currency };
+
+  let digits = match[1].replace(/[.,]+$/, '');
+  if (/^\d{1,3}(\.\d{3})+$/.test(digits)) {
+    // "50.000" – dots used as thousands separators
+    digits = digits.replace(/\./g, '');
+  } else if (/^\d+,\d{1,2}$/.test(digits)) {
+    // "1,5" – a comma used as the decimal point (thousands always have three digits)
+    digits = digits.replace(',', '.');
+  } else {
+    digits = digits.replace(/,/g, '');
+  }
+  let value = Number(digits);
+  if (!Number.isFinite(value)) return { value: null, currency };
+  const suffix = match[2].toLowerCase();
+  if (suffix === 'k') value *= 1000;
+  if (suffix === 'm') value *= 1000000;
+  return { value: Math.round(value * 100) / 100, currency: currency || defaultCurrency };
+}
+
+/**
+ * Normalize a phone number to E.164. Local Ugandan forms (07XXXXXXXX, 7XXXXXXXX, 2567XXXXXXXX,
+ * 002567XXXXXXXX) become +2567XXXXXXXX; other numbers written with a leading + are kept as is.
+ * @returns {string|null} null when the number cannot be understood
+ */
+export function normalizePhone(raw) {
+  const text = String(raw ?? '').trim();
+  if (!text) return null;
+  const hasPlus = text.startsWith('+');
+  let digits = text.replace(/\D/g, '');
+  if (digits.startsWith('00')) digits = digits.slice(2);
+
+  if (digits.length === 12 && digits.startsWith('256')) return `+${digits}`;
+  if (digits.length === 10 && digits.startsWith('0')) return `+256${digits.slice(1)}`;
+  if (digits.length === 9 && !digits.startsWith('0') && !hasPlus) return `+256${digits}`;
+  if ((hasPlus || text.startsWith('00')) && digits.length >= 8 && digits.length <= 15) return `+${digits}`;
+  return null;
+}
+
+function isoDate(year, month, day) {
+  if (year < 100) year += 2000;
+  const d = new Date(Date.UTC(year, month - 1, day));
+  if (d.getUTCFullYear() !== year || d.getUTCMonth() !== month - 1 || d.getUTCDate() !== day) return null;
+  return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+function monthFromName(name) {
+  const index = MONTHS.indexOf(String(name).slice(0, 3).toLowerCase());
+  return index === -1 ? null : index + 1;
+}
+
+/**
+ * Parse a written date into YYYY-MM-DD. Numeric dates are read day-first (18/10/2026),
+ * except when they start with a four-digit year (2026-10-18).
+ * @returns {string|null}
+ */
+export function parseDate(raw) {
+  const text = String(raw ?? '').trim().replace(/(\d)(st|nd|rd|th)\b/gi, '$1');
+  if (!text) return null;
+  let m = text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})$/);
+  if (m) return isoDate(Number(m[1]), Number(m[2]), Number(m[3]));
+  m = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2}|\d{4})$/);
+  if (m) return isoDate(Number(m[3]), Number(m[2]), Number(m[1]));
+  m = text.match(/^(\d{1,2})[\s-]+([a-z]+)\.?,?[\s-]+(\d{2}|\d{4})$/i);
+  if (m && monthFromName(m[2])) return isoDate(Number(m[3]), monthFromName(m[2]), Number(m[1]));
+  m = text.match(/^([a-z]+)\.?\s+(\d{1,2}),?\s+(\d{4})$/i);
+  if (m && monthFromName(m[1])) return isoDate(Number(m[3]), monthFromName(m[1]), Number(m[2]));
+  return null;
+}
+
+export function isValidEmail(raw) {
+  return /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(String(raw ?? '').trim());
+}
+
+/**
+ * Parse a count such as "3" or "3 people". Numbers written out in words are not understood.
+ * @returns {number|null}
+ */
+export function parseNumber(raw) {
+  const match = String(raw ?? '').replace(/,/g, '').match(/\d+(?:\.\d+)?/);
+  return match ? Number(match[0]) : null;
+}
+
+const optionKey = (text) => String(text).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Map a written or ticked value onto one of a field's options, through its aliases.
+ * @returns {string|null} '' for an empty value, null when it matches none of the options
+ */
+export function normalizeOption(raw, field) {
+  const text = String(raw ?? '').trim();
+  if (!text) return '';
+  const key = optionKey(text);
+  const aliases = field.aliases || {};
+  return (field.options || []).find((option) =>
+    [option, ...(aliases[option] || [])].some((name) => optionKey(name) === key)
+  ) || null;
+}
+
+/**
+ * Normalize one field. Empty values are not issues (required-field checks live with the review
+ * flags); a value that was written but cannot be understood is.
+ * @returns {{ value: *, message?: string }}
+ */
+function normalizeField(field, raw, { defaultCurrency, amountText }) {
+  const written = String(raw ?? '').trim();
+  switch (field.type) {
+    case 'amount': {
+      const { value } = parseAmount(written, defaultCurrency);
+      return { value, message: written && value === null ? 'Amount is not a number' : undefined };
+    }
+    case 'currency': {
+      // The currency field wins; else a symbol written with the amount, else the default once an amount was read
+      const value = parseCurrency(written);
+      return {
+        value: value || parseAmount(amountText, defaultCurrency).currency,
+        message: written && !value ? 'Currency not recognised' : undefined,
+      };
+    }
+    case 'number': {
+      const value = parseNumber(written);
+      return { value, message: written && value === null ? 'Not a number' : undefined };
+    }
+    case 'phone': {
+      const value = normalizePhone(written);
+      return { value, message: written && !value ? 'Not a valid phone number' : undefined };
+    }
+    case 'date': {
+      const value = parseDate(written);
+      return { value, message: written && !value ? 'Date not recognised' : undefined };
+    }
+    case 'email': {
+      const valid = isValidEmail(written);
+      return { value: valid ? written.toLowerCase() : null, message: written && !valid ? 'Email address looks wrong' : undefined };
+    }
+    case 'choice': {
+      const value = normalizeOption(written, field);
+      return { value, message: value === null ? `Expected one of: ${field.options.join(', ')}` : undefined };
+    }
+    default:
+      return { value: written.replace(/\s+/g, ' ') };
+  }
+}
+
+/**
+ * Normalize a structured row field by field, following the template's field types. The currency
+ * sits next to its amount: normalized.currency, or currency on each of normalized.lines. Issues
+ * name the field by path ("amount", "lines[1].currency").
+ * @returns {{ normalized: object, issues: Array<{ field: string, message: string }> }}
+ */
+export function normalizeStructured(structured = {}, { defaultCurrency = 'UGX', template = getTemplate() } = {}) {
+  const issues = [];
+  const normalizeGroup = (fields, values, pathOf) => {
+    const amountField = fields.find((field) => field.type === 'amount');
+    const context = { defaultCurrency, amountText: amountField ? values[amountField.key] : '' };
+    const typed = {};
+    fields.forEach((field) => {
+      const result = normalizeField(field, values[field.key], context);
+      typed[field.key] = result.value;
+      if (result.message) issues.push({ field: pathOf(field.key), message: result.message });
+    });
+    return typed;
+  };
+  const normalized = normalizeGroup(envelopeFields(template), structured, (key) => key);
+  if (hasLines(template)) {
+    normalized.lines = (structured.lines?.length ? structured.lines : [{}]).map((line, index) =>
+      normalizeGroup(lineFields(template), line, (key) => linePath(index, key)));
+  }
+  return { normalized, issues };
+}
+
+/**
+ * Amount totals of a normalized row per currency, e.g. { UGX: 70000, USD: 20 }: its amount, or
+ * the sum of its lines. Empty when no amount could be read.
+ */
+export function amountTotals(normalized = {}) {
+  return Object.fromEntries(Object.entries(currencyTotals([normalized])).map(([currency, { total }]) => [currency, total]));
+}
+
+/**
+ * Totals per currency over many normalized rows, in the order currencies first appear, e.g.
+ * { UGX: { total: 120000, amounts: 5 }, USD: { total: 20, amounts: 1 } }. amounts counts the
+ * amounts summed (contribution lines, not envelopes).
+ */
+export function currencyTotals(normalizedRows) {
+  const totals = {};
+  normalizedRows.forEach((normalized) => {
+    const amounts = normalized?.lines ? normalized.lines : [normalized || {}];
+    amounts
+      .filter((line) => typeof line.amount === 'number' && line.currency)
+      .forEach((line) => {
+        const sum = totals[line.currency] || { total: 0, amounts: 0 };
+        totals[line.currency] = { total: Math.round((sum.total + line.amount) * 100) / 100, amounts: sum.amounts + 1 };
+      });
+  });
+  return totals;
+}
+
+/**
+ * An amount in the base currency. rates gives the value of one unit of each other currency in
+ * the base, e.g. { base: 'UGX', rates: { USD: 3700 } }.
+ * @returns {number|null} null when there is no rate for the currency
+ */
+export function convertAmount(amount, currency, { base, rates = {} }) {
+  if (typeof amount !== 'number' || !currency) return null;
+  if (currency === base) return amount;
+  const rate = rates[currency];
+  return rate ? Math.round(amount * rate * 100) / 100 : null;
+}
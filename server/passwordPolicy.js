@@ -0,0 +1,61 @@
+/**
+ * Password policy for passwords people choose (self-service change, accounts added with the
+ * admin secret). Passwords the dashboard generates pass it too, and are temporary: the user
+ * must replace them with their own at their next login.
+ */
+
+import crypto from 'crypto';
+
+export const PASSWORD_MIN_LENGTH = 8;
+const PASSWORD_MAX_LENGTH = 128;
+
+/** Guessed first by anyone trying passwords; compared lower-case. */
+const COMMON_PASSWORDS = new Set([
+  'password', 'password1', 'password123', 'passw0rd', 'qwerty123', 'qwertyuiop', 'abc12345', 'abcd1234',
+  'iloveyou1', 'welcome1', 'letmein1', 'admin123', 'phaneroo', 'phaneroo1', 'phaneroo123', 'jesus123',
+  'jesuslovesme', 'blessed1', 'amen1234',
+]);
+
+/**
+ * What is wrong with a new password, or null when it is acceptable.
+ * @param {string} password
+ * @param {{ number?: string }} context the account's phone number, which may not appear in the password
+ */
+export function passwordProblem(password, { number } = {}) {
+  const value = String(password ?? '');
+  if (value.length < PASSWORD_MIN_LENGTH) {
+    return `Password must be at least ${PASSWORD_MIN_LENGTH} characters`;
+  }
+  if (value.length > PASSWORD_MAX_LENGTH) {
+    return `Password must be at most ${PASSWORD_MAX_LENGTH} characters`;
+  }
+  if (!/[A-Za-z]/.test(value) || !/\d/.test(value)) {
+    return 'Password must contain both letters and numbers';
+  }
+  // Last 9 digits, so 0705... and +256705... both count
+  const numberDigits = String(number ?? '').replace(/\D/g, '').slice(-9);
+  if (numberDigits.length >= 6 && value.replace(/\D/g, '').includes(numberDigits)) {
+    return 'Password must not contain your phone number';
+  }
+  if (COMMON_PASSWORDS.has(value.toLowerCase())) {
+    return 'This password is too common. Choose another one.';
+  }
+  return null;
+}
+
+/** Letters and digits of generated passwords, without look-alikes (0/O, 1/l/I) that get misread. */
+const GENERATED_ALPHABET = 'abcdefghjkmnpqrstuvwxyzABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const GENERATED_LENGTH = 10;
+
+/**
+ * A random temporary password for an account (crypto.randomInt), one that passes passwordProblem
+ * for that account's number.
+ * @param {{ number?: string }} context
+ */
+export function generatePassword(context = {}) {
+  for (;;) {
+    const password = Array.from({ length: GENERATED_LENGTH }, () =>
+      GENERATED_ALPHABET[crypto.randomInt(GENERATED_ALPHABET.length)]).join('');
+    if (!passwordProblem(password, context)) return password;
+  }
+}
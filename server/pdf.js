@@ -0,0 +1,85 @@
+/**
+ * Minimal PDF writer for plain text documents such as giving statements: A4 pages, the standard
+ * Helvetica and Courier fonts (nothing to embed), text and rules only. Text is printed in the
+ * WinAnsi encoding; characters outside Latin-1 print as "?".
+ */
+
+import { Buffer } from 'buffer';
+
+export const PAGE_WIDTH = 595;
+export const PAGE_HEIGHT = 842;
+
+const FONTS = {
+  regular: { id: 'F1', name: 'Helvetica' },
+  bold: { id: 'F2', name: 'Helvetica-Bold' },
+  mono: { id: 'F3', name: 'Courier' },
+};
+
+/** Width of one Courier character, per point of font size. */
+export const MONO_CHAR_WIDTH = 0.6;
+
+const escapeText = (text) => String(text ?? '')
+  .replace(/[^\x20-\x7e\xa0-\xff]/g, '?')
+  .replace(/[\\()]/g, (c) => `\\${c}`);
+
+const number = (value) => String(Math.round(value * 100) / 100);
+
+/**
+ * A document built page by page. Coordinates are in points from the bottom left corner.
+ * @returns {{ addPage: Function, text: Function, rule: Function, toBuffer: () => Buffer }}
+ */
+export function createPdf() {
+  const pages = [];
+  let current = null;
+
+  const addPage = () => {
+    current = [];
+    pages.push(current);
+  };
+
+  /** Write one line of text; font is 'regular', 'bold' or 'mono'. */
+  const text = (x, y, value, { font = 'regular', size = 10 } = {}) => {
+    if (!current) addPage();
+    const { id } = FONTS[font] || FONTS.regular;
+    current.push(`BT /${id} ${number(size)} Tf ${number(x)} ${number(y)} Td (${escapeText(value)}) Tj ET`);
+  };
+
+  /** Draw a thin horizontal line from x1 to x2 at y. */
+  const rule = (x1, x2, y) => {
+    if (!current) addPage();
+    current.push(`0.5 w ${number(x1)} ${number(y)} m ${number(x2)} ${number(y)} l S`);
+  };
+
+  const toBuffer = () => {
+    if (!pages.length) addPage();
+    const fontIds = Object.values(FONTS);
+    // Object numbers: 1 catalog, 2 page tree, then the fonts, then a page and its content per page
+    const firstPage = 3 + fontIds.length;
+    const objects = [
+      '<< /Type /Catalog /Pages 2 0 R >>',
+      `<< /Type /Pages /Kids [${pages.map((_, i) => `${firstPage + i * 2} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+      ...fontIds.map(({ name }) => `<< /Type /Font /Subtype /Type1 /BaseFont /${name} /Encoding /WinAnsiEncoding >>`),
+    ];
+    const fontResources = fontIds.map(({ id }, i) => `/${id} ${3 + i} 0 R`).join(' ');
+    pages.forEach((operations, i) => {
+      const stream = operations.join('\n');
+      objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] `
+        + `/Resources << /Font << ${fontResources} >> >> /Contents ${firstPage + i * 2 + 1} 0 R >>`);
+      objects.push(`<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`);
+    });
+
+    let body = '%PDF-1.4\n';
+    const offsets = objects.map((object, i) => {
+      const offset = Buffer.byteLength(body, 'latin1');
+      body += `${i + 1} 0 obj\n${object}\nendobj\n`;
+      return offset;
+    });
+    const xref = Buffer.byteLength(body, 'latin1');
+    body += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    body += offsets.map((offset) => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    body += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+    return Buffer.from(body, 'latin1');
+  };
+
+  return { addPage, text, rule, toBuffer };
+}
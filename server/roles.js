@@ -0,0 +1,32 @@
+/**
+ * Roles and what they may do. Every user in the database (users table, db.js) has one role;
+ * routes are guarded by permission (requirePermission in index.js), never by role name, so
+ * widening a role is a change to this table only.
+ */
+
+export const ROLES = ['scanner', 'reviewer', 'finance', 'admin'];
+export const DEFAULT_ROLE = 'scanner';
+
+export const PERMISSIONS = {
+  /** Capture envelopes, edit and delete one's own rows, open and close sessions. */
+  scan: ['scanner', 'admin'],
+  /** See and correct every row in a session and mark rows checked. */
+  review: ['reviewer', 'admin'],
+  /** Download spreadsheets and read every row. Finance users can do nothing else. */
+  export: ['reviewer', 'finance', 'admin'],
+  /** Server logs, users and roles, reopening closed sessions. */
+  admin: ['admin'],
+};
+
+export function isRole(role) {
+  return ROLES.includes(role);
+}
+
+export function hasPermission(role, permission) {
+  return (PERMISSIONS[permission] || []).includes(role);
+}
+
+/** Permission names granted to a role, e.g. ['review', 'export'] for a reviewer. */
+export function permissionsFor(role) {
+  return Object.keys(PERMISSIONS).filter((permission) => hasPermission(role, permission));
+}
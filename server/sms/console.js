@@ -0,0 +1,14 @@
+/**
+ * Stub provider for local testing: prints each message to the server terminal instead of
+ * sending it. Never use it in production, since anyone reading the terminal sees login codes.
+ */
+
+export function createConsoleProvider() {
+  return {
+    id: 'console',
+    label: 'Console (no SMS sent)',
+    async send(to, message) {
+      console.log(`[SMS to ${to}] ${message}`);
+    },
+  };
+}
@@ -0,0 +1,19 @@
+/**
+ * Stub provider for local testing and automated checks: appends each message as one JSON line
+ * ({ at, to, message }) to an outbox file instead of sending it.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+export function createFileProvider({ file } = {}) {
+  if (!file) throw new Error('The file SMS provider needs SMS_FILE');
+  return {
+    id: 'file',
+    label: `File (${path.basename(file)})`,
+    async send(to, message) {
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.appendFile(file, JSON.stringify({ at: new Date().toISOString(), to, message }) + '\n');
+    },
+  };
+}
@@ -0,0 +1,37 @@
+/**
+ * SMS providers, used to send one-time login codes. Each provider is:
+ *
+ *   {
+ *     id: string,
+ *     label: string,
+ *     send(to, message): Promise<void>,
+ *   }
+ *
+ * send() rejects when the message could not be handed over. To plug in a real gateway, add a
+ * module with a create…Provider factory next to these and register it in PROVIDERS below.
+ */
+
+import { createConsoleProvider } from './console.js';
+import { createFileProvider } from './file.js';
+
+const PROVIDERS = {
+  console: createConsoleProvider,
+  file: createFileProvider,
+};
+
+export const SMS_PROVIDER_IDS = Object.keys(PROVIDERS);
+
+/**
+ * @param {string} id provider id (SMS_PROVIDER); empty turns code login off
+ * @param {object} config
+ * @param {string} [config.file] outbox file for the file provider (SMS_FILE)
+ * @returns the provider, or null when id is empty or unknown
+ */
+export function createSmsProvider(id, config = {}) {
+  if (!id) return null;
+  if (!PROVIDERS[id]) {
+    console.warn(`Unknown SMS provider "${id}" ignored. Known: ${SMS_PROVIDER_IDS.join(', ')}.`);
+    return null;
+  }
+  return PROVIDERS[id](config);
+}
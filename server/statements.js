@@ -0,0 +1,228 @@
+/**
+ * Giving history and giving statements. Every amount read on a giving form (formTemplates.js) is
+ * a gift of the person the row belongs to: its registry member (members.js), or else the phone
+ * number written on it. Rows with neither cannot be put on anyone's statement.
+ */
+
+import XLSX from 'xlsx';
+import { currencyTotals } from './normalize.js';
+import { createPdf, MONO_CHAR_WIDTH, PAGE_HEIGHT } from './pdf.js';
+
+/**
+ * The stored rows whose gifts count: suspected duplicates (duplicates.js) are left out until they
+ * are merged or dismissed, and so are rows nobody has verified yet unless verifiedOnly is false.
+ */
+export function givingEntries(entries, { verifiedOnly = true } = {}) {
+  return entries.filter((entry) => !entry.duplicateOf && (!verifiedOnly || (entry.status || 'extracted') !== 'extracted'));
+}
+
+/**
+ * The gifts on one stored row, one per contribution line with an amount. type and paymentMethod
+ * are the normalized values of the envelope's fields of those keys, else what was written.
+ * @param {object} entry the stored row
+ * @param {object} context
+ * @param {object} context.template the row's form template
+ * @param {string} context.day YYYY-MM-DD the gift counts on (its session's date)
+ * @param {object} context.normalized the row's typed values
+ * @param {object|null} context.member the registry member the row is linked to
+ */
+export function entryGifts(entry, { template, day, normalized = {}, member = null }) {
+  if (!template.giving) return [];
+  const structured = entry.structured || {};
+  const written = structured.lines?.length ? structured.lines : [structured];
+  const typed = normalized.lines || [normalized];
+  const value = (key, line) => typed[line]?.[key] ?? normalized[key] ?? written[line]?.[key] ?? structured[key] ?? '';
+  return typed
+    .map((line, index) => ({
+      entryId: entry.id,
+      sessionId: entry.sessionId || null,
+      line: index + 1,
+      day,
+      memberId: member?.id || null,
+      ref: member?.ref || '',
+      name: member?.name || structured.name || '',
+      telephone: member?.telephone || normalized.telephone || '',
+      email: member?.email || normalized.email || '',
+      type: String(value('contributionType', index)),
+      paymentMethod: String(value('paymentMethod', index)),
+      amount: line.amount,
+      currency: line.currency || '',
+    }))
+    .filter((gift) => typeof gift.amount === 'number');
+}
+
+/** Who a gift is grouped under: "member:<id>", "phone:<E.164>", or null for nobody known. */
+export const contributorKey = (gift) => {
+  if (gift.memberId) return `member:${gift.memberId}`;
+  return gift.telephone ? `phone:${gift.telephone}` : null;
+};
+
+/** Gifts oldest first, the lines of an envelope in order. */
+const sortGifts = (gifts) => [...gifts].sort((a, b) => a.day.localeCompare(b.day) || a.line - b.line);
+
+/** Totals per currency, in the order currencies first appear: [{ currency, total, amounts }]. */
+const giftTotals = (gifts) => Object.entries(currencyTotals(gifts)).map(([currency, totals]) => ({ currency, ...totals }));
+
+/**
+ * One contributor from their gifts, oldest first: who they are (a member's registry details, else
+ * the name last written with their phone number), how many gifts and the totals per currency.
+ */
+function summarize(key, gifts) {
+  const sorted = sortGifts(gifts);
+  const latest = [...sorted].reverse();
+  const pick = (field) => latest.find((gift) => gift[field])?.[field] || '';
+  const member = latest.find((gift) => gift.memberId);
+  return {
+    key,
+    memberId: member?.memberId || null,
+    ref: member?.ref || '',
+    name: member?.name || pick('name'),
+    telephone: member?.telephone || pick('telephone'),
+    email: member?.email || pick('email'),
+    gifts: sorted.length,
+    first: sorted[0]?.day || null,
+    last: sorted[sorted.length - 1]?.day || null,
+    totals: giftTotals(sorted),
+  };
+}
+
+/**
+ * Everyone who gave, by name, each with their gifts (oldest first). unassigned counts the gifts on
+ * rows with no member and no phone number.
+ * @returns {{ statements: Array<{ contributor: object, gifts: object[] }>, unassigned: number }}
+ */
+export function givingStatements(gifts) {
+  const groups = new Map();
+  let unassigned = 0;
+  gifts.forEach((gift) => {
+    const key = contributorKey(gift);
+    if (!key) {
+      unassigned++;
+      return;
+    }
+    groups.set(key, [...(groups.get(key) || []), gift]);
+  });
+  const statements = [...groups].map(([key, group]) => ({ contributor: summarize(key, group), gifts: sortGifts(group) }))
+    .sort((a, b) => a.contributor.name.localeCompare(b.contributor.name) || a.contributor.key.localeCompare(b.contributor.key));
+  return { statements, unassigned };
+}
+
+/**
+ * The giving history of one contributor, oldest first: the gifts linked to a member, or every
+ * gift given with a phone number (whether or not its row is linked to a member with that number).
+ * @param {object[]} gifts
+ * @param {{ memberId?: string, telephone?: string }} who
+ * @returns {{ contributor: object, gifts: object[] } | null} null when they gave nothing
+ */
+export function givingHistory(gifts, { memberId, telephone }) {
+  const theirs = sortGifts(gifts
+    .filter((gift) => (memberId ? gift.memberId === memberId : !!telephone && gift.telephone === telephone)));
+  if (!theirs.length) return null;
+  return { contributor: summarize(memberId ? `member:${memberId}` : `phone:${telephone}`, theirs), gifts: theirs };
+}
+
+const formatMoney = (amount) => amount.toLocaleString('en-US', { maximumFractionDigits: 2 });
+
+/** File name of a statement, e.g. "giving-statement-2026-01-01-to-2026-12-31-john-okello-M-001.pdf". */
+export function statementFilename({ contributor }, { from, to }, extension) {
+  const name = contributor.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 40) || 'contributor';
+  const id = (contributor.ref || contributor.telephone.replace(/\D/g, '') || contributor.memberId?.slice(0, 8) || '')
+    .replace(/[^a-zA-Z0-9-]+/g, '-');
+  return `giving-statement-${from}-to-${to}-${name}${id ? `-${id}` : ''}.${extension}`;
+}
+
+/** Contributor lines at the top of a statement, as [label, value] pairs. */
+const contributorDetails = ({ contributor }, { from, to }) => [
+  ['Member ID', contributor.ref],
+  ['Telephone', contributor.telephone],
+  ['Email', contributor.email],
+  ['Period', `${from} to ${to}`],
+].filter(([, value]) => value);
+
+/** A statement as a workbook: the contributor, one row per gift and the totals per currency. */
+export function statementWorkbook(statement, period) {
+  const rows = [
+    ['Giving statement'],
+    ['Name', statement.contributor.name],
+    ...contributorDetails(statement, period),
+    [],
+    ['Date', 'Type', 'Payment method', 'Amount', 'Currency', 'Envelope ID', 'Line'],
+    ...statement.gifts.map((gift) => [gift.day, gift.type, gift.paymentMethod, gift.amount, gift.currency, gift.entryId, gift.line]),
+    [],
+    ...statement.contributor.totals.map(({ currency, total }) => ['Total', '', '', total, currency]),
+  ];
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows), 'Statement');
+  return workbook;
+}
+
+const MARGIN = 50;
+const TABLE_SIZE = 9;
+/** Gift table columns in characters of Courier; amounts are right-aligned. */
+const COLUMNS = [
+  { title: 'Date', width: 10 },
+  { title: 'Type', width: 20 },
+  { title: 'Payment', width: 16 },
+  { title: 'Amount', width: 16, right: true },
+  { title: '', width: 4 },
+];
+
+const tableLine = (cells) => COLUMNS
+  .map(({ width, right }, i) => {
+    const cell = String(cells[i] ?? '').slice(0, width);
+    return right ? cell.padStart(width) : cell.padEnd(width);
+  })
+  .join('  ');
+
+/** A statement as a PDF: the contributor, one line per gift and the totals per currency. */
+export function statementPdf(statement, period, { issued = new Date().toISOString().slice(0, 10) } = {}) {
+  const pdf = createPdf();
+  const tableWidth = tableLine([]).length * MONO_CHAR_WIDTH * TABLE_SIZE;
+  let y = PAGE_HEIGHT - MARGIN;
+
+  const tableHead = () => {
+    pdf.text(MARGIN, y, tableLine(COLUMNS.map(({ title }) => title)), { font: 'mono', size: TABLE_SIZE });
+    pdf.rule(MARGIN, MARGIN + tableWidth, y - 4);
+    y -= 16;
+  };
+  /** Room for one more line, else a new page that carries on the table. */
+  const ensureRoom = (height) => {
+    if (y - height >= MARGIN) return;
+    pdf.addPage();
+    y = PAGE_HEIGHT - MARGIN;
+    pdf.text(MARGIN, y, `${statement.contributor.name} (continued)`, { font: 'bold', size: 10 });
+    y -= 20;
+    tableHead();
+  };
+
+  pdf.addPage();
+  pdf.text(MARGIN, y, 'Giving statement', { font: 'bold', size: 16 });
+  y -= 28;
+  pdf.text(MARGIN, y, statement.contributor.name, { font: 'bold', size: 12 });
+  y -= 16;
+  [...contributorDetails(statement, period), ['Issued', issued]].forEach(([label, value]) => {
+    pdf.text(MARGIN, y, `${label}: ${value}`, { size: 10 });
+    y -= 14;
+  });
+  y -= 14;
+  tableHead();
+  statement.gifts.forEach((gift) => {
+    ensureRoom(12);
+    pdf.text(MARGIN, y, tableLine([gift.day, gift.type, gift.paymentMethod, formatMoney(gift.amount), gift.currency]), {
+      font: 'mono',
+      size: TABLE_SIZE,
+    });
+    y -= 12;
+  });
+  ensureRoom(12 + statement.contributor.totals.length * 12);
+  pdf.rule(MARGIN, MARGIN + tableWidth, y + 6);
+  y -= 6;
+  statement.contributor.totals.forEach(({ currency, total, amounts }) => {
+    pdf.text(MARGIN, y, tableLine(['Total', `${amounts} gift${amounts === 1 ? '' : 's'}`, '', formatMoney(total), currency]), {
+      font: 'mono',
+      size: TABLE_SIZE,
+    });
+    y -= 12;
+  });
+  return pdf.toBuffer();
+}
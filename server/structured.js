@@ -0,0 +1,41 @@
+/**
+ * The structured row shape shared by every extraction engine and the entry store: one string per
+ * field of the session's form template (formTemplates.js), and for templates with contribution
+ * lines a `lines` array holding one object of line fields per line.
+ */
+
+import { envelopeFields, getTemplate, hasLines, lineFields, structuredPaths } from './formTemplates.js';
+
+export const CONFIDENCE_LEVELS = ['high', 'medium', 'low'];
+
+const text = (value) => String(value ?? '').trim();
+
+/**
+ * Normalize parsed object to the template's structured shape. Line fields given flat (a row saved
+ * before lines existed, or an engine that found one line) become the only line.
+ */
+export function toStructured(parsed, template = getTemplate()) {
+  const structured = Object.fromEntries(envelopeFields(template).map((field) => [field.key, text(parsed[field.key])]));
+  if (!hasLines(template)) return structured;
+  const toLine = (line) => Object.fromEntries(lineFields(template).map((field) => [field.key, text(line?.[field.key])]));
+  const lines = Array.isArray(parsed.lines) ? parsed.lines.map(toLine) : [toLine(parsed)];
+  const written = lines.filter((line) => Object.values(line).some(Boolean));
+  structured.lines = written.length ? written : [toLine({})];
+  return structured;
+}
+
+/**
+ * Per-field confidence from an engine's "confidence" object, keyed by path ("name",
+ * "lines[0].amount"). Line levels may come nested ({ lines: [{ amount }] }) or by path. Unknown
+ * levels count as medium when a value was read and low when the field came back empty.
+ */
+export function toConfidence(parsed, structured, template = getTemplate()) {
+  const raw = parsed?.confidence && typeof parsed.confidence === 'object' ? parsed.confidence : {};
+  const confidence = {};
+  structuredPaths(template, structured).forEach(({ path, field, line, value }) => {
+    const given = line === null ? raw[path] : raw.lines?.[line]?.[field.key] ?? raw[path];
+    const level = String(given ?? '').trim().toLowerCase();
+    confidence[path] = CONFIDENCE_LEVELS.includes(level) ? level : value ? 'medium' : 'low';
+  });
+  return confidence;
+}
@@ -0,0 +1,44 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { parseAmount, parseCurrency } from '../normalize.js';
+
+test('currency codes written against the digits are read', () => {
+  assert.deepEqual(parseAmount('USD20'), { value: 20, currency: 'USD' });
+  assert.deepEqual(parseAmount('20USD'), { value: 20, currency: 'USD' });
+  assert.deepEqual(parseAmount('20usd'), { value: 20, currency: 'USD' });
+  assert.deepEqual(parseAmount('KES300'), { value: 300, currency: 'KES' });
+  assert.deepEqual(parseAmount('300KSh'), { value: 300, currency: 'KES' });
+  assert.deepEqual(parseAmount('UGX50,000'), { value: 50000, currency: 'UGX' });
+  assert.deepEqual(parseAmount('50000shs'), { value: 50000, currency: 'UGX' });
+  assert.deepEqual(parseAmount('EUR10'), { value: 10, currency: 'EUR' });
+  assert.deepEqual(parseAmount('10GBP'), { value: 10, currency: 'GBP' });
+});
+
+test('currency codes and words apart from the digits are read', () => {
+  assert.deepEqual(parseAmount('USD 20'), { value: 20, currency: 'USD' });
+  assert.deepEqual(parseAmount('$20.50'), { value: 20.5, currency: 'USD' });
+  assert.deepEqual(parseAmount('20 dollars'), { value: 20, currency: 'USD' });
+  assert.deepEqual(parseAmount('Ush 5000'), { value: 5000, currency: 'UGX' });
+  assert.deepEqual(parseAmount('50,000/='), { value: 50000, currency: 'UGX' });
+});
+
+test('amounts with no currency written take the default', () => {
+  assert.deepEqual(parseAmount('50,000'), { value: 50000, currency: 'UGX' });
+  assert.deepEqual(parseAmount('20', 'USD'), { value: 20, currency: 'USD' });
+});
+
+test('a comma before one or two digits is a decimal point', () => {
+  assert.deepEqual(parseAmount('1,5'), { value: 1.5, currency: 'UGX' });
+  assert.deepEqual(parseAmount('20,50 USD'), { value: 20.5, currency: 'USD' });
+  assert.deepEqual(parseAmount('1,5m'), { value: 1500000, currency: 'UGX' });
+  assert.deepEqual(parseAmount('1,500'), { value: 1500, currency: 'UGX' });
+  assert.deepEqual(parseAmount('50.000'), { value: 50000, currency: 'UGX' });
+});
+
+test('currency fields take codes, symbols and words', () => {
+  assert.equal(parseCurrency('usd'), 'USD');
+  assert.equal(parseCurrency('shs'), 'UGX');
+  assert.equal(parseCurrency('KSh'), 'KES');
+  assert.equal(parseCurrency('€'), 'EUR');
+  assert.equal(parseCurrency(''), null);
+});
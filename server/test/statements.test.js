@@ -0,0 +1,47 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { getTemplate } from '../formTemplates.js';
+import { normalizeStructured } from '../normalize.js';
+import { entryGifts, givingEntries, givingStatements } from '../statements.js';
+
+const template = getTemplate('contribution');
+
+const row = (id, changes = {}) => ({
+  id,
+  sessionId: 's1',
+  structured: { name: 'John Okello', telephone: '0772000111', lines: [{ amount: '50000', currency: 'UGX' }] },
+  status: 'verified',
+  duplicateOf: null,
+  ...changes,
+});
+
+const totals = (entries, options) => {
+  const gifts = givingEntries(entries, options).flatMap((entry) => entryGifts(entry, {
+    template,
+    day: '2026-10-18',
+    normalized: normalizeStructured(entry.structured, { template }).normalized,
+  }));
+  return givingStatements(gifts).statements.map(({ contributor }) => contributor.totals);
+};
+
+test('an envelope scanned twice counts once while the second row is a suspected duplicate', () => {
+  const entries = [row('a'), row('b', { duplicateOf: { entryId: 'a', reasons: ['amount', 'telephone'] } })];
+  assert.deepEqual(totals(entries), [[{ currency: 'UGX', total: 50000, amounts: 1 }]]);
+});
+
+test('a dismissed duplicate counts as a gift of its own', () => {
+  const entries = [row('a'), row('b', { duplicateDismissed: ['a'] })];
+  assert.deepEqual(totals(entries), [[{ currency: 'UGX', total: 100000, amounts: 2 }]]);
+});
+
+test('rows nobody has verified are left out by default', () => {
+  const entries = [row('a'), row('b', { status: 'extracted' }), row('c', { status: 'locked' })];
+  assert.deepEqual(givingEntries(entries).map((entry) => entry.id), ['a', 'c']);
+  assert.deepEqual(givingEntries(entries, { verifiedOnly: false }).map((entry) => entry.id), ['a', 'b', 'c']);
+});
+
+test('rows stored before verification existed count as unverified', () => {
+  const legacy = row('a');
+  delete legacy.status;
+  assert.deepEqual(givingEntries([legacy]), []);
+});
@@ -1,31 +1,252 @@
 import { useEffect, useRef, useState } from 'react'
 import * as XLSX from 'xlsx'
 import './App.css'
+import { authFetch, clearTokens, getAccessToken, logoutSession, saveTokens } from './utils/authSession.js'
+import { localReviewFlags, scanOffline } from './utils/offlineScan.js'
+import {
+  DEFAULT_TEMPLATE_ID,
+  envelopeFields,
+  exportColumns,
+  exportRows,
+  FORM_TEMPLATES,
+  getTemplate,
+  hasLines,
+  lineFields,
+  linePath,
+  withStructuredValue,
+} from '../server/formTemplates.js'
+import { amountTotals, currencyTotals, normalizeStructured } from '../server/normalize.js'
+import {
+  MAX_ATTEMPTS,
+  addCapture,
+  listCaptures,
+  nextRetryDelay,
+  removeCapture,
+  resetInterruptedCaptures,
+  updateCapture,
+} from './utils/captureQueue.js'
 
 const API_URL = import.meta.env.VITE_API_URL || ''
-const AUTH_KEY = 'phaneroo_token'
+const SESSION_KEY = 'phaneroo_session'
+const ME_KEY = 'phaneroo_me'
+
+/** Rows table column widths per field type, on wide and on medium screens. */
+const COLUMN_WIDTHS = {
+  text: ['1.2fr', '1fr'],
+  email: ['1.5fr', '1.2fr'],
+  phone: ['110px', '88px'],
+  date: ['90px', '72px'],
+  choice: ['90px', '72px'],
+  amount: ['110px', '88px'],
+  currency: ['64px', '56px'],
+  number: ['72px', '56px'],
+}
+
+/**
+ * CSS variables sizing the rows table to a form template's fields (see .table-row in App.css),
+ * with the member and photo columns after them.
+ */
+const tableColumns = (template) => {
+  // Free text with a short list of usual values (payment method) is as narrow as a choice
+  const width = (field, size) => COLUMN_WIDTHS[field.type === 'text' && field.options ? 'choice' : field.type][size]
+  return {
+    '--table-columns': ['40px', ...template.fields.map((field) => width(field, 0)), '1fr', '56px'].join(' '),
+    '--table-columns-compact': ['36px', ...template.fields.map((field) => width(field, 1)), '0.8fr', '48px'].join(' '),
+  }
+}
+
+/** Form template a row was read with (rows from before templates existed: the contribution envelope). */
+const entryTemplate = (entry) => getTemplate(entry.templateId)
+
+const ROLE_LABELS = {
+  scanner: 'Scanner',
+  reviewer: 'Reviewer',
+  finance: 'Finance (export only)',
+  admin: 'Admin',
+}
+
+const ENGINE_LABELS = {
+  gemini: 'Gemini vision',
+  tesseract: 'Tesseract on the server',
+  'tesseract-browser': 'Tesseract in this browser (offline scan)',
+  manual: 'Typed by hand',
+}
+
+const REVIEW_REASONS = {
+  missing: 'Required field is empty',
+  invalid: 'Value could not be understood',
+  'low-confidence': 'Hard to read on the envelope – please check',
+}
+
+const DUPLICATE_REASON_LABELS = {
+  image: 'same photo',
+  name: 'name',
+  telephone: 'phone',
+  amount: 'amount',
+  date: 'date',
+}
+
+/** Map of field → why it needs checking, from the server's reviewFlags. */
+const flaggedFields = (entry) =>
+  Object.fromEntries((entry.reviewFlags || []).map((f) => [f.field, f.message || REVIEW_REASONS[f.reason]]))
+
+/**
+ * Normalized value shown next to the raw one, e.g. "+256772123456" or "50,000 UGX". Free text has
+ * none. line is the index of the contribution line for line fields.
+ */
+const normalizedDisplay = (entry, field, line = null) => {
+  const typed = line === null ? entry.normalized : entry.normalized?.lines?.[line]
+  const value = typed?.[field.key]
+  if (value === null || value === undefined || field.type === 'text') return ''
+  if (field.type === 'amount') return `${value.toLocaleString()} ${typed.currency || ''}`.trim()
+  return String(value)
+}
+
+/** Contribution lines of a row; a row of a template with lines always has one. */
+const entryLines = (entry) => (entry.structured?.lines?.length ? entry.structured.lines : [{}])
+
+/** One cell summing up a line field over all lines: "Tithe, Offertory" or "70,000 UGX + 20 USD". */
+const lineSummary = (entry, field) => {
+  if (field.type === 'amount') {
+    const totals = Object.entries(amountTotals(entry.normalized || {}))
+    if (totals.length) return totals.map(([currency, total]) => `${total.toLocaleString()} ${currency}`).join(' + ')
+    return entryLines(entry).map((line) => line[field.key]).filter(Boolean).join(' + ')
+  }
+  // Currencies left blank were assumed by the server, so they come from the normalized lines
+  const lines = field.type === 'currency' && entry.normalized?.lines ? entry.normalized.lines : entryLines(entry)
+  return [...new Set(lines.map((line) => line[field.key]).filter(Boolean))].join(', ')
+}
+
+/** Number of the logged-in user, read from the JWT payload (display/ownership only, not verified). */
+const tokenNumber = (token) => {
+  try {
+    return JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/'))).number || null
+  } catch {
+    return null
+  }
+}
+
+/** Photos uploaded side by side when a batch drains; the server queues them behind its Gemini rate limit. */
+const UPLOAD_CONCURRENCY = Math.max(1, Number(import.meta.env.VITE_UPLOAD_CONCURRENCY) || 3)
+
+const CAPTURE_STATUS_LABELS = {
+  queued: 'Pending',
+  uploading: 'Processing',
+  done: 'Done',
+  failed: 'Failed',
+}
+
+/** How often running server batch jobs are checked for progress. */
+const JOB_POLL_MS = 3000
+
+const JOB_STATUS_LABELS = {
+  queued: 'Waiting',
+  running: 'Reading',
+  done: 'Finished',
+  cancelled: 'Cancelled',
+}
+
+/** Upload errors worth retrying later: no connection, rate limits and server-side failures. */
+const isRetryableUploadError = (err) => !err.status || err.status === 408 || err.status === 429 || err.status >= 500
+
+const todayIso = () => {
+  const d = new Date()
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`
+}
+
+const downloadBlob = (blob, filename) => {
+  const url = window.URL.createObjectURL(blob)
+  const a = document.createElement('a')
+  a.href = url
+  a.download = filename
+  document.body.appendChild(a)
+  a.click()
+  window.URL.revokeObjectURL(url)
+  document.body.removeChild(a)
+}
+
+const filenameFromResponse = (response, fallback) => {
+  const match = /filename=([^;]+)/.exec(response.headers.get('Content-Disposition') || '')
+  return match ? match[1].replace(/"/g, '').trim() : fallback
+}
 
 function LoginPage({ onLogin, loginError, setLoginError, onNavigateToSuperAdmin }) {
   const [number, setNumber] = useState('')
   const [password, setPassword] = useState('')
   const [loading, setLoading] = useState(false)
+  // Code login is offered only when the server has an SMS provider (/health says otpLogin)
+  const [otpAvailable, setOtpAvailable] = useState(false)
+  const [useCode, setUseCode] = useState(false)
+  const [codeSent, setCodeSent] = useState(false)
+  const [code, setCode] = useState('')
+  const [notice, setNotice] = useState('')
+
+  useEffect(() => {
+    let cancelled = false
+    fetch(`${API_URL}/health`)
+      .then((res) => (res.ok ? res.json() : {}))
+      .then((data) => {
+        if (!cancelled) setOtpAvailable(!!data.otpLogin)
+      })
+      .catch(() => {})
+    return () => {
+      cancelled = true
+    }
+  }, [])
+
+  const post = async (path, body) => {
+    const res = await fetch(`${API_URL}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    })
+    return { res, data: await res.json().catch(() => ({})) }
+  }
+
+  const requestCode = async () => {
+    setLoginError('')
+    setNotice('')
+    setLoading(true)
+    try {
+      const { res, data } = await post('/api/login/otp/request', { number: number.trim() })
+      if (!res.ok) {
+        setLoginError(data.error || 'Could not send a code')
+        return
+      }
+      setCodeSent(true)
+      setCode('')
+      setNotice(`If ${number.trim()} is registered, a code is on its way by SMS. It works for ${Math.round(data.expiresIn / 60)} minutes.`)
+    } catch {
+      setLoginError('Network error. Try again.')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const switchMode = () => {
+    setUseCode((v) => !v)
+    setCodeSent(false)
+    setNotice('')
+    setLoginError('')
+  }
 
   const handleSubmit = async (e) => {
     e.preventDefault()
+    if (useCode && !codeSent) {
+      requestCode()
+      return
+    }
     setLoginError('')
     setLoading(true)
     try {
-      const res = await fetch(`${API_URL}/api/login`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ number: number.trim(), password }),
-      })
-      const data = await res.json().catch(() => ({}))
+      const { res, data } = useCode
+        ? await post('/api/login/otp/verify', { number: number.trim(), code: code.trim() })
+        : await post('/api/login', { number: number.trim(), password })
       if (!res.ok) {
         setLoginError(data.error || 'Login failed')
         return
       }
-      if (data.token) onLogin(data.token)
+      if (data.token) onLogin(data)
     } catch {
       setLoginError('Network error. Try again.')
     } finally {
@@ -41,7 +262,11 @@ function LoginPage({ onLogin, loginError, setLoginError, onNavigateToSuperAdmin
           <span>Phaneroo Envelope Checker</span>
         </div>
         <h1>Log in</h1>
-        <p className="login-lede">Enter your number and password to access the scanner.</p>
+        <p className="login-lede">
+          {useCode
+            ? 'Enter your number and we will text you a one-time code.'
+            : 'Enter your number and password to access the scanner.'}
+        </p>
         <form onSubmit={handleSubmit} className="login-form">
           <label>
             <span className="label-text">Number</span>
@@ -51,24 +276,54 @@ function LoginPage({ onLogin, loginError, setLoginError, onNavigateToSuperAdmin
               value={number}
               onChange={(e) => setNumber(e.target.value)}
               autoComplete="tel"
+              disabled={useCode && codeSent}
               required
             />
           </label>
-          <label>
-            <span className="label-text">Password</span>
-            <input
-              type="password"
-              placeholder="Your password"
-              value={password}
-              onChange={(e) => setPassword(e.target.value)}
-              autoComplete="current-password"
-              required
-            />
-          </label>
+          {!useCode && (
+            <label>
+              <span className="label-text">Password</span>
+              <input
+                type="password"
+                placeholder="Your password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                autoComplete="current-password"
+                required
+              />
+            </label>
+          )}
+          {useCode && codeSent && (
+            <label>
+              <span className="label-text">Code from SMS</span>
+              <input
+                type="text"
+                inputMode="numeric"
+                placeholder="6 digits"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                autoComplete="one-time-code"
+                required
+              />
+            </label>
+          )}
+          {notice && <p className="password-hint">{notice}</p>}
           {loginError && <p className="error">{loginError}</p>}
           <button type="submit" className="primary" disabled={loading}>
-            {loading ? 'Logging in...' : 'Log in'}
+            {useCode && !codeSent
+              ? (loading ? 'Sending...' : 'Send code')
+              : (loading ? 'Logging in...' : 'Log in')}
           </button>
+          {useCode && codeSent && (
+            <button type="button" className="ghost" onClick={requestCode} disabled={loading}>
+              Send a new code
+            </button>
+          )}
+          {otpAvailable && (
+            <button type="button" className="ghost" onClick={switchMode}>
+              {useCode ? 'Log in with password instead' : 'Log in with an SMS code instead'}
+            </button>
+          )}
           <button
             type="button"
             className="ghost super-admin-btn"
@@ -104,7 +359,7 @@ function SuperAdminLoginPage({ onLogin, onBack }) {
         return
       }
       if (data.isSuperAdmin && data.token) {
-        onLogin(data.token, { isSuperAdmin: true })
+        onLogin(data, { isSuperAdmin: true })
       } else {
         setError('Not a super admin. Use the main login.')
       }
@@ -160,153 +415,1302 @@ function SuperAdminLoginPage({ onLogin, onBack }) {
   )
 }
 
-function SuperAdminDashboard({ onLogout }) {
-  const [stats, setStats] = useState({ total: 0, byNumber: {} })
-  const [loading, setLoading] = useState(true)
-  const [error, setError] = useState('')
-  const [addNumber, setAddNumber] = useState('')
-  const [addLoading, setAddLoading] = useState(false)
-  const [addError, setAddError] = useState('')
-  const [addSuccess, setAddSuccess] = useState(null)
-  const [resetNumber, setResetNumber] = useState('')
-  const [resetLoading, setResetLoading] = useState(false)
-  const [resetError, setResetError] = useState('')
-  const [resetSuccess, setResetSuccess] = useState(null)
+// Mirrors server/passwordPolicy.js; the server has the final say
+const PASSWORD_MIN_LENGTH = 8
+const PASSWORD_HINT = `At least ${PASSWORD_MIN_LENGTH} characters with letters and numbers, not your phone number.`
 
-  const token = localStorage.getItem(AUTH_KEY)
+/**
+ * Change one's own password. forced: the account has a temporary password from an admin, so
+ * there is no way back to the app, only Log out. onDone receives the fresh { token, refreshToken }.
+ */
+function ChangePasswordPage({ forced, onDone, onCancel, onLogout }) {
+  const [currentPassword, setCurrentPassword] = useState('')
+  const [newPassword, setNewPassword] = useState('')
+  const [confirmPassword, setConfirmPassword] = useState('')
+  const [error, setError] = useState('')
+  const [loading, setLoading] = useState(false)
 
-  const handleResetPassword = async (e) => {
+  const handleSubmit = async (e) => {
     e.preventDefault()
-    setResetError('')
-    setResetSuccess(null)
-    setResetLoading(true)
-    try {
-      const res = await fetch(`${API_URL}/api/admin/users/reset`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
-        body: JSON.stringify({ number: resetNumber.trim() }),
-      })
-      const data = await res.json().catch(() => ({}))
-      if (res.status === 401 || res.status === 403) {
-        onLogout()
-        return
-      }
-      if (!res.ok) {
-        setResetError(data.error || 'Failed to reset password')
-        return
-      }
-      setResetSuccess({ number: data.number, password: data.password })
-      setResetNumber('')
-    } catch {
-      setResetError('Network error. Try again.')
-    } finally {
-      setResetLoading(false)
+    setError('')
+    if (newPassword.length < PASSWORD_MIN_LENGTH) {
+      setError(`Password must be at least ${PASSWORD_MIN_LENGTH} characters`)
+      return
     }
-  }
-
-  const handleAddUser = async (e) => {
-    e.preventDefault()
-    setAddError('')
-    setAddSuccess(null)
-    setAddLoading(true)
+    if (newPassword !== confirmPassword) {
+      setError('The new passwords do not match')
+      return
+    }
+    setLoading(true)
     try {
-      const res = await fetch(`${API_URL}/api/admin/users/add`, {
+      const res = await authFetch(`${API_URL}/api/me/password`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
-        body: JSON.stringify({ number: addNumber.trim() }),
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ currentPassword, newPassword }),
       })
       const data = await res.json().catch(() => ({}))
-      if (res.status === 401 || res.status === 403) {
+      if (res.status === 401) {
         onLogout()
         return
       }
       if (!res.ok) {
-        setAddError(data.error || 'Failed to add user')
+        setError(data.error || 'Failed to change password')
         return
       }
-      setAddSuccess({ number: data.number, password: data.password })
-      setAddNumber('')
+      onDone(data)
     } catch {
-      setAddError('Network error. Try again.')
+      setError('Network error. Try again.')
     } finally {
-      setAddLoading(false)
+      setLoading(false)
     }
   }
 
+  return (
+    <div className="page login-page">
+      <div className="login-card">
+        <div className="brand-pill">
+          <span className="brand-dot" />
+          <span>Phaneroo Envelope Checker</span>
+        </div>
+        <h1>{forced ? 'Choose your password' : 'Change password'}</h1>
+        <p className="login-lede">
+          {forced
+            ? 'You are using a temporary password from an admin. Choose your own to continue.'
+            : 'Your other devices will be logged out.'}
+        </p>
+        <form onSubmit={handleSubmit} className="login-form">
+          <label>
+            <span className="label-text">{forced ? 'Temporary password' : 'Current password'}</span>
+            <input
+              type="password"
+              value={currentPassword}
+              onChange={(e) => setCurrentPassword(e.target.value)}
+              autoComplete="current-password"
+              required
+            />
+          </label>
+          <label>
+            <span className="label-text">New password</span>
+            <input
+              type="password"
+              value={newPassword}
+              onChange={(e) => setNewPassword(e.target.value)}
+              autoComplete="new-password"
+              required
+            />
+          </label>
+          <label>
+            <span className="label-text">Repeat new password</span>
+            <input
+              type="password"
+              value={confirmPassword}
+              onChange={(e) => setConfirmPassword(e.target.value)}
+              autoComplete="new-password"
+              required
+            />
+          </label>
+          <p className="password-hint">{PASSWORD_HINT}</p>
+          {error && <p className="error">{error}</p>}
+          <button type="submit" className="primary" disabled={loading}>
+            {loading ? 'Saving...' : 'Save password'}
+          </button>
+          <button type="button" className="ghost super-admin-btn" onClick={forced ? onLogout : onCancel}>
+            {forced ? 'Log out' : 'Back'}
+          </button>
+        </form>
+      </div>
+    </div>
+  )
+}
+
+const formatDateTime = (iso) => (iso ? new Date(iso).toLocaleString() : '—')
+
+const AUDIT_ACTION_LABELS = {
+  'user.login': 'Logged in',
+  'user.logout': 'Logged out',
+  'user.logout-all': 'Logged out all devices',
+  'user.sign-out': 'Signed user out',
+  'user.lockout': 'Locked out',
+  'user.unlock': 'Lifted lockout',
+  'user.add': 'Added user',
+  'user.password-reset': 'Reset password',
+  'user.password-change': 'Changed own password',
+  'user.role': 'Changed role',
+  'user.rename': 'Renamed user',
+  'user.disable': 'Disabled user',
+  'user.enable': 'Enabled user',
+  'user.delete': 'Deleted user',
+  'session.open': 'Opened session',
+  'session.close': 'Closed session',
+  'session.reopen': 'Reopened session',
+  'job.create': 'Queued batch',
+  'job.cancel': 'Cancelled batch',
+  'entry.extract': 'Extracted envelope',
+  'entry.create': 'Added row',
+  'entry.update': 'Edited row',
+  'entry.review': 'Marked row checked',
+  'entry.merge': 'Merged duplicate',
+  'entry.duplicate-dismiss': 'Not a duplicate',
+  'entry.delete': 'Deleted row',
+  'entry.clear': 'Cleared rows',
+  'entry.verify': 'Verified row',
+  'entry.unverify': 'Sent row back',
+  'entry.member': 'Picked member',
+  'members.import': 'Imported members',
+  'giving.statement': 'Giving statements',
+  'exchangeRate.set': 'Set exchange rate',
+  'exchangeRate.delete': 'Removed exchange rate',
+  export: 'Exported',
+}
+
+/** One line saying what an audit event acted on, e.g. "Row 3f2a9c1e, Jane Doe · 50000". */
+const auditSummary = (event) => {
+  const values = event.values || event.removedValues
+  return [
+    event.number && `User ${event.number}`,
+    event.ip && `IP ${event.ip}`,
+    event.lockedUntil && `${event.failures} failed logins, locked until ${formatDateTime(event.lockedUntil)}`,
+    event.name,
+    event.entryId && `Row ${event.entryId.slice(0, 8)}`,
+    event.removedId && `removed row ${event.removedId.slice(0, 8)}`,
+    values && [values.name, values.amount, ...(values.lines || []).map((line) => line.amount)].filter(Boolean).join(' · '),
+    event.currency && (event.rate ? `1 ${event.currency} = ${event.rate} ${event.base}` : `${event.currency} (was ${event.previous} ${event.base})`),
+    event.entryIds && `${event.entryIds.length} rows`,
+    event.images && `${event.images} photos`,
+    event.action === 'entry.member' && (event.member ? `member ${event.member}` : event.by === 'manual' ? 'no member' : 'no match'),
+    event.statements && `${event.statements} statement${event.statements === 1 ? '' : 's'} (${event.format}) for ${event.from} to ${event.to}`,
+    event.added !== undefined && `${event.added} added, ${event.updated} updated, ${event.rematched} rows matched again`,
+    event.filename && (event.rows !== undefined ? `${event.rows} rows to ${event.filename}` : event.filename),
+    event.via === 'admin-secret' && 'with the admin secret',
+  ].filter(Boolean).join(', ')
+}
+
+/**
+ * Searchable view of the server's audit log: who did what and when, with old → new values for edits.
+ * Reloads when refreshKey changes (after an admin action on this page).
+ */
+function AuditLog({ onLogout, users, refreshKey }) {
+  const emptyFilters = { q: '', action: '', from: '', to: '' }
+  const [filters, setFilters] = useState(emptyFilters)
+  const [query, setQuery] = useState(emptyFilters)
+  const [result, setResult] = useState({ events: [], total: 0, actions: [] })
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+
+  const userNames = new Map(users.map((u) => [u.number, u.name]))
+
   useEffect(() => {
-    const fetchStats = async () => {
+    const fetchAudit = async () => {
       try {
-        const res = await fetch(`${API_URL}/api/admin/dashboard`, {
-          headers: { Authorization: `Bearer ${token}` },
-        })
+        const params = new URLSearchParams(Object.entries(query).filter(([, value]) => value))
+        const res = await authFetch(`${API_URL}/api/admin/audit?${params}`)
         if (res.status === 401 || res.status === 403) {
           onLogout()
           return
         }
         if (!res.ok) {
-          setError('Failed to load dashboard')
+          setError('Failed to load audit log')
           return
         }
-        const data = await res.json()
-        setStats({ total: data.total || 0, byNumber: data.byNumber || {} })
+        setResult(await res.json())
+        setError('')
       } catch {
-        setError('Failed to load dashboard')
+        setError('Failed to load audit log')
       } finally {
         setLoading(false)
       }
     }
-    fetchStats()
-  }, [token, onLogout])
+    fetchAudit()
+  }, [onLogout, query, refreshKey])
+
+  const search = (e) => {
+    e.preventDefault()
+    setLoading(true)
+    setQuery({ ...filters, q: filters.q.trim() })
+  }
 
-  const entries = Object.entries(stats.byNumber).sort((a, b) => b[1] - a[1])
+  const setFilter = (key) => (e) => setFilters((f) => ({ ...f, [key]: e.target.value }))
 
   return (
-    <div className="page">
-      <header className="hero">
-        <div>
-          <div className="hero-top">
-            <div className="brand-pill">
-              <span className="brand-dot" />
-              <span>Super Admin Dashboard</span>
+    <div className="dashboard-table-wrap">
+      <h3 className="dashboard-subtitle">Audit log</h3>
+      <form onSubmit={search} className="add-user-form audit-search">
+        <label>
+          <span className="label-text">Search</span>
+          <input
+            type="search"
+            placeholder="Name, number, row or amount"
+            value={filters.q}
+            onChange={setFilter('q')}
+          />
+        </label>
+        <label>
+          <span className="label-text">Action</span>
+          <select value={filters.action} onChange={setFilter('action')}>
+            <option value="">All actions</option>
+            {result.actions.map((action) => (
+              <option key={action} value={action}>{AUDIT_ACTION_LABELS[action] || action}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          <span className="label-text">From</span>
+          <input type="date" value={filters.from} onChange={setFilter('from')} />
+        </label>
+        <label>
+          <span className="label-text">To</span>
+          <input type="date" value={filters.to} onChange={setFilter('to')} />
+        </label>
+        <button type="submit" className="secondary" disabled={loading}>
+          {loading ? 'Searching...' : 'Search'}
+        </button>
+      </form>
+      {error && <p className="error">{error}</p>}
+      {!error && result.events.length === 0 ? (
+        <p className="empty">{loading ? 'Loading...' : 'No matching events.'}</p>
+      ) : (
+        <>
+          <p className="add-user-hint">
+            Showing {result.events.length} of {result.total} matching events, newest first.
+          </p>
+          <div className="users-table-scroll">
+            <div className="audit-table" role="table" aria-label="Audit log">
+              <div className="audit-row audit-head" role="row">
+                <div>Time</div>
+                <div>User</div>
+                <div>Action</div>
+                <div>Details</div>
+              </div>
+              {result.events.map((event) => (
+                <div className="audit-row" role="row" key={event.id}>
+                  <div>{formatDateTime(event.at)}</div>
+                  <div>
+                    {event.actor
+                      ? `${userNames.get(event.actor) ? `${userNames.get(event.actor)} · ` : ''}${event.actor}`
+                      : event.via === 'admin-secret' ? 'Admin secret' : 'System'}
+                  </div>
+                  <div>{AUDIT_ACTION_LABELS[event.action] || event.action}</div>
+                  <div className="audit-details">
+                    {auditSummary(event)}
+                    {(event.changes || []).map((change) => (
+                      <div className="audit-change" key={change.field}>
+                        {change.field}: <del>{change.from || '(empty)'}</del> → {change.to || '(empty)'}
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              ))}
             </div>
-            <button type="button" className="ghost logout-btn" onClick={onLogout}>
-              Log out
-            </button>
           </div>
-          <h1>Processing stats</h1>
-          <p className="lede">Total pictures processed and breakdown by user number.</p>
-        </div>
-      </header>
-      <section className="panel">
-        <div className="dashboard-add-user">
-          <h3 className="dashboard-subtitle">Add user</h3>
-          <form onSubmit={handleAddUser} className="add-user-form">
-            <label>
-              <span className="label-text">Phone number</span>
-              <input
-                type="text"
-                placeholder="e.g. 0753995292"
-                value={addNumber}
-                onChange={(e) => setAddNumber(e.target.value)}
-                autoComplete="tel"
-                disabled={addLoading}
-                required
-              />
-            </label>
-            <button type="submit" className="primary" disabled={addLoading}>
-              {addLoading ? 'Adding...' : 'Add user'}
-            </button>
-          </form>
-          {addError && <p className="error">{addError}</p>}
-          {addSuccess && (
-            <p className="add-success">
-              User <strong>{addSuccess.number}</strong> added. Password: <strong>{addSuccess.password}</strong>
-            </p>
-          )}
-          <p className="add-user-hint">A 5-digit password will be generated. Share it with the user.</p>
-        </div>
-        <div className="dashboard-add-user">
-          <h3 className="dashboard-subtitle">Reset password</h3>
+        </>
+      )}
+    </div>
+  )
+}
+
+const LOCK_KIND_LABELS = { number: 'Number', ip: 'IP address' }
+
+/**
+ * Numbers and IP addresses locked out after repeated failed logins, with Unlock, and the latest
+ * lockout events. onChange runs after an unlock so the audit log below reloads.
+ */
+function LoginLockouts({ onLogout, onChange, refreshKey }) {
+  const [data, setData] = useState({ locks: [], events: [] })
+  const [version, setVersion] = useState(0)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    const fetchLockouts = async () => {
+      try {
+        const res = await authFetch(`${API_URL}/api/admin/lockouts`)
+        if (res.status === 401 || res.status === 403) {
+          onLogout()
+          return
+        }
+        if (!res.ok) {
+          setError('Failed to load lockouts')
+          return
+        }
+        setData(await res.json())
+        setError('')
+      } catch {
+        setError('Failed to load lockouts')
+      }
+    }
+    fetchLockouts()
+  }, [onLogout, refreshKey, version])
+
+  const unlock = async (lock) => {
+    try {
+      const res = await authFetch(`${API_URL}/api/admin/lockouts/unlock`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ kind: lock.kind, value: lock.value }),
+      })
+      if (res.status === 401 || res.status === 403) {
+        onLogout()
+        return
+      }
+      setVersion((v) => v + 1)
+      onChange()
+    } catch {
+      setError('Network error. Try again.')
+    }
+  }
+
+  return (
+    <div className="dashboard-table-wrap">
+      <h3 className="dashboard-subtitle">Login lockouts</h3>
+      {error && <p className="error">{error}</p>}
+      {data.locks.length === 0 ? (
+        <p className="empty">No number or IP address is locked out right now.</p>
+      ) : (
+        <div className="users-table-scroll">
+          <div className="audit-table lockout-table" role="table" aria-label="Active lockouts">
+            <div className="audit-row audit-head" role="row">
+              <div>Locked</div>
+              <div>Failed logins</div>
+              <div>Until</div>
+              <div />
+            </div>
+            {data.locks.map((lock) => (
+              <div className="audit-row" role="row" key={`${lock.kind}:${lock.value}`}>
+                <div>{LOCK_KIND_LABELS[lock.kind]} {lock.value}</div>
+                <div>{lock.failures}</div>
+                <div>{formatDateTime(lock.lockedUntil)}</div>
+                <div>
+                  <button type="button" className="ghost" onClick={() => unlock(lock)}>
+                    Unlock
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+      {data.events.length > 0 && (
+        <>
+          <p className="add-user-hint">Latest lockouts, newest first.</p>
+          <div className="users-table-scroll">
+            <div className="audit-table" role="table" aria-label="Lockout events">
+              <div className="audit-row audit-head" role="row">
+                <div>Time</div>
+                <div>Number tried</div>
+                <div>IP address</div>
+                <div>Details</div>
+              </div>
+              {data.events.map((event) => (
+                <div className="audit-row" role="row" key={event.id}>
+                  <div>{formatDateTime(event.at)}</div>
+                  <div>{event.number}</div>
+                  <div>{event.ip}</div>
+                  <div className="audit-details">
+                    {event.failures} failed logins on this {event.lockedBy === 'ip' ? 'IP address' : 'number'}, locked
+                    until {formatDateTime(event.lockedUntil)}
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+/** Amount with thousands separators, e.g. "70,000". */
+const formatAmount = (value) => (typeof value === 'number' ? value.toLocaleString() : '—')
+
+/**
+ * Exchange rates into the base currency, kept by admins and used to convert totals and exports.
+ * Calls onChange after a rate is set or removed.
+ */
+function ExchangeRates({ onLogout, onChange, refreshKey }) {
+  const [data, setData] = useState({ base: '', rates: [] })
+  const [currency, setCurrency] = useState('')
+  const [rate, setRate] = useState('')
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    const fetchRates = async () => {
+      try {
+        const res = await authFetch(`${API_URL}/api/exchange-rates`)
+        if (res.status === 401 || res.status === 403) {
+          onLogout()
+          return
+        }
+        if (!res.ok) {
+          setError('Failed to load exchange rates')
+          return
+        }
+        setData(await res.json())
+      } catch {
+        setError('Failed to load exchange rates')
+      }
+    }
+    fetchRates()
+  }, [onLogout, refreshKey])
+
+  /** PUT a rate, or DELETE it when rate is null. */
+  const saveRate = async (code, value) => {
+    setError('')
+    setSaving(true)
+    try {
+      const res = await authFetch(`${API_URL}/api/admin/exchange-rates/${encodeURIComponent(code)}`, {
+        method: value === null ? 'DELETE' : 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: value === null ? undefined : JSON.stringify({ rate: value }),
+      })
+      const body = await res.json().catch(() => ({}))
+      if (res.status === 401 || res.status === 403) {
+        onLogout()
+        return false
+      }
+      if (!res.ok) {
+        setError(body.error || 'Failed to save exchange rate')
+        return false
+      }
+      onChange()
+      return true
+    } catch {
+      setError('Network error. Try again.')
+      return false
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    if (await saveRate(currency.trim(), Number(rate))) {
+      setCurrency('')
+      setRate('')
+    }
+  }
+
+  const editRate = (entry) => {
+    const value = window.prompt(`1 ${entry.currency} is worth how many ${data.base}?`, String(entry.rate))
+    if (value === null) return
+    saveRate(entry.currency, Number(value))
+  }
+
+  const removeRate = (entry) => {
+    if (!window.confirm(`Remove the ${entry.currency} rate? Its amounts are left out of converted totals until a new rate is set.`)) return
+    saveRate(entry.currency, null)
+  }
+
+  return (
+    <div className="dashboard-add-user">
+      <h3 className="dashboard-subtitle">Exchange rates</h3>
+      {data.rates.length > 0 && (
+        <div className="users-table-scroll">
+          <div className="audit-table rates-table" role="table" aria-label="Exchange rates">
+            <div className="audit-row audit-head" role="row">
+              <div>Currency</div>
+              <div>In {data.base}</div>
+              <div>Updated</div>
+              <div />
+            </div>
+            {data.rates.map((entry) => (
+              <div className="audit-row" role="row" key={entry.currency}>
+                <div>1 {entry.currency}</div>
+                <div>{formatAmount(entry.rate)}</div>
+                <div>
+                  {formatDateTime(entry.updatedAt)} · {entry.updatedBy}
+                </div>
+                <div>
+                  <button type="button" className="ghost" onClick={() => editRate(entry)} disabled={saving}>
+                    Change
+                  </button>
+                  <button type="button" className="ghost" onClick={() => removeRate(entry)} disabled={saving}>
+                    Remove
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+      <form onSubmit={handleSubmit} className="add-user-form">
+        <label>
+          <span className="label-text">Currency</span>
+          <input
+            type="text"
+            placeholder="e.g. USD"
+            value={currency}
+            onChange={(e) => setCurrency(e.target.value)}
+            maxLength={3}
+            disabled={saving}
+            required
+          />
+        </label>
+        <label>
+          <span className="label-text">Worth in {data.base || 'base currency'}</span>
+          <input
+            type="number"
+            min="0"
+            step="any"
+            placeholder="e.g. 3700"
+            value={rate}
+            onChange={(e) => setRate(e.target.value)}
+            disabled={saving}
+            required
+          />
+        </label>
+        <button type="submit" className="secondary" disabled={saving}>
+          {saving ? 'Saving...' : 'Set rate'}
+        </button>
+      </form>
+      {error && <p className="error">{error}</p>}
+      <p className="add-user-hint">
+        How many {data.base || 'base currency'} one unit of another currency is worth. Exports can convert amounts with these rates.
+      </p>
+    </div>
+  )
+}
+
+/**
+ * Amounts scanned per currency, for all rows or a date range, with their value in the base
+ * currency where an exchange rate is set. Reloads when refreshKey changes (e.g. a rate changed).
+ */
+function CurrencyTotals({ onLogout, refreshKey }) {
+  const [range, setRange] = useState({ from: '', to: '' })
+  const [query, setQuery] = useState({ from: '', to: '' })
+  const [totals, setTotals] = useState(null)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    const fetchTotals = async () => {
+      try {
+        const params = new URLSearchParams(Object.entries(query).filter(([, value]) => value))
+        const res = await authFetch(`${API_URL}/api/admin/totals?${params}`)
+        if (res.status === 401 || res.status === 403) {
+          onLogout()
+          return
+        }
+        if (!res.ok) {
+          setError('Failed to load totals')
+          return
+        }
+        setTotals(await res.json())
+        setError('')
+      } catch {
+        setError('Failed to load totals')
+      }
+    }
+    fetchTotals()
+  }, [onLogout, query, refreshKey])
+
+  const setBound = (key) => (e) => setRange((r) => ({ ...r, [key]: e.target.value }))
+
+  return (
+    <div className="dashboard-table-wrap">
+      <h3 className="dashboard-subtitle">Totals by currency</h3>
+      <form
+        className="add-user-form audit-search"
+        onSubmit={(e) => {
+          e.preventDefault()
+          setQuery(range)
+        }}
+      >
+        <label>
+          <span className="label-text">From</span>
+          <input type="date" value={range.from} onChange={setBound('from')} />
+        </label>
+        <label>
+          <span className="label-text">To</span>
+          <input type="date" value={range.to} onChange={setBound('to')} />
+        </label>
+        <button type="submit" className="secondary">
+          Show totals
+        </button>
+      </form>
+      {error && <p className="error">{error}</p>}
+      {totals && !totals.currencies.length ? (
+        <p className="empty">No amounts in {totals.rows} rows.</p>
+      ) : totals && (
+        <div className="users-table-scroll">
+          <div className="audit-table rates-table" role="table" aria-label="Totals by currency">
+            <div className="audit-row audit-head" role="row">
+              <div>Currency</div>
+              <div>Amounts</div>
+              <div>Total</div>
+              <div>In {totals.base}</div>
+            </div>
+            {totals.currencies.map((c) => (
+              <div className="audit-row" role="row" key={c.currency}>
+                <div>{c.currency}</div>
+                <div>{c.amounts}</div>
+                <div>{formatAmount(c.total)}</div>
+                <div>{c.converted === null ? 'No exchange rate' : formatAmount(c.converted)}</div>
+              </div>
+            ))}
+            <div className="audit-row totals-row" role="row">
+              <div>All</div>
+              <div>{totals.rows} rows</div>
+              <div />
+              <div>
+                {formatAmount(totals.total)} {totals.base}
+                {totals.missingRates.length > 0 && ` (without ${totals.missingRates.join(', ')})`}
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+/**
+ * The member registry scanned rows are matched against: a search over it and an import from a
+ * CSV or Excel file. Calls onChange after an import (rows may have been matched again).
+ */
+function MemberRegistry({ onLogout, onChange, refreshKey }) {
+  const [search, setSearch] = useState('')
+  const [query, setQuery] = useState('')
+  const [data, setData] = useState({ members: [], total: 0 })
+  const [file, setFile] = useState(null)
+  const [importing, setImporting] = useState(false)
+  const [result, setResult] = useState(null)
+  const [error, setError] = useState('')
+  const fileInputRef = useRef(null)
+
+  useEffect(() => {
+    const fetchMembers = async () => {
+      try {
+        const res = await authFetch(`${API_URL}/api/members?${new URLSearchParams({ q: query })}`)
+        if (res.status === 401 || res.status === 403) {
+          onLogout()
+          return
+        }
+        if (!res.ok) {
+          setError('Failed to load members')
+          return
+        }
+        setData(await res.json())
+      } catch {
+        setError('Failed to load members')
+      }
+    }
+    fetchMembers()
+  }, [onLogout, query, refreshKey])
+
+  const handleImport = async (e) => {
+    e.preventDefault()
+    if (!file) return
+    setError('')
+    setResult(null)
+    setImporting(true)
+    try {
+      const formData = new FormData()
+      formData.append('file', file)
+      const res = await authFetch(`${API_URL}/api/members/import`, { method: 'POST', body: formData })
+      const body = await res.json().catch(() => ({}))
+      if (res.status === 401 || res.status === 403) {
+        onLogout()
+        return
+      }
+      if (!res.ok) {
+        setError(body.error || 'Failed to import members')
+        return
+      }
+      setResult(body)
+      setFile(null)
+      if (fileInputRef.current) fileInputRef.current.value = ''
+      onChange()
+    } catch {
+      setError('Network error. Try again.')
+    } finally {
+      setImporting(false)
+    }
+  }
+
+  return (
+    <div className="dashboard-table-wrap">
+      <h3 className="dashboard-subtitle">Member registry ({data.total})</h3>
+      <form onSubmit={handleImport} className="add-user-form">
+        <label>
+          <span className="label-text">CSV or Excel file</span>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".csv,.xlsx,.xls"
+            onChange={(e) => setFile(e.target.files?.[0] || null)}
+            disabled={importing}
+            required
+          />
+        </label>
+        <button type="submit" className="secondary" disabled={importing || !file}>
+          {importing ? 'Importing...' : 'Import members'}
+        </button>
+      </form>
+      {error && <p className="error">{error}</p>}
+      {result && (
+        <p className="add-success">
+          {result.added} added, {result.updated} updated
+          {result.skipped > 0 && `, ${result.skipped} rows without a name skipped`}. {result.rematched} scanned rows matched again.
+        </p>
+      )}
+      <p className="add-user-hint">
+        Columns: Name, and optionally Member ID, Phone and Email. A member already registered with the same ID, phone or email is updated.
+      </p>
+      <form
+        className="add-user-form audit-search"
+        onSubmit={(e) => {
+          e.preventDefault()
+          setQuery(search.trim())
+        }}
+      >
+        <label>
+          <span className="label-text">Search</span>
+          <input type="search" placeholder="Name, phone, email or ID" value={search} onChange={(e) => setSearch(e.target.value)} />
+        </label>
+        <button type="submit" className="secondary">
+          Search
+        </button>
+      </form>
+      {data.members.length > 0 && (
+        <div className="users-table-scroll">
+          <div className="audit-table members-table" role="table" aria-label="Members">
+            <div className="audit-row audit-head" role="row">
+              <div>ID</div>
+              <div>Name</div>
+              <div>Telephone</div>
+              <div>Email</div>
+            </div>
+            {data.members.map((member) => (
+              <div className="audit-row" role="row" key={member.id}>
+                <div>{member.ref || '—'}</div>
+                <div>{member.name}</div>
+                <div>{member.telephone || '—'}</div>
+                <div>{member.email || '—'}</div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+/** Totals of a contributor as one line, e.g. "80,000 UGX + 20 USD". */
+const formatTotals = (totals) => totals.map(({ currency, total }) => `${formatAmount(total)} ${currency}`).join(' + ')
+
+/** How the server finds a contributor's gifts: by registry member, else by phone number. */
+const contributorParams = (contributor) =>
+  contributor.memberId ? { memberId: contributor.memberId } : { phone: contributor.telephone }
+
+/** Query string of a giving request: the period, verifiedOnly and extra parameters. */
+const givingParams = ({ from, to, verifiedOnly }, extra = {}) =>
+  new URLSearchParams({ from, to, verifiedOnly: String(verifiedOnly), ...extra })
+
+/**
+ * Giving per contributor for a period (this calendar year by default): everyone who gave with
+ * their totals, one person's gifts, and giving statements as PDF or Excel, for one contributor or
+ * for everyone at once (a zip).
+ */
+function GivingStatements({ onLogout, onBack }) {
+  const year = new Date().getFullYear()
+  const [filters, setFilters] = useState({ from: `${year}-01-01`, to: `${year}-12-31`, q: '', verifiedOnly: true })
+  const [query, setQuery] = useState(filters)
+  const [data, setData] = useState(null)
+  const [selected, setSelected] = useState(null)
+  const [history, setHistory] = useState(null)
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState('')
+  const [status, setStatus] = useState('')
+
+  useEffect(() => {
+    const fetchContributors = async () => {
+      setError('')
+      try {
+        const res = await authFetch(`${API_URL}/api/giving?${givingParams(query, { q: query.q })}`)
+        if (res.status === 401 || res.status === 403) {
+          onLogout()
+          return
+        }
+        const body = await res.json().catch(() => ({}))
+        if (!res.ok) {
+          setError(body.error || 'Failed to load giving')
+          return
+        }
+        setData(body)
+      } catch {
+        setError('Failed to load giving')
+      }
+    }
+    fetchContributors()
+  }, [onLogout, query])
+
+  const showHistory = async (contributor) => {
+    setSelected(contributor)
+    setHistory(null)
+    try {
+      const res = await authFetch(`${API_URL}/api/giving/history?${givingParams(query, contributorParams(contributor))}`)
+      if (res.status === 401 || res.status === 403) {
+        onLogout()
+        return
+      }
+      const body = await res.json().catch(() => ({}))
+      if (!res.ok) {
+        setError(body.error || 'Failed to load giving history')
+        return
+      }
+      setHistory(body)
+    } catch {
+      setError('Failed to load giving history')
+    }
+  }
+
+  /** Download one contributor's statement, or everyone's (contributor null) as a zip. */
+  const downloadStatements = async (contributor, format) => {
+    setError('')
+    setStatus('')
+    setBusy(true)
+    try {
+      const res = await authFetch(`${API_URL}/api/giving/statements`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          from: query.from,
+          to: query.to,
+          verifiedOnly: query.verifiedOnly,
+          format,
+          ...(contributor ? contributorParams(contributor) : {}),
+        }),
+      })
+      if (res.status === 401 || res.status === 403) {
+        onLogout()
+        return
+      }
+      if (!res.ok) {
+        const body = await res.json().catch(() => ({}))
+        setError(body.error || 'Failed to create statements')
+        return
+      }
+      const fallbackName = contributor ? `giving-statement.${format}` : 'giving-statements.zip'
+      downloadBlob(await res.blob(), filenameFromResponse(res, fallbackName))
+      setStatus(contributor ? `Statement for ${contributor.name} downloaded.` : 'Statements for every contributor downloaded.')
+    } catch {
+      setError('Network error. Try again.')
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const setFilter = (key) => (e) =>
+    setFilters((f) => ({ ...f, [key]: e.target.type === 'checkbox' ? e.target.checked : e.target.value }))
+
+  return (
+    <div className="page">
+      <header className="hero">
+        <div>
+          <div className="hero-top">
+            <div className="brand-pill">
+              <span className="brand-dot" />
+              <span>Giving statements</span>
+            </div>
+            <div className="hero-top-actions">
+              <button type="button" className="ghost" onClick={onBack}>
+                Open scanner
+              </button>
+              <button type="button" className="ghost logout-btn" onClick={onLogout}>
+                Log out
+              </button>
+            </div>
+          </div>
+          <h1>What did each person give?</h1>
+          <p className="lede">
+            Gifts per member (or per phone number for people not in the registry), with statements to send at the end of the year.
+          </p>
+        </div>
+      </header>
+      <section className="panel">
+        <div className="dashboard-table-wrap">
+          <form
+            className="add-user-form audit-search"
+            onSubmit={(e) => {
+              e.preventDefault()
+              setSelected(null)
+              setHistory(null)
+              setQuery({ ...filters, q: filters.q.trim() })
+            }}
+          >
+            <label>
+              <span className="label-text">From</span>
+              <input type="date" value={filters.from} onChange={setFilter('from')} required />
+            </label>
+            <label>
+              <span className="label-text">To</span>
+              <input type="date" value={filters.to} onChange={setFilter('to')} required />
+            </label>
+            <label>
+              <span className="label-text">Search</span>
+              <input type="search" placeholder="Name, phone, email or member ID" value={filters.q} onChange={setFilter('q')} />
+            </label>
+            <label className="inline-check">
+              <input type="checkbox" checked={filters.verifiedOnly} onChange={setFilter('verifiedOnly')} />
+              <span>Verified rows only</span>
+            </label>
+            <button type="submit" className="secondary">
+              Show
+            </button>
+          </form>
+          <div className="giving-bulk">
+            <button type="button" className="primary" onClick={() => downloadStatements(null, 'pdf')} disabled={busy || !data?.contributors.length}>
+              {busy ? 'Preparing...' : 'All statements (PDF)'}
+            </button>
+            <button type="button" className="secondary" onClick={() => downloadStatements(null, 'xlsx')} disabled={busy || !data?.contributors.length}>
+              All statements (Excel)
+            </button>
+          </div>
+          {error && <p className="error">{error}</p>}
+          {status && <p className="add-success">{status}</p>}
+          {data && !data.contributors.length && <p className="empty">No gifts from {data.from} to {data.to}.</p>}
+          {data && data.contributors.length > 0 && (
+            <div className="users-table-scroll">
+              <div className="audit-table giving-table" role="table" aria-label="Contributors">
+                <div className="audit-row audit-head" role="row">
+                  <div>Name</div>
+                  <div>Telephone</div>
+                  <div>Gifts</div>
+                  <div>Total</div>
+                  <div />
+                </div>
+                {data.contributors.map((contributor) => (
+                  <div
+                    className={`audit-row${selected?.key === contributor.key ? ' giving-selected' : ''}`}
+                    role="row"
+                    key={contributor.key}
+                  >
+                    <div>
+                      {contributor.name || '—'}
+                      {contributor.ref && <small className="giving-ref"> {contributor.ref}</small>}
+                    </div>
+                    <div>{contributor.telephone || '—'}</div>
+                    <div>{contributor.gifts}</div>
+                    <div>{formatTotals(contributor.totals)}</div>
+                    <div>
+                      <button type="button" className="ghost" onClick={() => showHistory(contributor)}>
+                        History
+                      </button>
+                      <button type="button" className="ghost" onClick={() => downloadStatements(contributor, 'pdf')} disabled={busy}>
+                        PDF
+                      </button>
+                      <button type="button" className="ghost" onClick={() => downloadStatements(contributor, 'xlsx')} disabled={busy}>
+                        Excel
+                      </button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+          {data?.unassigned > 0 && (
+            <p className="add-user-hint">
+              {data.unassigned} gift{data.unassigned === 1 ? ' is' : 's are'} on rows with no member and no phone number, so on no statement.
+            </p>
+          )}
+        </div>
+        {selected && (
+          <div className="dashboard-table-wrap">
+            <h3 className="dashboard-subtitle">
+              {selected.name || selected.telephone}: {query.from} to {query.to}
+            </h3>
+            {!history ? (
+              <p className="empty">Loading...</p>
+            ) : (
+              <div className="users-table-scroll">
+                <div className="audit-table giving-history" role="table" aria-label="Giving history">
+                  <div className="audit-row audit-head" role="row">
+                    <div>Date</div>
+                    <div>Type</div>
+                    <div>Payment</div>
+                    <div>Amount</div>
+                  </div>
+                  {history.gifts.map((gift) => (
+                    <div className="audit-row" role="row" key={`${gift.entryId}-${gift.line}`}>
+                      <div>{gift.day}</div>
+                      <div>{gift.type || '—'}</div>
+                      <div>{gift.paymentMethod || '—'}</div>
+                      <div>
+                        {formatAmount(gift.amount)} {gift.currency}
+                      </div>
+                    </div>
+                  ))}
+                  <div className="audit-row totals-row" role="row">
+                    <div>Total</div>
+                    <div>{history.contributor.gifts} gifts</div>
+                    <div />
+                    <div>{formatTotals(history.contributor.totals)}</div>
+                  </div>
+                </div>
+              </div>
+            )}
+          </div>
+        )}
+      </section>
+    </div>
+  )
+}
+
+function SuperAdminDashboard({ onLogout, onLogoutAll, onOpenScanner }) {
+  const [stats, setStats] = useState({ total: 0, byNumber: {} })
+  const [users, setUsers] = useState([])
+  const [usersVersion, setUsersVersion] = useState(0)
+  const [userActionError, setUserActionError] = useState('')
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+  const [addNumber, setAddNumber] = useState('')
+  const [addName, setAddName] = useState('')
+  const [addRole, setAddRole] = useState('scanner')
+  const [addLoading, setAddLoading] = useState(false)
+  const [addError, setAddError] = useState('')
+  const [addSuccess, setAddSuccess] = useState(null)
+  const [resetNumber, setResetNumber] = useState('')
+  const [resetLoading, setResetLoading] = useState(false)
+  const [resetError, setResetError] = useState('')
+  const [resetSuccess, setResetSuccess] = useState(null)
+  const [roleNumber, setRoleNumber] = useState('')
+  const [roleValue, setRoleValue] = useState('reviewer')
+  const [roleLoading, setRoleLoading] = useState(false)
+  const [roleError, setRoleError] = useState('')
+  const [roleSuccess, setRoleSuccess] = useState(null)
+
+  const handleResetPassword = async (e) => {
+    e.preventDefault()
+    setResetError('')
+    setResetSuccess(null)
+    setResetLoading(true)
+    try {
+      const res = await authFetch(`${API_URL}/api/admin/users/reset`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ number: resetNumber.trim() }),
+      })
+      const data = await res.json().catch(() => ({}))
+      if (res.status === 401 || res.status === 403) {
+        onLogout()
+        return
+      }
+      if (!res.ok) {
+        setResetError(data.error || 'Failed to reset password')
+        return
+      }
+      setResetSuccess({ number: data.number, password: data.password })
+      setResetNumber('')
+    } catch {
+      setResetError('Network error. Try again.')
+    } finally {
+      setResetLoading(false)
+    }
+  }
+
+  const handleAddUser = async (e) => {
+    e.preventDefault()
+    setAddError('')
+    setAddSuccess(null)
+    setAddLoading(true)
+    try {
+      const res = await authFetch(`${API_URL}/api/admin/users/add`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ number: addNumber.trim(), name: addName.trim(), role: addRole }),
+      })
+      const data = await res.json().catch(() => ({}))
+      if (res.status === 401 || res.status === 403) {
+        onLogout()
+        return
+      }
+      if (!res.ok) {
+        setAddError(data.error || 'Failed to add user')
+        return
+      }
+      setAddSuccess({ number: data.number, password: data.password, role: data.role })
+      setAddNumber('')
+      setAddName('')
+      setUsersVersion((v) => v + 1)
+    } catch {
+      setAddError('Network error. Try again.')
+    } finally {
+      setAddLoading(false)
+    }
+  }
+
+  const handleSetRole = async (e) => {
+    e.preventDefault()
+    setRoleError('')
+    setRoleSuccess(null)
+    setRoleLoading(true)
+    try {
+      const res = await authFetch(`${API_URL}/api/admin/users/role`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ number: roleNumber.trim(), role: roleValue }),
+      })
+      const data = await res.json().catch(() => ({}))
+      if (res.status === 401 || res.status === 403) {
+        onLogout()
+        return
+      }
+      if (!res.ok) {
+        setRoleError(data.error || 'Failed to change role')
+        return
+      }
+      setRoleSuccess({ number: data.number, role: data.role })
+      setRoleNumber('')
+      setUsersVersion((v) => v + 1)
+    } catch {
+      setRoleError('Network error. Try again.')
+    } finally {
+      setRoleLoading(false)
+    }
+  }
+
+  /**
+   * Run an admin action on one user (rename, disable, enable, delete, role) and reload the table.
+   */
+  const manageUser = async (path, { method = 'POST', body } = {}) => {
+    setUserActionError('')
+    try {
+      const res = await authFetch(`${API_URL}/api/admin/users/${path}`, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body ? JSON.stringify(body) : undefined,
+      })
+      const data = await res.json().catch(() => ({}))
+      if (res.status === 401 || res.status === 403) {
+        onLogout()
+        return
+      }
+      if (!res.ok) {
+        setUserActionError(data.error || 'Failed to update user')
+        return
+      }
+      setUsersVersion((v) => v + 1)
+    } catch {
+      setUserActionError('Network error. Try again.')
+    }
+  }
+
+  const renameUser = (user) => {
+    const name = window.prompt(`Display name for ${user.number}`, user.name)
+    if (name === null) return
+    manageUser(encodeURIComponent(user.number), { method: 'PATCH', body: { name } })
+  }
+
+  const deleteUser = (user) => {
+    if (!window.confirm(`Delete ${user.name || user.number}? They will no longer be able to log in. Their scanned rows are kept.`)) return
+    manageUser(encodeURIComponent(user.number), { method: 'DELETE' })
+  }
+
+  const signOutUser = (user) => {
+    if (!window.confirm(`Sign ${user.name || user.number} out of every device? They can log in again with their password.`)) return
+    manageUser(`${encodeURIComponent(user.number)}/logout`)
+  }
+
+  useEffect(() => {
+    const fetchStats = async () => {
+      try {
+        const [res, usersRes] = await Promise.all([
+          authFetch(`${API_URL}/api/admin/dashboard`),
+          authFetch(`${API_URL}/api/admin/users`),
+        ])
+        if (res.status === 401 || res.status === 403) {
+          onLogout()
+          return
+        }
+        if (!res.ok || !usersRes.ok) {
+          setError('Failed to load dashboard')
+          return
+        }
+        const data = await res.json()
+        setStats({ total: data.total || 0, byNumber: data.byNumber || {} })
+        setUsers((await usersRes.json()).users || [])
+      } catch {
+        setError('Failed to load dashboard')
+      } finally {
+        setLoading(false)
+      }
+    }
+    fetchStats()
+  }, [onLogout, usersVersion])
+
+  return (
+    <div className="page">
+      <header className="hero">
+        <div>
+          <div className="hero-top">
+            <div className="brand-pill">
+              <span className="brand-dot" />
+              <span>Super Admin Dashboard</span>
+            </div>
+            <div className="hero-top-actions">
+              <button type="button" className="ghost" onClick={onOpenScanner}>
+                Open scanner
+              </button>
+              <button type="button" className="ghost" onClick={onLogoutAll}>
+                Log out all devices
+              </button>
+              <button type="button" className="ghost logout-btn" onClick={onLogout}>
+                Log out
+              </button>
+            </div>
+          </div>
+          <h1>Processing stats</h1>
+          <p className="lede">Total pictures processed and breakdown by user number.</p>
+        </div>
+      </header>
+      <section className="panel">
+        <div className="dashboard-add-user">
+          <h3 className="dashboard-subtitle">Add user</h3>
+          <form onSubmit={handleAddUser} className="add-user-form">
+            <label>
+              <span className="label-text">Phone number</span>
+              <input
+                type="text"
+                placeholder="e.g. 0753995292"
+                value={addNumber}
+                onChange={(e) => setAddNumber(e.target.value)}
+                autoComplete="tel"
+                disabled={addLoading}
+                required
+              />
+            </label>
+            <label>
+              <span className="label-text">Name (optional)</span>
+              <input
+                type="text"
+                placeholder="e.g. Grace N."
+                value={addName}
+                onChange={(e) => setAddName(e.target.value)}
+                autoComplete="off"
+                disabled={addLoading}
+              />
+            </label>
+            <label>
+              <span className="label-text">Role</span>
+              <select value={addRole} onChange={(e) => setAddRole(e.target.value)} disabled={addLoading}>
+                {Object.entries(ROLE_LABELS).map(([role, label]) => (
+                  <option key={role} value={role}>{label}</option>
+                ))}
+              </select>
+            </label>
+            <button type="submit" className="primary" disabled={addLoading}>
+              {addLoading ? 'Adding...' : 'Add user'}
+            </button>
+          </form>
+          {addError && <p className="error">{addError}</p>}
+          {addSuccess && (
+            <p className="add-success">
+              User <strong>{addSuccess.number}</strong> added as {ROLE_LABELS[addSuccess.role] || addSuccess.role}. Password: <strong>{addSuccess.password}</strong>
+            </p>
+          )}
+          <p className="add-user-hint">A temporary 10-character password will be generated. Share it with the user; they choose their own at first login.</p>
+        </div>
+        <div className="dashboard-add-user">
+          <h3 className="dashboard-subtitle">Reset password</h3>
           <form onSubmit={handleResetPassword} className="add-user-form">
             <label>
               <span className="label-text">Phone number</span>
@@ -330,7 +1734,42 @@ function SuperAdminDashboard({ onLogout }) {
               Password reset for <strong>{resetSuccess.number}</strong>. New password: <strong>{resetSuccess.password}</strong>
             </p>
           )}
-          <p className="add-user-hint">Generates a new 5-digit password. Use when a user forgets theirs.</p>
+          <p className="add-user-hint">Generates a new temporary 10-character password and logs the user out everywhere. Use when a user forgets theirs.</p>
+        </div>
+        <div className="dashboard-add-user">
+          <h3 className="dashboard-subtitle">Change role</h3>
+          <form onSubmit={handleSetRole} className="add-user-form">
+            <label>
+              <span className="label-text">Phone number</span>
+              <input
+                type="text"
+                placeholder="e.g. 0753995292"
+                value={roleNumber}
+                onChange={(e) => setRoleNumber(e.target.value)}
+                autoComplete="tel"
+                disabled={roleLoading}
+                required
+              />
+            </label>
+            <label>
+              <span className="label-text">Role</span>
+              <select value={roleValue} onChange={(e) => setRoleValue(e.target.value)} disabled={roleLoading}>
+                {Object.entries(ROLE_LABELS).map(([role, label]) => (
+                  <option key={role} value={role}>{label}</option>
+                ))}
+              </select>
+            </label>
+            <button type="submit" className="secondary" disabled={roleLoading}>
+              {roleLoading ? 'Saving...' : 'Set role'}
+            </button>
+          </form>
+          {roleError && <p className="error">{roleError}</p>}
+          {roleSuccess && (
+            <p className="add-success">
+              <strong>{roleSuccess.number}</strong> is now {ROLE_LABELS[roleSuccess.role] || roleSuccess.role}.
+            </p>
+          )}
+          <p className="add-user-hint">Scanners capture envelopes, reviewers check every row, finance can only export, admins manage users.</p>
         </div>
         {loading ? (
           <p className="empty">Loading...</p>
@@ -342,24 +1781,83 @@ function SuperAdminDashboard({ onLogout }) {
               <p className="dashboard-total">{stats.total} pictures processed</p>
             </div>
             <div className="dashboard-table-wrap">
-              <h3 className="dashboard-subtitle">By user number</h3>
-              {entries.length === 0 ? (
-                <p className="empty">No data yet.</p>
+              <h3 className="dashboard-subtitle">Users</h3>
+              {userActionError && <p className="error">{userActionError}</p>}
+              {users.length === 0 ? (
+                <p className="empty">No users yet.</p>
               ) : (
-                <div className="dashboard-table">
-                  <div className="table-head" role="row">
-                    <span>Number</span>
-                    <span>Count</span>
-                  </div>
-                  {entries.map(([num, count]) => (
-                    <div className="table-row" role="row" key={num}>
-                      <span>{num}</span>
-                      <span>{count}</span>
+                <div className="users-table-scroll">
+                  <div className="users-table" role="table" aria-label="Users">
+                    <div className="users-row users-head" role="row">
+                      <span>Number</span>
+                      <span>Name</span>
+                      <span>Role</span>
+                      <span>Status</span>
+                      <span>Created</span>
+                      <span>Last login</span>
+                      <span>Scans</span>
+                      <span>Actions</span>
                     </div>
-                  ))}
+                    {users.map((user) => (
+                      <div className={`users-row${user.status === 'disabled' ? ' user-disabled' : ''}`} role="row" key={user.number}>
+                        <span>{user.number}</span>
+                        <span>{user.name || '—'}</span>
+                        <span>
+                          <select
+                            value={user.role}
+                            onChange={(e) => manageUser('role', { body: { number: user.number, role: e.target.value } })}
+                            aria-label={`Role of ${user.number}`}
+                          >
+                            {Object.entries(ROLE_LABELS).map(([role, label]) => (
+                              <option key={role} value={role}>{label}</option>
+                            ))}
+                          </select>
+                        </span>
+                        <span className={`user-status user-status-${user.status}`}>
+                          {user.status === 'disabled' ? 'Disabled' : 'Active'}
+                        </span>
+                        <span>{formatDateTime(user.createdAt)}</span>
+                        <span>{formatDateTime(user.lastLoginAt)}</span>
+                        <span className="users-scans">{user.scans}</span>
+                        <span className="users-actions">
+                          <button type="button" className="ghost" onClick={() => renameUser(user)}>
+                            Rename
+                          </button>
+                          {user.status === 'disabled' ? (
+                            <button
+                              type="button"
+                              className="ghost"
+                              onClick={() => manageUser(`${encodeURIComponent(user.number)}/enable`)}
+                            >
+                              Enable
+                            </button>
+                          ) : (
+                            <button
+                              type="button"
+                              className="ghost"
+                              onClick={() => manageUser(`${encodeURIComponent(user.number)}/disable`)}
+                            >
+                              Disable
+                            </button>
+                          )}
+                          <button type="button" className="ghost" onClick={() => signOutUser(user)}>
+                            Sign out
+                          </button>
+                          <button type="button" className="ghost" onClick={() => deleteUser(user)}>
+                            Delete
+                          </button>
+                        </span>
+                      </div>
+                    ))}
+                  </div>
                 </div>
               )}
             </div>
+            <CurrencyTotals onLogout={onLogout} refreshKey={usersVersion} />
+            <MemberRegistry onLogout={onLogout} onChange={() => setUsersVersion((v) => v + 1)} refreshKey={usersVersion} />
+            <ExchangeRates onLogout={onLogout} onChange={() => setUsersVersion((v) => v + 1)} refreshKey={usersVersion} />
+            <LoginLockouts onLogout={onLogout} onChange={() => setUsersVersion((v) => v + 1)} refreshKey={usersVersion} />
+            <AuditLog onLogout={onLogout} users={users} refreshKey={usersVersion} />
           </>
         )}
       </section>
@@ -370,50 +1868,670 @@ function SuperAdminDashboard({ onLogout }) {
   )
 }
 
+/** Fetch an auth-protected image and expose it as an object URL. */
+function useAuthImage(url, token) {
+  const [src, setSrc] = useState(null)
+
+  useEffect(() => {
+    if (!url || !token) return
+    let objectUrl = null
+    let cancelled = false
+    const load = async () => {
+      try {
+        const res = await authFetch(url)
+        if (!res.ok || cancelled) return
+        objectUrl = window.URL.createObjectURL(await res.blob())
+        if (cancelled) window.URL.revokeObjectURL(objectUrl)
+        else setSrc(objectUrl)
+      } catch {
+        // Thumbnail stays empty; the row is still usable
+      }
+    }
+    load()
+    return () => {
+      cancelled = true
+      if (objectUrl) window.URL.revokeObjectURL(objectUrl)
+    }
+  }, [url, token])
+
+  return src
+}
+
+const entryImageUrl = (entry) =>
+  entry?.image ? `${API_URL}/api/entries/${encodeURIComponent(entry.id)}/image` : null
+
+function EntryThumbnail({ entry, token, onOpen }) {
+  const fetched = useAuthImage(entry.imageDataUrl ? null : entryImageUrl(entry), token)
+  const src = entry.imageDataUrl || fetched
+  return (
+    <button type="button" className="thumb-btn" onClick={onOpen} aria-label="Open row details">
+      {src ? <img src={src} alt="Envelope" /> : <span className="thumb-empty">{entry.image ? '…' : '—'}</span>}
+    </button>
+  )
+}
+
+function EntryImageViewer({
+  entry,
+  token,
+  readOnly,
+  canSync,
+  onChange,
+  onSave,
+  onAddLine,
+  onRemoveLine,
+  onMarkReviewed,
+  onSync,
+  onClose,
+}) {
+  const fetched = useAuthImage(entry.imageDataUrl ? null : entryImageUrl(entry), token)
+  const src = entry.imageDataUrl || fetched
+  const s = entry.structured || {}
+  const flagged = flaggedFields(entry)
+  const template = entryTemplate(entry)
+  const lines = entryLines(entry)
+
+  /** Input for one value; path is the field key, or e.g. "lines[1].amount" on a contribution line. */
+  const fieldInput = (field, path, value, line = null) => {
+    const shown = normalizedDisplay(entry, field, line)
+    return (
+      <label key={path} className={flagged[path] ? 'cell-flagged' : undefined} title={flagged[path]}>
+        <span className="label-text">{field.label}</span>
+        <input
+          type="text"
+          value={value ?? ''}
+          onChange={(e) => onChange(path, e.target.value)}
+          onBlur={onSave}
+          readOnly={readOnly}
+        />
+        {flagged[path] ? (
+          <small className="viewer-note viewer-note-flag">{flagged[path]}</small>
+        ) : shown && shown !== value ? (
+          <small className="viewer-note">→ {shown}</small>
+        ) : null}
+      </label>
+    )
+  }
+
+  return (
+    <div className="viewer-backdrop" role="dialog" aria-modal="true" aria-label="Envelope photo" onClick={onClose}>
+      <div className="viewer" onClick={(e) => e.stopPropagation()}>
+        <div className="viewer-image">
+          {!entry.image && !entry.imageDataUrl ? (
+            <p className="empty">No photo stored for this row.</p>
+          ) : src ? (
+            <img src={src} alt="Envelope" />
+          ) : (
+            <p className="empty">Loading photo...</p>
+          )}
+        </div>
+        <div className="viewer-fields">
+          {envelopeFields(template).map((field) => fieldInput(field, field.key, s[field.key]))}
+          {hasLines(template) && (
+            <fieldset className="viewer-lines">
+              <legend className="label-text">Contribution lines</legend>
+              {lines.map((line, index) => (
+                <div className="viewer-line" key={index}>
+                  {lineFields(template).map((field) => fieldInput(field, linePath(index, field.key), line[field.key], index))}
+                  {!readOnly && lines.length > 1 && (
+                    <button type="button" className="ghost" onClick={() => onRemoveLine(index)}>
+                      Remove line {index + 1}
+                    </button>
+                  )}
+                </div>
+              ))}
+              {!readOnly && (
+                <button type="button" className="secondary" onClick={onAddLine}>
+                  Add line
+                </button>
+              )}
+            </fieldset>
+          )}
+          {entry.engine && (
+            <p className="viewer-note">Read by: {ENGINE_LABELS[entry.engine] || entry.engine}</p>
+          )}
+          {entry.offline && (
+            <>
+              <p className="viewer-note viewer-note-flag">
+                Read offline in this browser – not saved on the server yet.
+              </p>
+              <button type="button" className="primary" onClick={() => onSync(true)} disabled={!canSync}>
+                Re-extract on server
+              </button>
+              <button type="button" className="secondary" onClick={() => onSync(false)} disabled={!canSync}>
+                Save as read
+              </button>
+            </>
+          )}
+          {entry.needsReview && !readOnly && (
+            <button type="button" className="primary" onClick={onMarkReviewed}>
+              Mark as checked
+            </button>
+          )}
+          <button type="button" className="ghost" onClick={onClose}>
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+const MEMBER_MATCH_LABELS = {
+  telephone: 'same phone number',
+  email: 'same email',
+  name: 'similar name',
+  manual: 'picked by hand',
+}
+
+/** What the member cell of a row says: the member's name, "Not a member" (picked) or "No match". */
+const memberLabel = (entry) => {
+  if (!entry.member) return 'No match'
+  return entry.member.id ? entry.member.name : 'Not a member'
+}
+
+/** Tooltip of the member cell: how the row was linked, e.g. "Member M-014 (same phone number)". */
+const memberTitle = (entry) => {
+  if (!entry.member) return 'No member in the registry fits this row'
+  const how = MEMBER_MATCH_LABELS[entry.member.by] || entry.member.by
+  return entry.member.id ? `Member ${entry.member.ref || entry.member.name} (${how})` : `No member (${how})`
+}
+
+/**
+ * Pick the registry member a row belongs to: the members that fit its values, or any member found
+ * by search. onPick gets a member id, null (not a member) or 'auto' (match from the values again).
+ */
+function MemberPicker({ entry, onPick, onClose, onLogout }) {
+  const [search, setSearch] = useState('')
+  const [query, setQuery] = useState('')
+  const [members, setMembers] = useState(null)
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    const fetchMembers = async () => {
+      setError('')
+      try {
+        const params = query ? { q: query } : { entryId: entry.id }
+        const res = await authFetch(`${API_URL}/api/members?${new URLSearchParams(params)}`)
+        if (res.status === 401) {
+          onLogout()
+          return
+        }
+        if (!res.ok) {
+          setError('Failed to load members')
+          return
+        }
+        setMembers((await res.json()).members)
+      } catch {
+        setError('Failed to load members')
+      }
+    }
+    fetchMembers()
+  }, [entry.id, onLogout, query])
+
+  const pick = async (choice) => {
+    setBusy(true)
+    try {
+      await onPick(choice)
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const current = entry.member?.id || null
+  return (
+    <div className="viewer-backdrop" role="dialog" aria-modal="true" aria-label="Pick member" onClick={onClose}>
+      <div className="viewer member-picker" onClick={(e) => e.stopPropagation()}>
+        <h3 className="dashboard-subtitle">Member for {entry.structured?.name || 'this row'}</h3>
+        <p className="viewer-note">Now: {memberLabel(entry)}{entry.member && ` – ${memberTitle(entry)}`}</p>
+        <form
+          className="add-user-form"
+          onSubmit={(e) => {
+            e.preventDefault()
+            setQuery(search.trim())
+          }}
+        >
+          <label>
+            <span className="label-text">Search the registry</span>
+            <input type="search" placeholder="Name, phone, email or ID" value={search} onChange={(e) => setSearch(e.target.value)} />
+          </label>
+          <button type="submit" className="secondary">
+            Search
+          </button>
+        </form>
+        {error && <p className="error">{error}</p>}
+        {members && !members.length && (
+          <p className="empty">{query ? 'No member found.' : 'No member in the registry fits this row.'}</p>
+        )}
+        {members && members.length > 0 && (
+          <ul className="member-list">
+            {members.map((member) => (
+              <li key={member.id}>
+                <button
+                  type="button"
+                  className={`ghost member-option${member.id === current ? ' member-current' : ''}`}
+                  onClick={() => pick(member.id)}
+                  disabled={busy || member.id === current}
+                >
+                  <strong>{member.name}</strong>
+                  <small>{[member.ref, member.telephone, member.email].filter(Boolean).join(' · ')}</small>
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+        <div className="member-picker-actions">
+          <button type="button" className="secondary" onClick={() => pick(null)} disabled={busy}>
+            Not a member
+          </button>
+          <button type="button" className="secondary" onClick={() => pick('auto')} disabled={busy}>
+            Match automatically
+          </button>
+          <button type="button" className="ghost" onClick={onClose}>
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+function SessionBar({ sessions, services, currentSession, onSelect, onOpen, onClose, canManage, disabled }) {
+  const [date, setDate] = useState(todayIso)
+  const [service, setService] = useState('')
+  const [templateId, setTemplateId] = useState(DEFAULT_TEMPLATE_ID)
+  const [busy, setBusy] = useState(false)
+  const selectable = sessions.filter((s) => s.status === 'open' || s.id === currentSession?.id)
+  const chosenService = service || services[0] || ''
+
+  const handleOpen = async (e) => {
+    e.preventDefault()
+    setBusy(true)
+    try {
+      await onOpen({ date, service: chosenService, templateId })
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  return (
+    <div className="session-bar">
+      <label>
+        <span className="label-text">Scan session</span>
+        <select
+          value={currentSession?.id || ''}
+          onChange={(e) => onSelect(e.target.value || null)}
+          disabled={disabled}
+        >
+          <option value="">— Choose a session —</option>
+          {selectable.map((s) => (
+            <option key={s.id} value={s.id}>
+              {s.name}{s.status === 'closed' ? ' (closed)' : ''}
+            </option>
+          ))}
+        </select>
+      </label>
+      {currentSession && (
+        <div className="session-current">
+          <span className={`session-status session-status-${currentSession.status}`}>
+            {currentSession.status === 'open' ? 'Open' : 'Closed'}
+          </span>
+          {currentSession.status === 'open' && canManage && (
+            <button type="button" className="ghost" onClick={onClose} disabled={disabled}>
+              Close session
+            </button>
+          )}
+        </div>
+      )}
+      {canManage && (
+        <form className="session-new" onSubmit={handleOpen}>
+          <input type="date" value={date} onChange={(e) => setDate(e.target.value)} required disabled={disabled || busy} />
+          <select value={chosenService} onChange={(e) => setService(e.target.value)} disabled={disabled || busy}>
+            {services.map((svc) => (
+              <option key={svc} value={svc}>{svc}</option>
+            ))}
+          </select>
+          <select
+            value={templateId}
+            onChange={(e) => setTemplateId(e.target.value)}
+            disabled={disabled || busy}
+            aria-label="Form template"
+            title="Kind of form scanned in this session"
+          >
+            {FORM_TEMPLATES.map((template) => (
+              <option key={template.id} value={template.id}>{template.name}</option>
+            ))}
+          </select>
+          <button type="submit" className="secondary" disabled={disabled || busy || !date}>
+            {busy ? 'Opening...' : 'Open new session'}
+          </button>
+        </form>
+      )}
+    </div>
+  )
+}
+
 function App() {
   const takePhotoInputRef = useRef(null)
-  const [token, setToken] = useState(() => localStorage.getItem(AUTH_KEY))
+  // The access token from login. authFetch swaps in refreshed tokens behind the scenes; this copy
+  // only marks the user as logged in and names them, so a refresh does not reload the page data
+  const [token, setToken] = useState(getAccessToken)
   const [view, setView] = useState('login')
   const [isProcessing, setIsProcessing] = useState(false)
   const [progress, setProgress] = useState(0)
   const [status, setStatus] = useState('Ready to scan')
   const [entries, setEntries] = useState([])
   const [error, setError] = useState('')
+  const [sessions, setSessions] = useState([])
+  const [services, setServices] = useState([])
+  const [sessionId, setSessionId] = useState(() => localStorage.getItem(SESSION_KEY))
+  const [exportFrom, setExportFrom] = useState('')
+  const [exportTo, setExportTo] = useState('')
+  const [includeImages, setIncludeImages] = useState(false)
+  const [verifiedOnly, setVerifiedOnly] = useState(false)
+  const [convertAmounts, setConvertAmounts] = useState(false)
+  // From /api/exchange-rates: { defaultCurrency, base, rates }
+  const [currencySettings, setCurrencySettings] = useState(null)
+  const [viewerEntryId, setViewerEntryId] = useState(null)
+  const [memberPickerEntryId, setMemberPickerEntryId] = useState(null)
+  // Rows whose contribution lines are shown as sub-rows
+  const [expandedEntryIds, setExpandedEntryIds] = useState(() => new Set())
+  const [highlightEntryId, setHighlightEntryId] = useState(null)
+  const [me, setMe] = useState(() => {
+    try {
+      return JSON.parse(localStorage.getItem(ME_KEY))
+    } catch {
+      return null
+    }
+  })
+  const [reviewOnly, setReviewOnly] = useState(false)
+  const [offlineMode, setOfflineMode] = useState(false)
+  const [isOnline, setIsOnline] = useState(() => navigator.onLine)
+  const [captures, setCaptures] = useState([])
+  const [doneCaptures, setDoneCaptures] = useState([])
+  const [jobs, setJobs] = useState([])
+  const drainingRef = useRef(false)
+  const pauseUntilRef = useRef(0)
+  const drainQueueRef = useRef(null)
+  const refreshJobRef = useRef(null)
 
   const logout = () => {
-    localStorage.removeItem(AUTH_KEY)
+    logoutSession()
+    localStorage.removeItem(SESSION_KEY)
+    localStorage.removeItem(ME_KEY)
+    setMe(null)
+    setSessionId(null)
+    setEntries([])
     setToken(null)
     setView('login')
     setError('')
   }
 
-  const authHeaders = () => (token ? { Authorization: `Bearer ${token}` } : {})
-  const checkAuth = (res) => {
-    if (res.status === 401) {
-      logout()
-      return true
+  const login = (tokens, nextView) => {
+    saveTokens(tokens)
+    setToken(tokens.token)
+    // Enough of /api/me to send a temporary password straight to the change screen
+    setMe({
+      number: tokenNumber(tokens.token),
+      name: '',
+      role: tokens.role,
+      permissions: tokens.permissions || [],
+      mustChangePassword: !!tokens.mustChangePassword,
+    })
+    setView(nextView)
+    setError('')
+  }
+
+  const passwordChanged = (tokens) => {
+    saveTokens(tokens)
+    setToken(tokens.token)
+    setMe((prev) => prev && { ...prev, mustChangePassword: false })
+    setView('app')
+    setStatus('Password changed. Your other devices were logged out.')
+  }
+
+  const logoutAllDevices = async () => {
+    if (!window.confirm('Log out on every phone and computer where you are logged in?')) return
+    try {
+      const res = await authFetch(`${API_URL}/api/logout-all`, { method: 'POST' })
+      if (!res.ok && res.status !== 401) {
+        setError('Could not log out other devices. Try again.')
+        return
+      }
+      logout()
+    } catch {
+      setError('Network error. Try again.')
+    }
+  }
+
+
+  const currentSession = sessions.find((s) => s.id === sessionId) || null
+  const currentTemplate = getTemplate(currentSession?.templateId)
+  const viewerEntry = entries.find((e) => e.id === viewerEntryId) || null
+  const memberPickerEntry = entries.find((e) => e.id === memberPickerEntryId) || null
+  const reviewCount = entries.filter((e) => e.needsReview).length
+  const offlineCount = entries.filter((e) => e.offline).length
+  const sessionOpen = currentSession?.status === 'open'
+  const userNumber = token ? tokenNumber(token) : null
+  const can = (permission) => !!me && me.number === userNumber && me.permissions.includes(permission)
+  // A temporary password from an admin has to be replaced before anything else
+  const passwordChangeRequired = !!me && me.number === userNumber && !!me.mustChangePassword
+  const isScannerView = !!token && view !== 'superAdminDashboard' && view !== 'changePassword' && !passwordChangeRequired
+  const canScan = can('scan') && (offlineMode || sessionOpen)
+  const canEdit = can('scan') || can('review')
+  const canEditRow = (row) =>
+    row.offline ||
+    (sessionOpen && (row.status || 'extracted') === 'extracted' && (can('review') || (can('scan') && row.userNumber === userNumber)))
+  // Maker-checker: whoever scanned or ever corrected a row cannot verify it (editedBy: rows saved before editors were kept)
+  const isRowMaker = (row) => row.userNumber === userNumber || row.editedBy === userNumber || !!row.editors?.includes(userNumber)
+  const myCaptures = captures.filter((c) => c.userNumber === userNumber)
+  const queueCounts = {
+    queued: myCaptures.filter((c) => c.status === 'queued').length,
+    uploading: myCaptures.filter((c) => c.status === 'uploading').length,
+    done: doneCaptures.length,
+    failed: myCaptures.filter((c) => c.status === 'failed').length,
+  }
+  const batchItems = [...myCaptures, ...doneCaptures].sort((a, b) => a.createdAt - b.createdAt)
+  const activeJobIds = jobs.filter((j) => j.status === 'queued' || j.status === 'running').map((j) => j.id).join(',')
+  const visibleEntries = reviewOnly ? entries.filter((e) => e.needsReview) : entries
+
+  useEffect(() => {
+    const goOnline = () => setIsOnline(true)
+    const goOffline = () => setIsOnline(false)
+    window.addEventListener('online', goOnline)
+    window.addEventListener('offline', goOffline)
+    return () => {
+      window.removeEventListener('online', goOnline)
+      window.removeEventListener('offline', goOffline)
+    }
+  }, [])
+
+  // Role and permissions decide which controls are shown; the server enforces them
+  useEffect(() => {
+    if (!token) return
+    let cancelled = false
+    const fetchMe = async () => {
+      try {
+        const res = await authFetch(`${API_URL}/api/me`)
+        if (cancelled || !res.ok) return
+        const data = await res.json()
+        localStorage.setItem(ME_KEY, JSON.stringify(data))
+        if (!cancelled) setMe(data)
+      } catch {
+        // Offline: keep the role remembered from the last visit so offline scanning still works
+      }
+    }
+    fetchMe()
+    return () => {
+      cancelled = true
+    }
+  }, [token])
+
+  useEffect(() => {
+    if (!isScannerView) return
+    let cancelled = false
+    const fetchSessions = async () => {
+      try {
+        const res = await authFetch(`${API_URL}/api/sessions`)
+        if (cancelled || !res.ok) return
+        const data = await res.json()
+        if (cancelled) return
+        setSessions(data.sessions || [])
+        setServices(data.services || [])
+      } catch {
+        if (!cancelled) setError('Failed to load scan sessions')
+      }
+    }
+    const fetchCurrencySettings = async () => {
+      try {
+        const res = await authFetch(`${API_URL}/api/exchange-rates`)
+        if (!cancelled && res.ok) setCurrencySettings(await res.json())
+      } catch {
+        // Without them the export offers no conversion and offline rows assume UGX
+      }
+    }
+    fetchSessions()
+    fetchCurrencySettings()
+    return () => {
+      cancelled = true
+    }
+  }, [token, isScannerView])
+
+  useEffect(() => {
+    if (!isScannerView || !sessionId) return
+    let cancelled = false
+    const fetchEntries = async () => {
+      try {
+        const res = await authFetch(`${API_URL}/api/entries?sessionId=${encodeURIComponent(sessionId)}`)
+        if (cancelled) return
+        if (res.status === 401) {
+          clearTokens()
+          setToken(null)
+          setView('login')
+          return
+        }
+        if (!res.ok) {
+          setError('Failed to load saved rows')
+          return
+        }
+        const data = await res.json()
+        // Rows read offline stay in the table until they are sent to the server
+        if (!cancelled) setEntries((prev) => [...prev.filter((e) => e.offline), ...(data.entries || [])])
+      } catch {
+        if (!cancelled) setError('Failed to load saved rows')
+      }
+    }
+    fetchEntries()
+    return () => {
+      cancelled = true
+    }
+  }, [token, isScannerView, sessionId])
+
+  // Batch jobs run on the server, so batches sent before this page was closed show up again here
+  useEffect(() => {
+    setJobs([])
+    if (!isScannerView || !sessionId) return
+    let cancelled = false
+    const fetchJobs = async () => {
+      try {
+        const res = await authFetch(`${API_URL}/api/jobs?sessionId=${encodeURIComponent(sessionId)}`)
+        // Only scanners have jobs; for everyone else the list just stays empty
+        if (!res.ok) return
+        const data = await res.json()
+        if (cancelled) return
+        setJobs(data.jobs || [])
+        // The list has progress only; fetch finished jobs once for their rows and per-photo results
+        for (const job of data.jobs || []) refreshJobRef.current?.(job.id)
+      } catch {
+        // Offline: the jobs are listed once the server can be reached again
+      }
+    }
+    fetchJobs()
+    return () => {
+      cancelled = true
+    }
+  }, [token, isScannerView, sessionId])
+
+  const checkAuth = (res) => {
+    if (res.status === 401) {
+      logout()
+      return true
+    }
+    return false
+  }
+
+  const selectSession = (id) => {
+    setEntries((prev) => prev.filter((e) => e.offline))
+    setSessionId(id)
+    if (id) localStorage.setItem(SESSION_KEY, id)
+    else localStorage.removeItem(SESSION_KEY)
+  }
+
+  const openSession = async ({ date, service, templateId }) => {
+    setError('')
+    try {
+      const res = await authFetch(`${API_URL}/api/sessions`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ date, service, templateId }),
+      })
+      if (checkAuth(res)) return
+      const data = await res.json().catch(() => ({}))
+      if (!res.ok) {
+        setError(data.error || 'Could not open session')
+        return
+      }
+      setSessions((prev) => [data.session, ...prev])
+      selectSession(data.session.id)
+      setStatus(`Session "${data.session.name}" opened.`)
+    } catch {
+      setError('Network error. Try again.')
+    }
+  }
+
+  const closeSession = async () => {
+    if (!currentSession) return
+    if (!window.confirm(`Close "${currentSession.name}"? Its rows can no longer be changed.`)) return
+    try {
+      const res = await authFetch(`${API_URL}/api/sessions/${encodeURIComponent(currentSession.id)}/close`, { method: 'POST' })
+      if (checkAuth(res)) return
+      const data = await res.json().catch(() => ({}))
+      if (!res.ok) {
+        setError(data.error || 'Could not close session')
+        return
+      }
+      setSessions((prev) => prev.map((s) => (s.id === data.session.id ? data.session : s)))
+      setStatus(`Session "${data.session.name}" closed.`)
+    } catch {
+      setError('Network error. Try again.')
     }
-    return false
   }
 
-  const processOneImage = async (dataUrl) => {
-    const response = await fetch(dataUrl)
-    const blob = await response.blob()
+  const uploadForExtraction = async (source, targetSessionId = sessionId) => {
+    const blob = source instanceof Blob ? source : await (await fetch(source)).blob()
     const formData = new FormData()
     formData.append('image', blob, 'image.jpg')
-    const ocrResponse = await fetch(`${API_URL}/api/ocr`, {
+    formData.append('sessionId', targetSessionId || '')
+    const ocrResponse = await authFetch(`${API_URL}/api/ocr`, {
       method: 'POST',
-      headers: authHeaders(),
       body: formData,
     })
     if (checkAuth(ocrResponse)) throw new Error('Session expired')
     if (!ocrResponse.ok) {
       const errorData = await ocrResponse.json().catch(() => ({}))
-      throw new Error(errorData.error || 'OCR processing failed')
+      const err = new Error(errorData.error || 'OCR processing failed')
+      err.status = ocrResponse.status
+      err.retryAfterMs = Number(ocrResponse.headers.get('Retry-After')) * 1000 || 0
+      throw err
     }
-    const result = await ocrResponse.json()
+    const result = await ocrResponse.json().catch(() => ({}))
+    // The server has saved the row, even one with nothing read: it is fixed in the table, not sent again
+    if (result.entry) return result.entry
     if (!result.text || !result.text.trim()) {
-      throw new Error('No text detected. Ensure the form is well-lit and clearly visible.')
+      const err = new Error('No text detected. Ensure the form is well-lit and clearly visible.')
+      // Answered 2xx, so not worth retrying (see isRetryableUploadError)
+      err.status = ocrResponse.status
+      throw err
     }
     return {
       id: Date.now() + Math.random(),
@@ -423,6 +2541,68 @@ function App() {
     }
   }
 
+  const scanImageOffline = async (dataUrl) => {
+    const result = await scanOffline(dataUrl, currentTemplate)
+    const reviewFlags = localReviewFlags(result.structured, result.confidence, currentTemplate)
+    return {
+      id: `offline-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      offline: true,
+      sessionId,
+      templateId: currentTemplate.id,
+      createdAt: new Date().toISOString(),
+      text: result.text,
+      rawText: result.text,
+      structured: result.structured,
+      confidence: result.confidence,
+      engine: result.engine,
+      imageDataUrl: dataUrl,
+      reviewFlags,
+      needsReview: reviewFlags.length > 0,
+    }
+  }
+
+  /** Send an offline row to the server: re-extract its photo there, or save the values as read. */
+  const uploadOfflineEntry = async (row, reextract) => {
+    const targetSessionId = row.sessionId || sessionId
+    if (reextract) return uploadForExtraction(row.imageDataUrl, targetSessionId)
+    const blob = await (await fetch(row.imageDataUrl)).blob()
+    const formData = new FormData()
+    formData.append('image', blob, 'image.jpg')
+    formData.append('sessionId', targetSessionId || '')
+    formData.append('structured', JSON.stringify(row.structured || {}))
+    formData.append('confidence', JSON.stringify(row.confidence || {}))
+    formData.append('engine', row.engine)
+    const res = await authFetch(`${API_URL}/api/entries`, { method: 'POST', body: formData })
+    if (checkAuth(res)) throw new Error('Session expired')
+    const data = await res.json().catch(() => ({}))
+    if (!res.ok) throw new Error(data.error || 'Upload failed')
+    return data.entry
+  }
+
+  const syncOfflineEntries = async (rows, reextract) => {
+    if (!rows.length) return
+    setIsProcessing(true)
+    setError('')
+    const failed = []
+    for (let i = 0; i < rows.length; i++) {
+      setStatus(`${reextract ? 'Re-extracting' : 'Uploading'} offline row ${i + 1} of ${rows.length}...`)
+      try {
+        const saved = await uploadOfflineEntry(rows[i], reextract)
+        setEntries((prev) => prev.map((e) => (e.id === rows[i].id ? saved : e)))
+        if (viewerEntryId === rows[i].id) setViewerEntryId(saved.id)
+      } catch (err) {
+        failed.push(err.message)
+        if (err.message === 'Session expired') {
+          logout()
+          return
+        }
+      }
+    }
+    setStatus(`Sent ${rows.length - failed.length} of ${rows.length} offline row${rows.length === 1 ? '' : 's'} to the server.`)
+    if (failed.length) setError(failed.join('; '))
+    setIsProcessing(false)
+  }
+
   const processImage = async (dataUrl) => {
     setIsProcessing(true)
     setStatus('Processing image...')
@@ -430,7 +2610,7 @@ function App() {
     setProgress(10)
     try {
       setProgress(50)
-      const entry = await processOneImage(dataUrl)
+      const entry = await scanImageOffline(dataUrl)
       setProgress(95)
       setEntries((prev) => [entry, ...prev])
       setStatus('Captured and added to the table.')
@@ -457,7 +2637,7 @@ function App() {
       setStatus(`Processing image ${i + 1} of ${total}...`)
       setProgress(Math.round(((i + 0.5) / total) * 100))
       try {
-        const entry = await processOneImage(dataUrls[i])
+        const entry = await scanImageOffline(dataUrls[i])
         added.push(entry)
         setEntries((prev) => [entry, ...prev])
       } catch (err) {
@@ -480,11 +2660,235 @@ function App() {
     setTimeout(() => setProgress(0), 1000)
   }
 
+  /** Take in a job from the server: its progress, and the rows of its read photos not yet in the table. */
+  const applyJob = (job) => {
+    setJobs((prev) => prev.map((j) => (j.id === job.id ? job : j)))
+    const rows = (job.items || []).map((item) => item.entry).filter((entry) => entry && entry.sessionId === sessionId)
+    if (rows.length) setEntries((prev) => [...rows.filter((row) => !prev.some((e) => e.id === row.id)), ...prev])
+  }
+
+  const refreshJob = async (jobId) => {
+    try {
+      const res = await authFetch(`${API_URL}/api/jobs/${encodeURIComponent(jobId)}`)
+      if (checkAuth(res) || !res.ok) return
+      const data = await res.json()
+      const before = jobs.find((j) => j.id === jobId)
+      applyJob(data.job)
+      if (data.job.status === 'done' && (before?.status === 'queued' || before?.status === 'running')) {
+        const { total, done, failed } = data.job.progress
+        setStatus(`Batch finished: ${done} of ${total} photo${total === 1 ? '' : 's'} read${failed ? `, ${failed} failed` : ''}.`)
+      }
+    } catch {
+      // Checked again on the next poll
+    }
+  }
+
+  /** Send photos to the server as one batch job; it keeps reading them after this page is closed. */
+  const sendBatchToServer = async (event) => {
+    const files = Array.from(event.target.files || [])
+    event.target.value = ''
+    if (!files.length) return
+    setError('')
+    const formData = new FormData()
+    formData.append('sessionId', sessionId || '')
+    files.forEach((file) => formData.append('images', file, file.name))
+    try {
+      const res = await authFetch(`${API_URL}/api/ocr/batch`, { method: 'POST', body: formData })
+      if (checkAuth(res)) return
+      const data = await res.json().catch(() => ({}))
+      if (!res.ok) {
+        setError(data.error || 'Could not send the batch')
+        return
+      }
+      setJobs((prev) => [data.job, ...prev])
+      setStatus(`Sent ${files.length} photo${files.length === 1 ? '' : 's'} to the server. You can close this page; the rows will be here when you come back.`)
+    } catch {
+      setError('Network error. Try again.')
+    }
+  }
+
+  const cancelJob = async (jobId) => {
+    try {
+      const res = await authFetch(`${API_URL}/api/jobs/${encodeURIComponent(jobId)}/cancel`, { method: 'POST' })
+      if (checkAuth(res)) return
+      const data = await res.json().catch(() => ({}))
+      if (!res.ok) {
+        setError(data.error || 'Could not cancel the batch')
+        return
+      }
+      applyJob(data.job)
+      setStatus('Batch cancelled. Photos already being read will still be added.')
+    } catch {
+      setError('Network error. Try again.')
+    }
+  }
+
+  const refreshCaptures = async () => {
+    try {
+      setCaptures(await listCaptures())
+    } catch {
+      // IndexedDB unavailable (e.g. private browsing); the counts just stay empty
+    }
+  }
+
+  /**
+   * Upload every due capture of the logged-in user, UPLOAD_CONCURRENCY at a time. Network and
+   * server errors are retried with backoff; errors the server gave a reason for (e.g. unreadable
+   * photo) are not. A 429 from the server pauses the whole batch for its Retry-After.
+   */
+  const drainQueue = async () => {
+    if (drainingRef.current || !token || !navigator.onLine) return
+    drainingRef.current = true
+    const claimed = new Set()
+    let stopped = false
+
+    // Re-read the queue for every pick so cancelled photos are skipped and new ones join the batch
+    const takeNext = async () => {
+      if (stopped || Date.now() < pauseUntilRef.current) return null
+      const queue = await listCaptures()
+      const next = queue.find(
+        (c) => c.userNumber === userNumber && c.status === 'queued' && c.nextAttemptAt <= Date.now() && !claimed.has(c.id)
+      )
+      if (!next) return null
+      claimed.add(next.id)
+      return updateCapture(next.id, { status: 'uploading' })
+    }
+
+    const worker = async () => {
+      for (let capture = await takeNext(); capture; capture = await takeNext()) {
+        await refreshCaptures()
+        try {
+          const entry = await uploadForExtraction(capture.blob, capture.sessionId)
+          await removeCapture(capture.id)
+          setDoneCaptures((prev) => [...prev, { id: capture.id, name: capture.name, createdAt: capture.createdAt, status: 'done' }])
+          if (capture.sessionId === sessionId) setEntries((prev) => [entry, ...prev])
+          setStatus('Captured and added to the table.')
+        } catch (err) {
+          if (err.message === 'Session expired') {
+            await updateCapture(capture.id, { status: 'queued' })
+            stopped = true
+            break
+          }
+          if (err.status === 429) {
+            // Server is holding back for the Gemini quota: pause every worker, not just this photo
+            pauseUntilRef.current = Date.now() + (err.retryAfterMs || nextRetryDelay(capture.attempts + 1))
+            await updateCapture(capture.id, { status: 'queued', nextAttemptAt: pauseUntilRef.current, lastError: err.message })
+            setStatus('Extraction is busy – the rest of the batch will continue shortly.')
+            continue
+          }
+          const attempts = capture.attempts + 1
+          const retry = isRetryableUploadError(err) && attempts < MAX_ATTEMPTS
+          await updateCapture(capture.id, {
+            status: retry ? 'queued' : 'failed',
+            attempts,
+            nextAttemptAt: retry ? Date.now() + nextRetryDelay(attempts) : 0,
+            lastError: err.message || 'Upload failed',
+          })
+          if (!navigator.onLine) stopped = true
+        }
+      }
+    }
+
+    try {
+      await Promise.all(Array.from({ length: UPLOAD_CONCURRENCY }, worker))
+    } finally {
+      drainingRef.current = false
+      await refreshCaptures()
+    }
+  }
+
+  useEffect(() => {
+    drainQueueRef.current = drainQueue
+    refreshJobRef.current = refreshJob
+  })
+
+  // Check running batch jobs until they finish; their rows join the table as photos are read
+  useEffect(() => {
+    if (!activeJobIds) return
+    const timer = setInterval(() => activeJobIds.split(',').forEach((id) => refreshJobRef.current?.(id)), JOB_POLL_MS)
+    return () => clearInterval(timer)
+  }, [activeJobIds])
+
+  // Load the queue once, recover uploads cut off by a reload, and start sending
+  useEffect(() => {
+    if (!isScannerView) return
+    const start = async () => {
+      try {
+        await resetInterruptedCaptures()
+        setCaptures(await listCaptures())
+      } catch {
+        return
+      }
+      drainQueueRef.current?.()
+    }
+    start()
+  }, [isScannerView])
+
+  useEffect(() => {
+    if (isOnline) drainQueueRef.current?.()
+  }, [isOnline])
+
+  // Wake up for the next backoff retry
+  useEffect(() => {
+    const waiting = captures.filter((c) => c.status === 'queued' && c.nextAttemptAt > Date.now())
+    if (!waiting.length) return
+    const wakeAt = Math.min(...waiting.map((c) => c.nextAttemptAt))
+    const timer = setTimeout(() => drainQueueRef.current?.(), Math.max(0, wakeAt - Date.now()) + 50)
+    return () => clearTimeout(timer)
+  }, [captures])
+
+  const enqueueCaptures = async (files) => {
+    setError('')
+    try {
+      for (const file of files) {
+        await addCapture(new Blob([file], { type: file.type || 'image/jpeg' }), { sessionId, userNumber, name: file.name })
+      }
+    } catch {
+      setError('Could not store the photos on this device. Try again.')
+      return
+    }
+    setStatus(
+      navigator.onLine
+        ? `Queued ${files.length} photo${files.length === 1 ? '' : 's'} for reading.`
+        : `Saved ${files.length} photo${files.length === 1 ? '' : 's'}. They will upload when you are back online.`
+    )
+    await refreshCaptures()
+    drainQueue()
+  }
+
+  const retryFailedCaptures = async () => {
+    const failed = myCaptures.filter((c) => c.status === 'failed')
+    await Promise.all(failed.map((c) => updateCapture(c.id, { status: 'queued', attempts: 0, nextAttemptAt: 0 })))
+    await refreshCaptures()
+    drainQueue()
+  }
+
+  /** Stop the rest of the batch: photos not yet sent are dropped, uploads in progress finish. */
+  const cancelQueuedCaptures = async () => {
+    const pending = myCaptures.filter((c) => c.status === 'queued')
+    if (!window.confirm(`Cancel ${pending.length} photo${pending.length === 1 ? '' : 's'} not yet processed?`)) return
+    await Promise.all(pending.map((c) => removeCapture(c.id)))
+    await refreshCaptures()
+    setStatus(`Cancelled ${pending.length} photo${pending.length === 1 ? '' : 's'}.`)
+  }
+
+  const discardFailedCaptures = async () => {
+    const failed = myCaptures.filter((c) => c.status === 'failed')
+    if (!window.confirm(`Discard ${failed.length} photo${failed.length === 1 ? '' : 's'} that could not be read?`)) return
+    await Promise.all(failed.map((c) => removeCapture(c.id)))
+    await refreshCaptures()
+  }
+
   const handleUpload = (event) => {
     const files = event.target.files
     if (!files?.length) return
     const fileList = Array.from(files)
     event.target.value = ''
+    if (!offlineMode) {
+      // Server extraction goes through the durable queue so no photo is lost offline
+      enqueueCaptures(fileList)
+      return
+    }
     if (fileList.length === 1) {
       const reader = new FileReader()
       reader.onload = async () => {
@@ -508,6 +2912,42 @@ function App() {
     })
   }
 
+  const requestExport = async (body) => {
+    const response = await authFetch(`${API_URL}/api/export`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ...body, includeImages, verifiedOnly, convert: convertAmounts }),
+    })
+    if (checkAuth(response)) {
+      setError('Session expired. Please log in again.')
+      return false
+    }
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}))
+      const err = new Error(data.error || 'Export failed')
+      err.status = response.status
+      throw err
+    }
+    const blob = await response.blob()
+    const fallbackName = includeImages ? 'phaneroo-extracted-data.zip' : 'phaneroo-extracted-data.xlsx'
+    downloadBlob(blob, filenameFromResponse(response, fallbackName))
+    return true
+  }
+
+  const exportRange = async () => {
+    if (!exportFrom && !exportTo) {
+      setStatus('Pick a start or end date to export.')
+      return
+    }
+    try {
+      if (await requestExport({ from: exportFrom || undefined, to: exportTo || undefined })) {
+        setStatus('Excel file downloaded.')
+      }
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
   const exportExcel = async () => {
     if (!entries.length) {
       setStatus('Nothing to export yet.')
@@ -515,62 +2955,68 @@ function App() {
     }
 
     try {
-      // Send entries to backend for Excel export
-      const response = await fetch(`${API_URL}/api/export`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          ...authHeaders(),
-        },
-        body: JSON.stringify({ entries }),
-      })
-      if (checkAuth(response)) {
-        setError('Session expired. Please log in again.')
-        return
-      }
-      if (!response.ok) {
-        throw new Error('Export failed')
-      }
-
-      // Download file
-      const blob = await response.blob()
-      const url = window.URL.createObjectURL(blob)
-      const a = document.createElement('a')
-      a.href = url
-      a.download = 'phaneroo-extracted-data.xlsx'
-      document.body.appendChild(a)
-      a.click()
-      window.URL.revokeObjectURL(url)
-      document.body.removeChild(a)
-
+      // Export the whole session (every counter's rows) from the server store
+      if (!(await requestExport({ sessionId }))) return
       setStatus('Excel file downloaded.')
     } catch (err) {
-      // Fallback to client-side export (without department and title columns)
-      const worksheetData = entries.map((entry, index) => {
-        const s = entry.structured || {}
-        return {
+      // The server refused (permission, nothing verified, ...): its answer stands
+      if (err.status) {
+        setError(err.message)
+        return
+      }
+      // Server unreachable: fall back to client-side export (without department and title columns)
+      const exported = verifiedOnly ? entries.filter((e) => e.status === 'verified' || e.status === 'locked') : entries
+      const worksheetData = exported.flatMap((entry, index) =>
+        exportRows(entryTemplate(entry), entry.structured, entry.normalized).map((cells) => ({
           '#': index + 1,
-          Name: s.name || '',
-          Email: s.email || '',
-          Telephone: s.telephone || '',
-          Date: s.date || '',
-          'Contribution Type': s.contributionType || '',
-          'Payment Method': s.paymentMethod || '',
-          Amount: s.amount || '',
-        }
-      })
+          'Envelope ID': entry.offline ? '' : entry.id,
+          Session: currentSession?.name || '',
+          ...Object.fromEntries(cells),
+          Member: entry.member?.name || '',
+          'Member ID': entry.member?.id ? entry.member.ref || entry.member.id : '',
+          Status: entry.offline ? 'offline' : entry.status || 'extracted',
+          'Verified by': entry.verifiedBy || '',
+        }))
+      )
 
-      const worksheet = XLSX.utils.json_to_sheet(worksheetData)
+      const header = ['#', 'Envelope ID', 'Session', ...exportColumns([...new Set(exported.map(entryTemplate))])]
+      const worksheet = XLSX.utils.json_to_sheet(worksheetData, { header })
       const workbook = XLSX.utils.book_new()
       XLSX.utils.book_append_sheet(workbook, worksheet, 'Extracted Data')
+      // Rows read offline have not been normalized by the server yet
+      const totals = currencyTotals(
+        exported.map(
+          (entry) =>
+            entry.normalized ||
+            normalizeStructured(entry.structured, {
+              defaultCurrency: currencySettings?.defaultCurrency,
+              template: entryTemplate(entry),
+            }).normalized
+        )
+      )
+      if (Object.keys(totals).length) {
+        const totalsData = Object.entries(totals).map(([currency, { total, amounts }]) => ({ Currency: currency, Amounts: amounts, Total: total }))
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(totalsData), 'Totals')
+      }
       XLSX.writeFile(workbook, 'phaneroo-extracted-data.xlsx')
       setStatus('Excel file created.')
     }
   }
 
-  const clearEntries = () => {
-    setEntries([])
-    setStatus('Cleared all rows.')
+  const clearEntries = async () => {
+    if (!window.confirm('Delete your unverified rows in this session? This cannot be undone.')) return
+    try {
+      const res = await authFetch(`${API_URL}/api/entries?sessionId=${encodeURIComponent(sessionId)}`, { method: 'DELETE' })
+      if (checkAuth(res)) return
+      if (!res.ok) throw new Error('Clear failed')
+      // The server keeps verified rows and other users' rows
+      setEntries((prev) =>
+        prev.filter((e) => e.offline || e.userNumber !== userNumber || (e.status || 'extracted') !== 'extracted')
+      )
+      setStatus('Cleared your unverified rows.')
+    } catch {
+      setError('Could not clear saved rows. Try again.')
+    }
   }
 
   const formatField = (value) => {
@@ -579,38 +3025,158 @@ function App() {
     return value || '—'
   }
 
+  const withLocalReview = (entry) => {
+    const reviewFlags = localReviewFlags(entry.structured, entry.reviewedLocally ? {} : entry.confidence, entryTemplate(entry))
+    return { ...entry, reviewFlags, needsReview: reviewFlags.length > 0 }
+  }
+
   const updateEntryField = (entryId, field, value) => {
     setEntries((prev) =>
       prev.map((entry) =>
-        entry.id === entryId
-          ? { ...entry, structured: { ...(entry.structured || {}), [field]: value } }
-          : entry
+        entry.id !== entryId
+          ? entry
+          : entry.offline
+            ? withLocalReview({ ...entry, structured: withStructuredValue(entry.structured, field, value) })
+            : { ...entry, structured: withStructuredValue(entry.structured, field, value) }
       )
     )
   }
 
+  /**
+   * Add or remove contribution lines of a row. A removal is saved at once; a new line stays in the
+   * browser until something typed into it is saved (the server drops empty lines).
+   */
+  const updateEntryLines = (entryId, change, save) => {
+    const entry = entries.find((e) => e.id === entryId)
+    if (!entry) return
+    const structured = { ...(entry.structured || {}), lines: change(entryLines(entry)) }
+    setEntries((prev) =>
+      prev.map((e) => (e.id !== entryId ? e : e.offline ? withLocalReview({ ...e, structured }) : { ...e, structured }))
+    )
+    if (save && !entry.offline) patchEntry(entryId, { structured })
+  }
+
+  const addEntryLine = (entryId) => {
+    updateEntryLines(entryId, (lines) => [...lines, {}], false)
+    setExpandedEntryIds((prev) => new Set(prev).add(entryId))
+  }
+
+  const removeEntryLine = (entryId, index) => updateEntryLines(entryId, (lines) => lines.filter((_, i) => i !== index), true)
+
+  const toggleEntryLines = (entryId) =>
+    setExpandedEntryIds((prev) => {
+      const next = new Set(prev)
+      if (!next.delete(entryId)) next.add(entryId)
+      return next
+    })
+
+  const patchEntry = async (entryId, body) => {
+    if (typeof entryId !== 'string' || !sessionOpen) return
+    try {
+      const res = await authFetch(`${API_URL}/api/entries/${encodeURIComponent(entryId)}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+      })
+      if (checkAuth(res)) return
+      if (!res.ok) throw new Error('Save failed')
+      const { entry: saved } = await res.json()
+      // Keep local field values (the user may still be typing); take the server's review state
+      setEntries((prev) =>
+        prev.map((e) => (e.id === saved.id ? { ...saved, structured: e.structured } : e))
+      )
+    } catch {
+      setError('Could not save your edit. Check your connection.')
+    }
+  }
+
+  const saveEntry = (entryId) => {
+    const entry = entries.find((e) => e.id === entryId)
+    if (!entry || entry.offline) return
+    return patchEntry(entryId, { structured: entry.structured || {} })
+  }
+
+  const markReviewed = (entryId) => {
+    const entry = entries.find((e) => e.id === entryId)
+    if (!entry) return
+    if (entry.offline) {
+      setEntries((prev) => prev.map((e) => (e.id === entryId ? withLocalReview({ ...e, reviewedLocally: true }) : e)))
+      return
+    }
+    return patchEntry(entryId, { structured: entry.structured || {}, reviewed: true })
+  }
+
+  /** Verify a row as its second checker, or send a verified row back for changes (action 'unverify'). */
+  const setVerification = async (entryId, action) => {
+    try {
+      const res = await authFetch(`${API_URL}/api/entries/${encodeURIComponent(entryId)}/${action}`, { method: 'POST' })
+      if (checkAuth(res)) return
+      const data = await res.json().catch(() => ({}))
+      if (!res.ok) throw new Error(data.error || 'Update failed')
+      setEntries((prev) => prev.map((e) => (e.id === data.entry.id ? data.entry : e)))
+      setStatus(action === 'verify' ? 'Row verified.' : 'Row sent back for changes.')
+    } catch (err) {
+      setError(err.message || 'Could not update the row. Try again.')
+    }
+  }
+
+  /** Scroll to a row (e.g. the original of a suspected duplicate) and highlight it briefly. */
+  const showEntryRow = (entryId) => {
+    setReviewOnly(false)
+    setHighlightEntryId(entryId)
+    setTimeout(() => document.getElementById(`entry-${entryId}`)?.scrollIntoView({ behavior: 'smooth', block: 'center' }), 0)
+    setTimeout(() => setHighlightEntryId((id) => (id === entryId ? null : id)), 2500)
+  }
+
+  const resolveDuplicate = async (entryId, action) => {
+    try {
+      const res = await authFetch(`${API_URL}/api/entries/${encodeURIComponent(entryId)}/duplicate/${action}`, { method: 'POST' })
+      if (checkAuth(res)) return
+      const data = await res.json().catch(() => ({}))
+      if (!res.ok) throw new Error(data.error || 'Update failed')
+      setEntries((prev) =>
+        prev
+          .filter((e) => e.id !== data.removedId)
+          .map((e) => (e.id === data.entry.id ? data.entry : e))
+      )
+      setStatus(action === 'merge' ? 'Duplicate merged into the earlier row.' : 'Kept as a separate envelope.')
+      if (action === 'merge') showEntryRow(data.entry.id)
+    } catch (err) {
+      setError(err.message || 'Could not update the row. Try again.')
+    }
+  }
+
+  /** Link a row to a registry member: a member id, null (not a member) or 'auto' (match again). */
+  const pickMember = async (entryId, choice) => {
+    try {
+      const res = await authFetch(`${API_URL}/api/entries/${encodeURIComponent(entryId)}/member`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(choice === 'auto' ? { auto: true } : { memberId: choice }),
+      })
+      if (checkAuth(res)) return
+      const data = await res.json().catch(() => ({}))
+      if (!res.ok) throw new Error(data.error || 'Update failed')
+      setEntries((prev) => prev.map((e) => (e.id === data.entry.id ? data.entry : e)))
+      setStatus(data.entry.member?.id ? `Linked to ${data.entry.member.name}.` : choice === null ? 'Marked as not a member.' : 'No member fits this row.')
+      setMemberPickerEntryId(null)
+    } catch (err) {
+      setError(err.message || 'Could not update the row. Try again.')
+    }
+  }
+
   if (!token) {
     if (view === 'superAdminLogin') {
       return (
         <SuperAdminLoginPage
-          onLogin={(t, opts) => {
-            localStorage.setItem(AUTH_KEY, t)
-            setToken(t)
-            setView('superAdminDashboard')
-            setError('')
-          }}
+          onLogin={(tokens) => login(tokens, 'superAdminDashboard')}
           onBack={() => setView('login')}
         />
       )
     }
     return (
       <LoginPage
-        onLogin={(t) => {
-          localStorage.setItem(AUTH_KEY, t)
-          setToken(t)
-          setView('app')
-          setError('')
-        }}
+        onLogin={(tokens) => login(tokens, 'app')}
         loginError={error}
         setLoginError={setError}
         onNavigateToSuperAdmin={() => setView('superAdminLogin')}
@@ -618,8 +3184,23 @@ function App() {
     )
   }
 
+  if (passwordChangeRequired || view === 'changePassword') {
+    return (
+      <ChangePasswordPage
+        forced={passwordChangeRequired}
+        onDone={passwordChanged}
+        onCancel={() => setView('app')}
+        onLogout={logout}
+      />
+    )
+  }
+
   if (view === 'superAdminDashboard') {
-    return <SuperAdminDashboard onLogout={logout} />
+    return <SuperAdminDashboard onLogout={logout} onLogoutAll={logoutAllDevices} onOpenScanner={() => setView('app')} />
+  }
+
+  if (view === 'givingStatements' && can('export')) {
+    return <GivingStatements onLogout={logout} onBack={() => setView('app')} />
   }
 
   return (
@@ -631,44 +3212,174 @@ function App() {
               <span className="brand-dot" />
               <span>Phaneroo Envelope Checker</span>
             </div>
-            <button type="button" className="ghost logout-btn" onClick={logout}>
-              Log out
-            </button>
+            <div className="hero-top-actions">
+              {can('admin') && (
+                <button type="button" className="ghost" onClick={() => setView('superAdminDashboard')}>
+                  Dashboard
+                </button>
+              )}
+              {can('export') && (
+                <button type="button" className="ghost" onClick={() => setView('givingStatements')}>
+                  Giving statements
+                </button>
+              )}
+              <button type="button" className="ghost" onClick={() => setView('changePassword')}>
+                Change password
+              </button>
+              <button type="button" className="ghost" onClick={logoutAllDevices}>
+                Log out all devices
+              </button>
+              <button type="button" className="ghost logout-btn" onClick={logout}>
+                Log out
+              </button>
+            </div>
           </div>
           <h1>Scan, extract, and export without typing.</h1>
           <p className="lede">Point your phone camera at a Phaneroo contribution form, capture the form, and export everything to Excel with one click.</p>
           <blockquote className="verse">
             "The greatest among you will be your servant." <span>Matthew 23:11</span>
           </blockquote>
-          <div className="actions">
-            <button
-              type="button"
-              className="primary"
-              onClick={() => takePhotoInputRef.current?.click()}
-              disabled={isProcessing}
-            >
-              {isProcessing ? 'Processing...' : 'Take a photo'}
-            </button>
-            <input
-              ref={takePhotoInputRef}
-              type="file"
-              accept="image/*"
-              capture="environment"
-              multiple
-              onChange={handleUpload}
-              style={{ display: 'none' }}
-            />
-            <label className="secondary">
-              Upload from gallery
-              <input type="file" accept="image/*" multiple onChange={handleUpload} disabled={isProcessing} hidden />
-            </label>
-          </div>
+          <SessionBar
+            sessions={sessions}
+            services={services}
+            currentSession={currentSession}
+            onSelect={selectSession}
+            onOpen={openSession}
+            onClose={closeSession}
+            canManage={canEdit}
+            disabled={isProcessing}
+          />
+          {can('scan') && (
+            <>
+              <div className="actions">
+                <button
+                  type="button"
+                  className="primary"
+                  onClick={() => takePhotoInputRef.current?.click()}
+                  disabled={isProcessing || !canScan}
+                >
+                  {isProcessing ? 'Processing...' : 'Take a photo'}
+                </button>
+                <input
+                  ref={takePhotoInputRef}
+                  type="file"
+                  accept="image/*"
+                  capture="environment"
+                  multiple
+                  onChange={handleUpload}
+                  style={{ display: 'none' }}
+                />
+                <label className={`secondary${canScan ? '' : ' is-disabled'}`}>
+                  Upload from gallery
+                  <input type="file" accept="image/*" multiple onChange={handleUpload} disabled={isProcessing || !canScan} hidden />
+                </label>
+                <label className={`secondary${sessionOpen && isOnline && !isProcessing ? '' : ' is-disabled'}`}>
+                  Send a batch to the server
+                  <input
+                    type="file"
+                    accept="image/*"
+                    multiple
+                    onChange={sendBatchToServer}
+                    disabled={isProcessing || !sessionOpen || !isOnline}
+                    hidden
+                  />
+                </label>
+              </div>
+              <label className="inline-check offline-toggle">
+                <input
+                  type="checkbox"
+                  checked={offlineMode}
+                  onChange={(e) => setOfflineMode(e.target.checked)}
+                  disabled={isProcessing}
+                />
+                <span>Offline scan (read forms in this browser{isOnline ? '' : ' – you are offline'})</span>
+              </label>
+            </>
+          )}
           <p className="status">
             {status}
             {isProcessing && progress > 0 ? ` – ${progress}%` : ''}
           </p>
+          {batchItems.length > 0 && (
+            <div className="queue-status" aria-live="polite">
+              <span>Pending: {queueCounts.queued}</span>
+              <span>Processing: {queueCounts.uploading}</span>
+              <span>Done: {queueCounts.done}</span>
+              <span className={queueCounts.failed ? 'queue-failed' : undefined}>Failed: {queueCounts.failed}</span>
+              {!isOnline && <span className="queue-offline">Offline – will upload when connected</span>}
+              {queueCounts.queued > 0 && (
+                <button type="button" className="ghost" onClick={cancelQueuedCaptures}>
+                  Cancel remaining
+                </button>
+              )}
+              {queueCounts.failed > 0 && (
+                <>
+                  <button type="button" className="ghost" onClick={retryFailedCaptures}>
+                    Retry failed only
+                  </button>
+                  <button type="button" className="ghost" onClick={discardFailedCaptures}>
+                    Discard failed
+                  </button>
+                </>
+              )}
+              {queueCounts.done > 0 && (
+                <button type="button" className="ghost" onClick={() => setDoneCaptures([])}>
+                  Clear done
+                </button>
+              )}
+              <ol className="batch-items">
+                {batchItems.map((item, index) => (
+                  <li key={item.id} className={`batch-item batch-${item.status}`} title={item.lastError || undefined}>
+                    <span className="batch-item-name">{item.name || `Photo ${index + 1}`}</span>
+                    <span className="batch-item-status">
+                      {CAPTURE_STATUS_LABELS[item.status]}
+                      {item.status === 'failed' && item.lastError ? ` – ${item.lastError}` : ''}
+                      {item.status === 'queued' && item.attempts > 0 ? ` (retry ${item.attempts})` : ''}
+                    </span>
+                  </li>
+                ))}
+              </ol>
+            </div>
+          )}
+          {jobs.length > 0 && (
+            <div className="queue-status" aria-live="polite">
+              <ol className="batch-items">
+                {jobs.map((job) => (
+                  <li key={job.id}>
+                    <div className={`batch-item batch-${job.status === 'running' ? 'processing' : job.status}`}>
+                      <span className="batch-item-name">
+                        Batch of {new Date(job.createdAt).toLocaleString()} – {job.progress.done + job.progress.failed} of{' '}
+                        {job.progress.total} read
+                      </span>
+                      <span className="batch-item-status">
+                        {JOB_STATUS_LABELS[job.status] || job.status}
+                        {job.progress.failed ? ` – ${job.progress.failed} failed` : ''}
+                      </span>
+                      {(job.status === 'queued' || job.status === 'running') && (
+                        <button type="button" className="ghost" onClick={() => cancelJob(job.id)}>
+                          Cancel
+                        </button>
+                      )}
+                    </div>
+                    {job.items?.some((item) => item.status === 'failed') && (
+                      <ol className="batch-items">
+                        {job.items
+                          .filter((item) => item.status === 'failed')
+                          .map((item) => (
+                            <li key={item.index} className="batch-item batch-failed" title={item.error || undefined}>
+                              <span className="batch-item-name">{item.name || `Photo ${item.index + 1}`}</span>
+                              <span className="batch-item-status">Failed{item.error ? ` – ${item.error}` : ''}</span>
+                            </li>
+                          ))}
+                      </ol>
+                    )}
+                  </li>
+                ))}
+              </ol>
+            </div>
+          )}
           {error && <p className="error">{error}</p>}
-          <p className="hint hero-hint">On your phone, “Take a photo” opens the camera app. Use “Upload from gallery” to select multiple images at once; all will be processed in order.</p>
+          {can('scan') && <p className="hint hero-hint">On your phone, “Take a photo” opens the camera app. Use “Upload from gallery” to select multiple images at once; all will be processed in order. “Send a batch to the server” reads up to 50 photos on the server, so you can close this page and come back to the rows.</p>}
         </div>
       </header>
 
@@ -676,97 +3387,306 @@ function App() {
         <div className="panel-header">
           <div>
             <p className="eyebrow">Captured rows</p>
-            <h2>Contribution form data</h2>
+            <h2>{currentSession ? currentSession.name : 'Contribution form data'}</h2>
           </div>
           <div className="panel-actions">
-            <button className="ghost" onClick={exportExcel} disabled={!entries.length}>
-              Export to Excel
-            </button>
-            <button className="secondary" onClick={clearEntries} disabled={!entries.length}>
-              Clear
-            </button>
+            {can('export') && (
+              <button className="ghost" onClick={exportExcel} disabled={!entries.length}>
+                Export session
+              </button>
+            )}
+            {offlineCount > 0 && (
+              <>
+                <button
+                  className="primary"
+                  onClick={() => syncOfflineEntries(entries.filter((e) => e.offline), true)}
+                  disabled={!isOnline || isProcessing}
+                  title="Send the photos to the server and read them again there"
+                >
+                  Re-extract {offlineCount} offline row{offlineCount === 1 ? '' : 's'}
+                </button>
+                <button
+                  className="ghost"
+                  onClick={() => syncOfflineEntries(entries.filter((e) => e.offline), false)}
+                  disabled={!isOnline || isProcessing}
+                  title="Save the offline readings on the server as they are"
+                >
+                  Upload as read
+                </button>
+              </>
+            )}
+            {can('scan') && (
+              <button className="secondary" onClick={clearEntries} disabled={!entries.length || !sessionOpen}>
+                Clear
+              </button>
+            )}
           </div>
         </div>
-        {!entries.length ? (
+        <div className="export-range">
+          {can('export') && (
+            <>
+              <label>
+                <span className="label-text">From</span>
+                <input type="date" value={exportFrom} onChange={(e) => setExportFrom(e.target.value)} />
+              </label>
+              <label>
+                <span className="label-text">To</span>
+                <input type="date" value={exportTo} onChange={(e) => setExportTo(e.target.value)} />
+              </label>
+              <button type="button" className="ghost" onClick={exportRange} disabled={!exportFrom && !exportTo}>
+                Export date range
+              </button>
+            </>
+          )}
+          <label className="inline-check">
+            <input type="checkbox" checked={reviewOnly} onChange={(e) => setReviewOnly(e.target.checked)} />
+            <span>Needs review only ({reviewCount})</span>
+          </label>
+          {can('export') && (
+            <label className="inline-check">
+              <input type="checkbox" checked={includeImages} onChange={(e) => setIncludeImages(e.target.checked)} />
+              <span>Include envelope photos (zip)</span>
+            </label>
+          )}
+          {can('export') && (
+            <label className="inline-check">
+              <input type="checkbox" checked={verifiedOnly} onChange={(e) => setVerifiedOnly(e.target.checked)} />
+              <span>Verified rows only</span>
+            </label>
+          )}
+          {can('export') && currencySettings && (
+            <label className="inline-check" title="Uses the exchange rates set on the admin dashboard">
+              <input type="checkbox" checked={convertAmounts} onChange={(e) => setConvertAmounts(e.target.checked)} />
+              <span>Amounts in {currencySettings.base} too</span>
+            </label>
+          )}
+        </div>
+        {!visibleEntries.length && entries.length ? (
+          <div className="empty">
+            <p>Nothing needs review.</p>
+            <small>Every row has its required fields and was read clearly.</small>
+          </div>
+        ) : !entries.length ? (
           <div className="empty">
             <p>No rows yet.</p>
-            <small>Capture with the camera or upload a photo to populate the table.</small>
+            <small>
+              {currentSession
+                ? 'Capture with the camera or upload a photo to populate the table.'
+                : 'Choose or open a scan session, then capture with the camera or upload a photo.'}
+            </small>
           </div>
         ) : (
           <div className="table-wrap">
-            <div className="table" role="table" aria-label="Captured contribution forms">
+            <div
+              className="table"
+              role="table"
+              aria-label={`Captured forms: ${currentTemplate.name}`}
+              style={tableColumns(currentTemplate)}
+            >
               <div className="table-head" role="row">
               <span>#</span>
-              <span>NAME</span>
-              <span>EMAIL</span>
-              <span>TELEPHONE</span>
-              <span>DATE</span>
-              <span>TYPE</span>
-              <span>PAYMENT</span>
-              <span>AMOUNT</span>
+              {currentTemplate.fields.map((field) => (
+                <span key={field.key}>{field.label.toUpperCase()}</span>
+              ))}
+              <span>MEMBER</span>
+              <span>PHOTO</span>
             </div>
             <div className="table-body">
-              {entries.map((row, idx) => {
+              {visibleEntries.map((row) => {
                 const s = row.structured || {}
-                return (
-                  <div className="table-row" role="row" key={row.id}>
-                    <span className="table-cell-index">{entries.length - idx}</span>
-                    <span className="table-cell-edit">
-                      <input
-                        type="text"
-                        value={s.name ?? ''}
-                        onChange={(e) => updateEntryField(row.id, 'name', e.target.value)}
-                        aria-label="Name"
-                      />
-                    </span>
-                    <span className="table-cell-edit">
-                      <input
-                        type="text"
-                        value={s.email ?? ''}
-                        onChange={(e) => updateEntryField(row.id, 'email', e.target.value)}
-                        aria-label="Email"
-                      />
-                    </span>
-                    <span className="table-cell-edit">
-                      <input
-                        type="text"
-                        value={s.telephone ?? ''}
-                        onChange={(e) => updateEntryField(row.id, 'telephone', e.target.value)}
-                        aria-label="Telephone"
-                      />
-                    </span>
-                    <span className="table-cell-edit">
-                      <input
-                        type="text"
-                        value={s.date ?? ''}
-                        onChange={(e) => updateEntryField(row.id, 'date', e.target.value)}
-                        aria-label="Date"
-                      />
+                const flagged = flaggedFields(row)
+                const cellClass = (path) => `table-cell-edit${flagged[path] ? ' cell-flagged' : ''}`
+                const lines = entryLines(row)
+                const withLines = hasLines(currentTemplate)
+                const expanded = withLines && expandedEntryIds.has(row.id)
+                // An empty currency shows the one the server assumed (the default, or the amount's symbol)
+                const cellInput = (path, value, label, assumed) => (
+                  <input
+                    type="text"
+                    value={value ?? ''}
+                    placeholder={assumed || undefined}
+                    onChange={(e) => updateEntryField(row.id, path, e.target.value)}
+                    onBlur={() => saveEntry(row.id)}
+                    readOnly={!canEditRow(row)}
+                    aria-label={label}
+                  />
+                )
+                // Several lines (or the sub-rows open): the row shows their sum, edited in the sub-rows
+                const lineCell = (field) => {
+                  const { key, label } = field
+                  if (lines.length === 1 && !expanded) {
+                    const path = linePath(0, key)
+                    return (
+                      <span key={key} className={cellClass(path)} title={flagged[path]} data-label={label}>
+                        {cellInput(path, lines[0][key], label, normalizedDisplay(row, field, 0))}
+                      </span>
+                    )
+                  }
+                  const lineFlag = lines.map((_, i) => flagged[linePath(i, key)]).find(Boolean)
+                  return (
+                    <span
+                      key={key}
+                      className={`table-cell-summary${lineFlag ? ' cell-flagged' : ''}`}
+                      title={lineFlag}
+                      data-label={label}
+                    >
+                      {lineSummary(row, field)}
                     </span>
-                    <span className="table-cell-edit">
-                      <input
-                        type="text"
-                        value={s.contributionType ?? ''}
-                        onChange={(e) => updateEntryField(row.id, 'contributionType', e.target.value)}
-                        aria-label="Type"
-                      />
+                  )
+                }
+                const original = row.duplicateOf ? entries.find((e) => e.id === row.duplicateOf.entryId) : null
+                const verification = row.status || 'extracted'
+                return (
+                  <div
+                    className={`table-row${row.needsReview ? ' needs-review' : ''}${row.offline ? ' offline-row' : ''}${highlightEntryId === row.id ? ' row-highlight' : ''}`}
+                    role="row"
+                    id={`entry-${row.id}`}
+                    key={row.id}
+                  >
+                    <span className="table-cell-index" title={row.offline ? 'Read offline – not on the server yet' : undefined}>
+                      {entries.length - entries.indexOf(row)}
+                      {row.offline && <span className="offline-badge" aria-label="offline" />}
+                      {withLines && (
+                        <button
+                          type="button"
+                          className="line-toggle"
+                          onClick={() => toggleEntryLines(row.id)}
+                          aria-expanded={expanded}
+                          aria-label={`${expanded ? 'Hide' : 'Show'} contribution lines`}
+                          title={`${lines.length} contribution line${lines.length === 1 ? '' : 's'}`}
+                        >
+                          {expanded ? '▾' : '▸'}
+                          {lines.length > 1 && <small>{lines.length}</small>}
+                        </button>
+                      )}
                     </span>
-                    <span className="table-cell-edit">
-                      <input
-                        type="text"
-                        value={s.paymentMethod ?? ''}
-                        onChange={(e) => updateEntryField(row.id, 'paymentMethod', e.target.value)}
-                        aria-label="Payment"
-                      />
+                    {currentTemplate.fields.map((field) =>
+                      field.line ? (
+                        lineCell(field)
+                      ) : (
+                        <span key={field.key} className={cellClass(field.key)} title={flagged[field.key]} data-label={field.label}>
+                          {cellInput(field.key, s[field.key], field.label, normalizedDisplay(row, field))}
+                        </span>
+                      )
+                    )}
+                    <span className="table-cell-member" data-label="Member">
+                      {row.offline ? (
+                        '—'
+                      ) : canEditRow(row) ? (
+                        <button
+                          type="button"
+                          className={`ghost member-cell${row.member?.id ? '' : ' member-none'}`}
+                          onClick={() => setMemberPickerEntryId(row.id)}
+                          title={memberTitle(row)}
+                        >
+                          {row.member?.id && '✓ '}
+                          {memberLabel(row)}
+                        </button>
+                      ) : (
+                        <span className={row.member?.id ? undefined : 'member-none'} title={memberTitle(row)}>
+                          {memberLabel(row)}
+                        </span>
+                      )}
                     </span>
-                    <span className="table-cell-edit">
-                      <input
-                        type="text"
-                        value={s.amount ?? ''}
-                        onChange={(e) => updateEntryField(row.id, 'amount', e.target.value)}
-                        aria-label="Amount"
-                      />
+                    <span className="table-cell-thumb">
+                      <EntryThumbnail entry={row} token={token} onOpen={() => setViewerEntryId(row.id)} />
                     </span>
+                    {expanded && (
+                      <div className="line-rows" role="group" aria-label="Contribution lines">
+                        {lines.map((line, index) => (
+                          <div className="line-row" key={index}>
+                            <span className="table-cell-index">{index + 1}</span>
+                            {currentTemplate.fields.map((field) => {
+                              if (!field.line) return <span key={field.key} className="line-cell-blank" />
+                              const path = linePath(index, field.key)
+                              return (
+                                <span key={field.key} className={cellClass(path)} title={flagged[path]} data-label={field.label}>
+                                  {cellInput(path, line[field.key], `${field.label}, line ${index + 1}`, normalizedDisplay(row, field, index))}
+                                </span>
+                              )
+                            })}
+                            <span className="line-cell-blank" />
+                            <span>
+                              {lines.length > 1 && canEditRow(row) && (
+                                <button
+                                  type="button"
+                                  className="ghost line-remove"
+                                  onClick={() => removeEntryLine(row.id, index)}
+                                  aria-label={`Remove line ${index + 1}`}
+                                >
+                                  ×
+                                </button>
+                              )}
+                            </span>
+                          </div>
+                        ))}
+                        {canEditRow(row) && (
+                          <button type="button" className="ghost line-add" onClick={() => addEntryLine(row.id)}>
+                            Add line
+                          </button>
+                        )}
+                      </div>
+                    )}
+                    {row.duplicateOf && (
+                      <div className="duplicate-note" role="note">
+                        Possible duplicate of{' '}
+                        {original ? (
+                          <a
+                            href={`#entry-${original.id}`}
+                            onClick={(e) => {
+                              e.preventDefault()
+                              showEntryRow(original.id)
+                            }}
+                          >
+                            row #{entries.length - entries.indexOf(original)}
+                          </a>
+                        ) : (
+                          'a row scanned by someone else'
+                        )}{' '}
+                        ({row.duplicateOf.reasons.map((r) => DUPLICATE_REASON_LABELS[r] || r).join(', ')})
+                        {canEditRow(row) && (
+                          <>
+                            {original && canEditRow(original) && (
+                              <button type="button" className="ghost" onClick={() => resolveDuplicate(row.id, 'merge')}>
+                                Merge
+                              </button>
+                            )}
+                            <button type="button" className="ghost" onClick={() => resolveDuplicate(row.id, 'dismiss')}>
+                              Not a duplicate
+                            </button>
+                          </>
+                        )}
+                      </div>
+                    )}
+                    {!row.offline && (
+                      <div className={`verify-note verify-${verification}`}>
+                        {verification === 'extracted'
+                          ? `Not verified · scanned by ${row.userNumber === userNumber ? 'you' : row.userNumber}`
+                          : `${verification === 'locked' ? 'Locked' : 'Verified'} by ${row.verifiedBy === userNumber ? 'you' : row.verifiedBy} · ${formatDateTime(row.verifiedAt)}`}
+                        {sessionOpen && can('review') && verification === 'extracted' && (
+                          <button
+                            type="button"
+                            className="ghost"
+                            onClick={() => setVerification(row.id, 'verify')}
+                            disabled={isRowMaker(row) || row.needsReview}
+                            title={
+                              isRowMaker(row)
+                                ? 'You scanned or corrected this row. Another user must verify it.'
+                                : row.needsReview
+                                  ? 'Fix the flagged fields first'
+                                  : undefined
+                            }
+                          >
+                            Verify
+                          </button>
+                        )}
+                        {sessionOpen && can('review') && verification === 'verified' && (
+                          <button type="button" className="ghost" onClick={() => setVerification(row.id, 'unverify')}>
+                            Send back
+                          </button>
+                        )}
+                      </div>
+                    )}
                   </div>
                 )
               })}
@@ -775,6 +3695,29 @@ function App() {
           </div>
         )}
       </section>
+      {viewerEntry && (
+        <EntryImageViewer
+          entry={viewerEntry}
+          token={token}
+          readOnly={!canEditRow(viewerEntry)}
+          canSync={isOnline && !isProcessing}
+          onSync={(reextract) => syncOfflineEntries([viewerEntry], reextract)}
+          onChange={(field, value) => updateEntryField(viewerEntry.id, field, value)}
+          onSave={() => saveEntry(viewerEntry.id)}
+          onAddLine={() => addEntryLine(viewerEntry.id)}
+          onRemoveLine={(index) => removeEntryLine(viewerEntry.id, index)}
+          onMarkReviewed={() => markReviewed(viewerEntry.id)}
+          onClose={() => setViewerEntryId(null)}
+        />
+      )}
+      {memberPickerEntry && (
+        <MemberPicker
+          entry={memberPickerEntry}
+          onPick={(choice) => pickMember(memberPickerEntry.id, choice)}
+          onClose={() => setMemberPickerEntryId(null)}
+          onLogout={logout}
+        />
+      )}
       <footer className="page-footer">
         <small>© 2026 Phaneroo Envelope Checker</small>
       </footer>
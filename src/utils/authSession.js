@@ -0,0 +1,78 @@
+/**
+ * Login tokens
+ * The server hands out a short-lived access token and a refresh token. Both are kept in
+ * localStorage; authFetch sends the access token and, when the server answers 401, swaps the
+ * refresh token for a new pair once and retries, so an expired access token never logs anyone out.
+ */
+
+const API_URL = import.meta.env.VITE_API_URL || ''
+export const AUTH_KEY = 'phaneroo_token'
+const REFRESH_KEY = 'phaneroo_refresh'
+
+export const getAccessToken = () => localStorage.getItem(AUTH_KEY)
+
+/** Store the { token, refreshToken } pair returned by /api/login or /api/token/refresh. */
+export const saveTokens = ({ token, refreshToken }) => {
+  localStorage.setItem(AUTH_KEY, token)
+  if (refreshToken) localStorage.setItem(REFRESH_KEY, refreshToken)
+  else localStorage.removeItem(REFRESH_KEY)
+}
+
+export const clearTokens = () => {
+  localStorage.removeItem(AUTH_KEY)
+  localStorage.removeItem(REFRESH_KEY)
+}
+
+// One refresh at a time: requests that fail together wait for the same new pair, since the
+// server revokes a refresh token as soon as it is used
+let refreshing = null
+
+/**
+ * Swap the stored refresh token for a new pair. Resolves true when new tokens were stored,
+ * false when the server refused (the user has to log in again). Network errors reject.
+ */
+export const refreshTokens = () => {
+  if (!refreshing) {
+    const refreshToken = localStorage.getItem(REFRESH_KEY)
+    refreshing = (async () => {
+      if (!refreshToken) return false
+      const res = await fetch(`${API_URL}/api/token/refresh`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refreshToken }),
+      })
+      if (!res.ok) return false
+      saveTokens(await res.json())
+      return true
+    })().finally(() => {
+      refreshing = null
+    })
+  }
+  return refreshing
+}
+
+/** fetch with the access token attached; a 401 triggers one refresh and retry. */
+export const authFetch = async (url, options = {}) => {
+  const send = () => {
+    const token = getAccessToken()
+    return fetch(url, {
+      ...options,
+      headers: { ...options.headers, ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+    })
+  }
+  const res = await send()
+  if (res.status !== 401 || !(await refreshTokens())) return res
+  return send()
+}
+
+/** Revoke this device's refresh token on the server (best effort) and forget both tokens. */
+export const logoutSession = () => {
+  const refreshToken = localStorage.getItem(REFRESH_KEY)
+  clearTokens()
+  if (!refreshToken) return
+  fetch(`${API_URL}/api/logout`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ refreshToken }),
+  }).catch(() => {})
+}
@@ -0,0 +1,117 @@
+/**
+ * Durable capture queue (IndexedDB)
+ * Every photo taken for server extraction is stored here first and removed only once
+ * /api/ocr has saved it, so a dropped connection or a dead battery never loses an envelope.
+ */
+
+const DB_NAME = 'phaneroo-scanner'
+const DB_VERSION = 1
+const STORE = 'captures'
+
+export const MAX_ATTEMPTS = 8
+const BASE_DELAY_MS = 2000
+const MAX_DELAY_MS = 5 * 60 * 1000
+
+let dbPromise = null
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION)
+      request.onupgradeneeded = () => {
+        const db = request.result
+        if (!db.objectStoreNames.contains(STORE)) {
+          db.createObjectStore(STORE, { keyPath: 'id' })
+        }
+      }
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => {
+        dbPromise = null
+        reject(request.error)
+      }
+    })
+  }
+  return dbPromise
+}
+
+/**
+ * Run one request against the captures store and resolve with its result
+ */
+const withStore = async (mode, fn) => {
+  const db = await openDb()
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode)
+    const request = fn(tx.objectStore(STORE))
+    tx.oncomplete = () => resolve(request?.result)
+    tx.onerror = () => reject(tx.error)
+    tx.onabort = () => reject(tx.error)
+  })
+}
+
+/**
+ * Backoff before the next upload attempt: 2s, 4s, 8s… capped at 5 minutes, with jitter
+ */
+export const nextRetryDelay = (attempts) => {
+  const delay = Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** Math.max(0, attempts - 1))
+  return Math.round(delay * (0.8 + Math.random() * 0.4))
+}
+
+/**
+ * Add a captured image to the queue
+ * @param {Blob} blob - the photo
+ * @param {Object} meta - { sessionId, userNumber, name }
+ */
+export const addCapture = async (blob, { sessionId, userNumber, name }) => {
+  const capture = {
+    id: `cap-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    blob,
+    name: name || '',
+    sessionId: sessionId || null,
+    userNumber: userNumber || null,
+    status: 'queued', // 'queued' | 'uploading' | 'failed'
+    attempts: 0,
+    nextAttemptAt: 0,
+    lastError: '',
+    createdAt: Date.now(),
+  }
+  await withStore('readwrite', (store) => store.put(capture))
+  return capture
+}
+
+/**
+ * All captures, oldest first
+ */
+export const listCaptures = async () => {
+  const captures = (await withStore('readonly', (store) => store.getAll())) || []
+  return captures.sort((a, b) => a.createdAt - b.createdAt)
+}
+
+export const updateCapture = async (id, changes) => {
+  const db = await openDb()
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, 'readwrite')
+    const store = tx.objectStore(STORE)
+    const get = store.get(id)
+    let updated = null
+    get.onsuccess = () => {
+      if (!get.result) return
+      updated = { ...get.result, ...changes }
+      store.put(updated)
+    }
+    tx.oncomplete = () => resolve(updated)
+    tx.onerror = () => reject(tx.error)
+  })
+}
+
+export const removeCapture = (id) => withStore('readwrite', (store) => store.delete(id))
+
+/**
+ * Uploads interrupted by a reload or closed tab are left as 'uploading'; put them back in line
+ */
+export const resetInterruptedCaptures = async () => {
+  const captures = await listCaptures()
+  await Promise.all(
+    captures
+      .filter((c) => c.status === 'uploading')
+      .map((c) => updateCapture(c.id, { status: 'queued', nextAttemptAt: 0 }))
+  )
+}
@@ -0,0 +1,58 @@
+/**
+ * Offline scan: Tesseract in the browser + the same form-text parser the server's
+ * offline engine uses, so rows come out in the server's structured shape.
+ */
+
+import { runOCR } from './ocrClient.js'
+import { parseFormText } from '../../server/engines/parseFormText.js'
+import { getTemplate, structuredPaths } from '../../server/formTemplates.js'
+
+export const OFFLINE_ENGINE = 'tesseract-browser'
+
+// Forms are mostly dark ink on light paper; a little extra contrast helps Tesseract
+const PREPROCESSING = {
+  maxWidth: 2000,
+  maxHeight: 2000,
+  enableGrayscale: true,
+  enableContrast: true,
+  contrastFactor: 1.3,
+}
+
+/**
+ * Review flags for a row read in the browser, matching the server's reasons
+ * (missing required field, low-confidence value).
+ */
+export const localReviewFlags = (structured, confidence = {}, template = getTemplate()) => {
+  const values = structuredPaths(template, structured)
+  return [
+    ...values.filter(({ field, value }) => field.required && !value).map(({ path }) => ({ field: path, reason: 'missing' })),
+    ...values.filter(({ path, value }) => value && confidence[path] === 'low').map(({ path }) => ({
+      field: path,
+      reason: 'low-confidence',
+    })),
+  ]
+}
+
+/**
+ * Read a form image without the server.
+ * @param {string} dataUrl - image as a data URL
+ * @param {object} [template] - the session's form template (formTemplates.js)
+ * @returns {Promise<{ text: string, structured: object, confidence: object, engine: string }>}
+ */
+export const scanOffline = async (dataUrl, template = getTemplate()) => {
+  const result = await runOCR(dataUrl, {
+    mode: 'tesseract',
+    enablePreprocessing: true,
+    preprocessingOptions: PREPROCESSING,
+  })
+  const structured = parseFormText(result.text, template)
+  const values = structuredPaths(template, structured)
+  if (!values.some(({ value }) => value)) {
+    throw new Error('No form fields found. Ensure the form is well-lit and clearly visible.')
+  }
+  // Tesseract reports a page-level percentage ("83%"); parsed values are never better than medium
+  const pageConfidence = parseInt(result.confidence, 10)
+  const level = pageConfidence >= 75 ? 'medium' : 'low'
+  const confidence = Object.fromEntries(values.map(({ path, value }) => [path, value ? level : 'low']))
+  return { text: result.text, structured, confidence, engine: OFFLINE_ENGINE }
+}